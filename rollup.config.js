@@ -4,7 +4,7 @@ import babel from '@rollup/plugin-babel';
 import replace from '@rollup/plugin-replace';
 import postcss from 'rollup-plugin-postcss';
 
-export default {
+export default [{
   input: 'src/TrustQueryDraw.js',
   output: {
     file: 'dist/trustquery-diagram.js',
@@ -37,4 +37,23 @@ export default {
       transformMixedEsModules: true
     })
   ]
-};
+}, {
+  // DOM-free core (parser, layouts, import/export) for Node and CLI tools
+  input: 'src/core.js',
+  // Installed with the package; keeps lodash out of the bundle
+  external: ['dagre'],
+  output: {
+    file: 'dist/trustquery-diagram-core.js',
+    format: 'es',
+    sourcemap: true
+  },
+  plugins: [
+    resolve({
+      preferBuiltins: true,
+      extensions: ['.js']
+    }),
+    commonjs({
+      include: /node_modules/
+    })
+  ]
+}];
@@ -0,0 +1,202 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * AuthHandler - API keys, roles, CORS and proxy settings for the server
+ *
+ * Keys file (AUTH_KEYS_FILE), one entry per key. Give either the key itself or
+ * its SHA-256 hex digest, so the file doesn't have to hold the secret:
+ * {
+ *   "keys": [
+ *     { "id": "alice", "key": "sk-alice-...", "role": "admin" },
+ *     { "id": "ci", "sha256": "9f86d08...", "role": "user" }
+ *   ]
+ * }
+ *
+ * Without a keys file the server stays open (local development): requests are
+ * identified by IP and admin routes only answer on localhost
+ */
+export class AuthHandler {
+  /**
+   * @param {Object} options - Auth options
+   * @param {string} options.keysFile - Keys file (default: AUTH_KEYS_FILE; none = auth off)
+   * @param {boolean} options.required - Refuse requests without a key (default: AUTH_REQUIRED, or true with a keys file)
+   * @param {Array<string>} options.corsOrigins - Allowed origins, '*' for any (default: CORS_ORIGINS; none = localhost only)
+   * @param {*} options.trustProxy - Express "trust proxy" value (default: TRUST_PROXY; none = false)
+   */
+  constructor(options = {}) {
+    this.keysFile = options.keysFile || process.env.AUTH_KEYS_FILE || null;
+    this.keys = new Map(); // SHA-256 of key -> { id, role }
+    this.loadKeys();
+
+    this.enabled = this.keys.size > 0;
+    this.required = options.required ?? this.parseBoolean(process.env.AUTH_REQUIRED) ?? this.enabled;
+    this.corsOrigins = options.corsOrigins || this.parseList(process.env.CORS_ORIGINS);
+    this.trustProxy = options.trustProxy ?? this.parseTrustProxy(process.env.TRUST_PROXY);
+
+    console.log(this.enabled
+      ? `[AuthHandler] ${this.keys.size} API keys loaded, keys ${this.required ? 'required' : 'optional'}`
+      : '[AuthHandler] No API keys configured - API is open, admin routes answer on localhost only');
+  }
+
+  /**
+   * (Re)load the keys file
+   * @throws {Error} If the file can't be read or an entry is malformed
+   */
+  loadKeys() {
+    this.keys.clear();
+    if (!this.keysFile) return;
+
+    const { keys = [] } = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+    keys.forEach((entry, index) => {
+      const hash = entry.sha256 ? entry.sha256.toLowerCase() : entry.key && this.hashKey(entry.key);
+      if (!entry.id || !hash) {
+        throw new Error(`[AuthHandler] Key ${index + 1} in ${this.keysFile} needs an id and a key or sha256`);
+      }
+
+      this.keys.set(hash, { id: String(entry.id), role: entry.role || 'user' });
+    });
+  }
+
+  /**
+   * Apply proxy settings to the app, so req.ip is the client behind the proxy
+   * @param {Object} app - Express app
+   */
+  configure(app) {
+    app.set('trust proxy', this.trustProxy);
+  }
+
+  /**
+   * Options for the cors middleware
+   * @returns {Object} cors options
+   */
+  getCorsOptions() {
+    return {
+      origin: (origin, callback) => callback(null, this.isAllowedOrigin(origin)),
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Edit-Token'],
+    };
+  }
+
+  /**
+   * Check a browser Origin against the allowlist
+   * @param {string} origin - Origin header (undefined for same-origin and non-browser requests)
+   * @returns {boolean} True if cross-origin requests from it are allowed
+   */
+  isAllowedOrigin(origin) {
+    if (!origin) return true;
+    if (!this.corsOrigins) {
+      return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin);
+    }
+    return this.corsOrigins.includes('*') || this.corsOrigins.includes(origin);
+  }
+
+  /**
+   * Express middleware: identify the caller from "Authorization: Bearer <key>"
+   * Sets req.user to {id, role}. An unknown key is always refused; no key is
+   * refused only when keys are required
+   * @returns {Function} Middleware
+   */
+  authenticate() {
+    return (req, res, next) => {
+      const apiKey = this.getApiKey(req);
+
+      if (apiKey) {
+        const user = this.findUser(apiKey);
+        if (!user) {
+          return this.refuse(res, 401, 'Invalid API key');
+        }
+        req.user = user;
+      } else if (this.required) {
+        return this.refuse(res, 401, 'API key required: send Authorization: Bearer <key>');
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Express middleware: only let through callers with a role
+   * Use after authenticate(). With auth off, only localhost requests pass
+   * @param {string} role - Required role (e.g. 'admin')
+   * @returns {Function} Middleware
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (this.hasRole(req, role)) return next();
+
+      return req.user
+        ? this.refuse(res, 403, `This endpoint needs the ${role} role`)
+        : this.refuse(res, 401, `API key with the ${role} role required`);
+    };
+  }
+
+  /**
+   * Check the caller has a role
+   * @param {Object} req - Express request (after authenticate)
+   * @param {string} role - Role
+   * @returns {boolean} True if allowed
+   */
+  hasRole(req, role) {
+    if (!this.enabled) return this.isLocalRequest(req);
+    return req.user?.role === role;
+  }
+
+  /**
+   * Read the bearer token of a request
+   * @param {Object} req - Express request
+   * @returns {string|null} API key or null
+   */
+  getApiKey(req) {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Look up the user an API key belongs to
+   * @param {string} apiKey - API key
+   * @returns {Object|null} {id, role}, or null for an unknown key
+   */
+  findUser(apiKey) {
+    return this.keys.get(this.hashKey(apiKey)) || null;
+  }
+
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  isLocalRequest(req) {
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.ip);
+  }
+
+  refuse(res, status, message) {
+    if (status === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    return res.status(status).json({
+      error: status === 401 ? 'Unauthorized' : 'Forbidden',
+      message,
+    });
+  }
+
+  parseBoolean(value) {
+    if (value === undefined || value === '') return undefined;
+    return ['1', 'true', 'yes'].includes(value.toLowerCase());
+  }
+
+  parseList(value) {
+    const list = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    return list.length > 0 ? list : null;
+  }
+
+  /**
+   * TRUST_PROXY: true/false, a hop count, or addresses/subnets ("loopback, 10.0.0.0/8")
+   */
+  parseTrustProxy(value) {
+    if (value === undefined || value === '' || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+  }
+}
+
+export default AuthHandler;
@@ -20,7 +20,7 @@ export class CommandRegistry {
     this.registerNodeShapes(['rectangle', 'square', 'circle', 'diamond']);
 
     // Layout types
-    this.registerLayoutTypes(['decision', 'tree', 'grid', 'circle']);
+    this.registerLayoutTypes(['decision', 'tree', 'list', 'grid', 'circle', 'flow']);
 
     // Node syntax
     this.register({
@@ -46,6 +46,17 @@ export class CommandRegistry {
       notes: 'Diamonds are good for decisions, circles for start/end'
     });
 
+    this.register({
+      category: 'nodes',
+      syntax: 'group Name { nodeId, nodeId, ... }',
+      description: 'Draw a box around related nodes (creates the nodes if needed)',
+      examples: [
+        'group Backend { api, auth_service, database }',
+        'group "Payment Services" { billing, square:ledger }'
+      ],
+      notes: 'A node belongs to one group. Group names must differ from node IDs. Edges to grouped nodes are written as usual, on their own lines'
+    });
+
     // Edge syntax
     this.register({
       category: 'edges',
@@ -56,10 +67,18 @@ export class CommandRegistry {
 
     this.register({
       category: 'edges',
-      syntax: 'source-Label->target',
+      syntax: 'source -Label-> target',
       description: 'Create a labeled edge',
-      examples: ['decision-Yes->success', 'check-Failed->retry'],
-      notes: 'Labels appear on the edge line'
+      examples: ['decision -Yes-> success', 'check-"Re-try"->retry', 'login -> home : Signed in'],
+      notes: 'Labels appear on the edge line. Unquoted labels need a space before the arrow: login-retry->home is an edge from the node "login-retry". Quote labels with dashes or arrows, or put the label after " : " at the end of the line. A backslash makes the next character literal (a\\->b is one node named "a->b")'
+    });
+
+    this.register({
+      category: 'edges',
+      syntax: 'a<->b, a--b, a-.->b, a==>b, a--o b, a--x b',
+      description: 'Other edge kinds: two-way, undirected (no arrow), dotted, thick, circle end and cross end',
+      examples: ['client<->server', 'user--account', 'cache-.->db', 'request==>handler', 'parent--o child'],
+      notes: 'Dotted and thick edges take labels like a -.Label.-> b and a ==Label==> b; the others use a--b : Label'
     });
 
     // @ Commands
@@ -78,36 +97,120 @@ export class CommandRegistry {
       notes: 'Node numbers are assigned in creation order starting from 1'
     });
 
+    this.register({
+      category: 'commands',
+      syntax: '@nodeId key:value key:value ...',
+      description: 'Style a node',
+      params: {
+        'fill': 'Background color (hex, rgb(), hsl() or a color name)',
+        'border': 'Border color, style (solid, dashed, dotted, double, none) or width; repeat for several',
+        'border-width': 'Border width in px',
+        'text': 'Text color',
+        'font-size': 'Font size in px',
+        'font-weight': 'normal, bold or 100-900',
+        'radius': 'Corner radius in px',
+        'opacity': '0-1 or a percentage',
+        'shadow': 'none, sm, md or lg',
+        'padding': 'Inner padding in px',
+        'width / height': 'Node size in px',
+        'shape': 'rectangle, square, circle or diamond'
+      },
+      examples: [
+        '@login fill:#e3f2fd border:#1976d2',
+        '@:3 fill:red text:white font-weight:bold',
+        '@error border:dashed border:2 border:#d32f2f shadow:md',
+        '@start shape:circle opacity:80%',
+      ],
+      notes: 'Styles apply to the existing node and are kept when the diagram is redrawn'
+    });
+
+    this.register({
+      category: 'commands',
+      syntax: '@source->target key:value key:value ...',
+      description: 'Style the edge(s) from source to target',
+      params: {
+        'stroke': 'Line color (hex, rgb(), hsl() or a color name)',
+        'width': 'Line width in px',
+        'dash': 'solid, dashed or dotted',
+        'curve': 'bezier, straight, step or smoothstep',
+        'start / end': 'Marker at the source / target: arrow, open-arrow, diamond, circle, cross or none',
+        'animated': 'true or false',
+        'label': 'Label position: start, center or end'
+      },
+      examples: [
+        '@validate -Failed-> retry stroke:#d32f2f dash:dashed',
+        '@:1->:2 width:3 curve:straight',
+        '@order<->payment start:arrow end:arrow animated:true',
+      ],
+      notes: 'Labelled arrows only match edges with that label; <- and <-> follow the direction'
+    });
+
     // = Commands
     this.register({
       category: 'commands',
-      syntax: '=rename(oldId, newLabel)',
-      description: 'Rename a node to have a different display label',
+      syntax: '=rename(nodeId, newLabel)',
+      description: 'Change the display label of a node',
       params: {
-        oldId: 'The current node ID',
-        newLabel: 'The new label to display'
+        nodeId: 'The node ID or node number (:N)',
+        newLabel: 'The new label to display. Wrap in double quotes if it contains parentheses or line breaks'
       },
       examples: [
         '=rename(auth_check, Authenticated?)',
         '=rename(process, Process Payment)',
+        '=rename(:2, "Retry (max 3)")',
       ],
-      notes: 'Use this to make labels more readable without changing the ID'
+      notes: 'The ID does not change - keep using the original ID in later edges and commands'
     });
 
     this.register({
       category: 'commands',
-      syntax: '=layout(type)',
+      syntax: '=group(name, nodeId, ...)',
+      description: 'Put existing nodes into a group',
+      params: {
+        name: 'Group name (creates the group if it does not exist)',
+        nodeId: 'Node IDs or node numbers (:N) to move into the group'
+      },
+      examples: [
+        '=group(Backend, api, database)',
+        '=group(Frontend, :1, :2)'
+      ],
+      notes: 'Use =delete(GroupName) to remove a group and keep its nodes'
+    });
+
+    this.register({
+      category: 'commands',
+      syntax: '=delete(target)',
+      description: 'Remove a node (and all its edges) or a single edge',
+      params: {
+        target: 'A node ID, a node number (:N) or an edge (source->target). Separate several targets with commas'
+      },
+      examples: [
+        '=delete(retry)',
+        '=delete(:3)',
+        '=delete(check->retry)',
+        '=delete(old_step, temp)'
+      ],
+      notes: 'Only removes what was created above it; nodes can be re-added later and keep their number'
+    });
+
+    this.register({
+      category: 'commands',
+      syntax: '=layout(type, option)',
       description: 'Apply an automatic layout algorithm to arrange nodes',
       params: {
         type: this.layoutTypes,
+        option: 'Optional. grid: number of columns. circle: "radial" puts roots in the center and each level on its own ring. flow: direction TB, LR, BT or RL'
       },
       examples: [
         '=layout(decision)',
         '=layout(tree)',
         '=layout(grid)',
-        '=layout(circle)'
+        '=layout(grid, 3)',
+        '=layout(circle)',
+        '=layout(circle, radial)',
+        '=layout(flow, LR)'
       ],
-      notes: 'Apply layouts after creating all nodes and edges'
+      notes: 'Apply layouts after creating all nodes and edges. Prefer flow for process diagrams with many edges'
     });
   }
 
@@ -240,7 +343,7 @@ Response: ["start->login", "login->authenticate", "authenticate->dashboard"]
 
 ### Example 2: Decision Tree
 User: "Create a user authentication decision"
-Response: ["input->diamond:check", "check-Valid->success", "check-Invalid->retry", "retry->input", "=rename(check, Authenticated?)", "=layout(decision)"]
+Response: ["input->diamond:check", "check -Valid-> success", "check -Invalid-> retry", "retry->input", "=rename(check, Authenticated?)", "=layout(decision)"]
 
 ### Example 3: Org Chart
 User: "CEO with 2 VPs"
@@ -269,6 +372,30 @@ Response: ["ceo->vp_eng", "ceo->vp_sales", "=rename(ceo, CEO)", "=rename(vp_eng,
     return sections.join('\n');
   }
 
+  /**
+   * Generate the extra system prompt section for editing an existing diagram
+   * Appended to generateSystemPrompt() when the request includes the current diagram
+   */
+  generateEditingPrompt() {
+    return `
+
+## Editing an Existing Diagram
+
+When the message includes the current diagram, the user wants to change it. Return ONLY the new commands that make the change (delta commands). They are appended after the existing commands, which stay in place.
+
+- Never repeat existing commands or recreate the diagram
+- Refer to existing nodes by their ID or number (:N), exactly as listed
+- Add nodes and edges with the usual syntax, connecting them to existing node IDs
+- Change labels with \`=rename()\`, remove nodes or edges with \`=delete()\`, change styles with \`@nodeId key:value\` (edges: \`@a->b key:value\`)
+- Only add \`=layout()\` if the user asks for it or the change adds many nodes
+- Earlier messages are earlier requests in the same conversation; "it" and "that" may refer to them
+
+### Example
+Current diagram: ["start->validate", "validate->done", "validate->error"]
+User: "add a retry loop after validate and make the error path red"
+Response: ["validate -Failed-> retry", "retry->validate", "@error fill:#ffcdd2 border:#d32f2f"]`;
+  }
+
   /**
    * Generate markdown documentation
    */
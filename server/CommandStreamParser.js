@@ -0,0 +1,67 @@
+/**
+ * CommandStreamParser - Pulls complete commands out of a streamed JSON array
+ * The model answers with ["a->b", "b->c", ...]; each string element is
+ * returned as soon as its closing quote arrives
+ */
+export class CommandStreamParser {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Reset state for a new response
+   */
+  reset() {
+    this.depth = 0; // Bracket depth; commands are strings at depth 1
+    this.inString = false;
+    this.escaped = false;
+    this.current = '';
+    this.text = ''; // Everything received, for error messages and re-prompts
+  }
+
+  /**
+   * Feed the next chunk of model output
+   * @param {string} chunk - Text delta
+   * @returns {Array<string>} Commands completed by this chunk
+   */
+  push(chunk) {
+    const commands = [];
+    this.text += chunk;
+
+    for (const char of chunk) {
+      if (this.inString) {
+        this.current += char;
+
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (this.depth === 1) {
+            commands.push(JSON.parse(this.current));
+          }
+        }
+      } else if (char === '"') {
+        this.inString = true;
+        this.current = char;
+      } else if (char === '[') {
+        this.depth++;
+      } else if (char === ']') {
+        this.depth = Math.max(0, this.depth - 1);
+      }
+    }
+
+    return commands;
+  }
+
+  /**
+   * Check the whole response was a JSON array
+   * @returns {boolean} True if the array was opened and closed
+   */
+  isComplete() {
+    return this.text.includes('[') && this.depth === 0 && !this.inString;
+  }
+}
+
+export default CommandStreamParser;
@@ -0,0 +1,360 @@
+import { SyntaxManager } from '../src/core.js';
+import CommandRegistry from './CommandRegistry.js';
+
+/**
+ * CommandValidator - Checks generated commands against the real parser
+ * Replays the commands through SyntaxManager in order, so references are
+ * checked against the nodes and groups that exist at that line, and reports
+ * one error per problem with its line number
+ */
+export class CommandValidator {
+  constructor(commandRegistry = null) {
+    this.commandRegistry = commandRegistry || CommandRegistry;
+
+    // =commands the parser understands (see CommandHandler.detectCommand)
+    this.equalsCommands = ['rename', 'delete', 'group', 'layout'];
+    this.flowDirections = ['TB', 'LR', 'BT', 'RL'];
+    this.circleModes = ['circle', 'radial'];
+
+    // Regex to match a shape-prefixed token with an unknown shape (hexagon:start)
+    this.shapePrefixPattern = /^(\w+):\S/;
+  }
+
+  /**
+   * Validate commands in order
+   * @param {Array} commands - Command strings (one line each)
+   * @param {Object} context - Existing diagram the commands are appended to (optional)
+   * @param {Array<string>} context.history - Existing diagram lines (diagramHistory)
+   * @param {Object} context.idMapping - Node numbering from IDManager.toJSON()
+   * @returns {Object} {valid: boolean, errors: Array<{line, command, message}>}
+   *   where line is 1-based within commands
+   */
+  validate(commands, context = {}) {
+    const syntaxManager = this.createSyntaxManager(context);
+    const errors = [];
+
+    commands.forEach((command, index) => {
+      this.checkCommand(command, syntaxManager)
+        .forEach(message => errors.push({ line: index + 1, command, message }));
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate commands one at a time as they arrive (for streaming)
+   * One parser holds the commands accepted so far, so each command is only
+   * checked once instead of replaying everything before it
+   * @param {Object} context - Existing diagram (see validate)
+   * @returns {Function} (command) => Array<string> error messages for it;
+   *   a command without errors is added to the diagram
+   */
+  createStreamValidator(context = {}) {
+    const syntaxManager = this.createSyntaxManager(context);
+    return (command) => this.checkCommand(command, syntaxManager);
+  }
+
+  /**
+   * Parser holding the existing diagram (or an empty one)
+   * @param {Object} context - Existing diagram (see validate)
+   * @returns {SyntaxManager} Parser to feed lines to one at a time
+   */
+  createSyntaxManager(context = {}) {
+    const syntaxManager = new SyntaxManager();
+
+    if (context.idMapping) {
+      syntaxManager.getIDManager().fromJSON(context.idMapping);
+    }
+    try {
+      syntaxManager.parse((context.history || []).join('\n'));
+    } catch (error) {
+      console.warn('[CommandValidator] Existing diagram does not parse:', error.message);
+      syntaxManager.parse('');
+    }
+
+    return syntaxManager;
+  }
+
+  /**
+   * Check one command and, if it is valid, add it to the parser
+   * @param {string} command - Command line
+   * @param {SyntaxManager} syntaxManager - Parser holding the lines so far
+   * @returns {Array<string>} Error messages
+   */
+  checkCommand(command, syntaxManager) {
+    if (typeof command !== 'string' || command.trim().length === 0) {
+      return ['Command must be a non-empty string'];
+    }
+
+    // Same preprocessing as SyntaxManager.parse: quoted text becomes placeholders
+    const quotedStringParser = syntaxManager.quotedStringParser;
+    const commandHandler = syntaxManager.getCommandHandler();
+    const line = quotedStringParser.extractQuotedStrings(command.trim());
+    if (line.includes('\n')) {
+      return ['Put each command in its own string (line breaks are only allowed inside quotes)'];
+    }
+
+    const restore = (text) => this.unquote(quotedStringParser.restoreQuotedStrings(text || ''));
+    const detected = commandHandler.detectCommand(line);
+    const messages = this.checkLine(line, detected, syntaxManager, restore);
+
+    // @ and =layout commands don't change the structure; everything else is parsed
+    if (messages.length === 0 && (!detected || commandHandler.isStructural(detected))) {
+      try {
+        syntaxManager.parseLine(line);
+      } catch (error) {
+        return [error.message];
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Check one preprocessed line
+   * @param {string} line - Line with quoted strings replaced by placeholders
+   * @param {Object|null} command - Result of CommandHandler.detectCommand
+   * @param {SyntaxManager} syntaxManager - Parser holding the lines so far
+   * @param {Function} restore - Restores quoted strings and strips quotes
+   * @returns {Array<string>} Error messages
+   */
+  checkLine(line, command, syntaxManager, restore) {
+    if (line.startsWith('=') && !command) {
+      const name = (line.match(/^=(\w+)/) || [])[1];
+      return this.equalsCommands.includes(name)
+        ? [`Malformed command, expected =${name}(...)`]
+        : [`Unknown command "=${name || ''}". Available: ${this.equalsCommands.map(c => `=${c}()`).join(', ')}`];
+    }
+
+    if (!command) {
+      return this.checkStatement(line, syntaxManager, restore);
+    }
+
+    switch (command.type) {
+      case 'layout':
+        return this.checkLayout(line, command);
+      case 'rename':
+        return this.checkRename(command, syntaxManager, restore);
+      case 'delete':
+        return this.checkDelete(command, syntaxManager, restore);
+      case 'group':
+        return this.checkGroup(command, syntaxManager, restore);
+      case 'openStyleInspector':
+        return this.checkStyle(command, syntaxManager, restore);
+      case 'styleEdge':
+        return this.checkEdgeStyle(command, syntaxManager, restore);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Check a node or edge statement (including group blocks)
+   * @returns {Array<string>} Error messages
+   */
+  checkStatement(line, syntaxManager, restore) {
+    const groupStart = line.match(syntaxManager.groupStartPattern);
+    const statements = groupStart || syntaxManager.inGroupBlock
+      ? (groupStart ? groupStart[2] : line).replace(/\}\s*$/, '').split(',')
+      : [line];
+
+    const errors = [];
+    statements.map(statement => statement.trim()).filter(Boolean).forEach(statement => {
+      const { nodeLabels, errors: syntaxErrors } = syntaxManager.edgeSyntaxParser.parseLine(statement);
+      syntaxErrors.forEach(error => errors.push(`${error.message} in "${restore(statement)}"`));
+
+      nodeLabels.filter(Boolean).forEach(token => {
+        const shapeMatch = token.match(this.shapePrefixPattern);
+        if (shapeMatch && !this.commandRegistry.nodeShapes.includes(shapeMatch[1].toLowerCase())) {
+          errors.push(`Unknown shape "${shapeMatch[1]}". Available: ${this.commandRegistry.nodeShapes.join(', ')}`);
+        }
+
+        const { ref } = syntaxManager.nodeBuilder.parseShapePrefix(token);
+        if (ref.startsWith(':') && !this.resolveNode(ref, syntaxManager)) {
+          errors.push(`Node ${ref} does not exist`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check =layout(type, option)
+   * @returns {Array<string>} Error messages
+   */
+  checkLayout(line, command) {
+    const layoutTypes = this.commandRegistry.layoutTypes;
+    const { layoutType, layoutOptions } = command;
+    const option = (line.match(/\(([^)]*)\)/)[1].split(',')[1] || '').trim();
+
+    if (!layoutTypes.includes(layoutType) && layoutType !== 'dagre') {
+      return [`Unknown layout "${layoutType}". Available: ${layoutTypes.join(', ')}`];
+    }
+
+    if (!option) return [];
+
+    if (layoutType === 'grid' && !layoutOptions.columns) {
+      return [`Grid columns must be a positive number, got "${option}"`];
+    }
+    if (layoutType === 'circle' && !this.circleModes.includes(option.toLowerCase())) {
+      return [`Circle layout option must be "radial", got "${option}"`];
+    }
+    if ((layoutType === 'flow' || layoutType === 'dagre') && !this.flowDirections.includes(layoutOptions.direction)) {
+      return [`Flow direction must be one of ${this.flowDirections.join(', ')}, got "${option}"`];
+    }
+
+    return [];
+  }
+
+  /**
+   * Check =rename(target, label)
+   * @returns {Array<string>} Error messages
+   */
+  checkRename(command, syntaxManager, restore) {
+    const ref = restore(command.oldId);
+    const errors = [];
+
+    if (!command.newLabel) {
+      errors.push('=rename needs a new label: =rename(nodeId, New Label)');
+    }
+    if (!this.resolveNode(ref, syntaxManager) && !syntaxManager.findGroupTarget(ref)) {
+      errors.push(`Node or group "${ref}" does not exist at this point`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check =delete(target, ...)
+   * @returns {Array<string>} Error messages
+   */
+  checkDelete(command, syntaxManager, restore) {
+    if (command.targets.length === 0) {
+      return ['=delete needs at least one target'];
+    }
+
+    const errors = [];
+    command.targets.forEach(target => {
+      const { nodeLabels, arrows, errors: syntaxErrors } = syntaxManager.edgeSyntaxParser.parseLine(target);
+      syntaxErrors.forEach(error => errors.push(`${error.message} in "${restore(target)}"`));
+
+      nodeLabels.filter(Boolean).map(restore).forEach(ref => {
+        const exists = this.resolveNode(ref, syntaxManager) || (arrows.length === 0 && syntaxManager.findGroupTarget(ref));
+        if (!exists) {
+          errors.push(`Cannot delete "${ref}": it does not exist at this point`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check =group(name, member, ...)
+   * @returns {Array<string>} Error messages
+   */
+  checkGroup(command, syntaxManager, restore) {
+    if (!command.groupName) {
+      return ['=group needs a group name: =group(Name, nodeId, ...)'];
+    }
+    if (command.members.length === 0) {
+      return ['=group needs at least one node: =group(Name, nodeId, ...)'];
+    }
+
+    return command.members
+      .map(restore)
+      .filter(member => !this.resolveNode(member, syntaxManager))
+      .map(member => `Cannot group "${member}": node does not exist at this point`);
+  }
+
+  /**
+   * Check @nodeId key:value ...
+   * @returns {Array<string>} Error messages
+   */
+  checkStyle(command, syntaxManager, restore) {
+    const commandHandler = syntaxManager.getCommandHandler();
+    const ref = restore(command.nodeId);
+
+    // Same lookup as the editor: node ID, :N or display label
+    const nodes = syntaxManager.nodeBuilder.getNodes().map(node => ({
+      id: node.id,
+      data: { label: node.label ?? node.id, nodeNumber: node.nodeNumber },
+    }));
+    if (!commandHandler.findNode(ref, nodes)) {
+      return [`Node "${ref}" does not exist at this point`];
+    }
+
+    if (!command.params) return [];
+
+    const { errors } = commandHandler.parseStyleParams(restore(command.params));
+    return errors;
+  }
+
+  /**
+   * Check an @a->b command: the edge exists and the parameters parse
+   * @returns {Array<string>} Error messages
+   */
+  checkEdgeStyle(command, syntaxManager, restore) {
+    const commandHandler = syntaxManager.getCommandHandler();
+    const target = restore(command.target);
+
+    const nodes = syntaxManager.nodeBuilder.getNodes().map(node => ({
+      id: node.id,
+      data: { label: node.label ?? node.id, nodeNumber: node.nodeNumber },
+    }));
+    // Quoted edge labels (a-"re-try"->b) must stay quoted to parse the same way
+    const expression = syntaxManager.quotedStringParser.restoreQuotedStringsWithQuotes(command.target);
+    if (commandHandler.findEdges(expression, nodes, syntaxManager.edgeBuilder.getEdges()).length === 0) {
+      return [`Edge "${target}" does not exist at this point`];
+    }
+
+    if (!command.params) return [];
+
+    const { errors } = commandHandler.parseEdgeStyleParams(restore(command.params));
+    return errors;
+  }
+
+  /**
+   * Resolve a node ID or :N reference without creating or logging anything
+   * @param {string} ref - Node reference
+   * @param {SyntaxManager} syntaxManager - Parser holding the lines so far
+   * @returns {string|null} Node ID or null
+   */
+  resolveNode(ref, syntaxManager) {
+    const trimmed = (ref || '').trim();
+    if (!trimmed) return null;
+
+    if (trimmed.startsWith(':')) {
+      try {
+        return syntaxManager.nodeBuilder.findNodeId(syntaxManager.getIDManager().resolveReference(trimmed));
+      } catch (error) {
+        return null;
+      }
+    }
+
+    const { ref: nodeRef } = syntaxManager.nodeBuilder.parseShapePrefix(trimmed);
+    return syntaxManager.nodeBuilder.findNodeId(nodeRef);
+  }
+
+  /**
+   * Strip surrounding double quotes
+   * @param {string} text - Text
+   * @returns {string} Unquoted, trimmed text
+   */
+  unquote(text) {
+    const trimmed = String(text).trim();
+    return trimmed.startsWith('"') && trimmed.endsWith('"') ? trimmed.slice(1, -1) : trimmed;
+  }
+
+  /**
+   * Format errors for a re-prompt
+   * @param {Array} errors - Errors from validate
+   * @returns {string} One line per error
+   */
+  formatErrors(errors) {
+    return errors.map(error => `- Line ${error.line} \`${error.command}\`: ${error.message}`).join('\n');
+  }
+}
+
+export default CommandValidator;
@@ -0,0 +1,98 @@
+/**
+ * ConversationStore - Short per-session AI conversations (in-memory)
+ * Keeps the last few prompt/commands turns of each session so follow-up
+ * prompts ("now make it red") can refer to earlier ones
+ *
+ * Session IDs come from the client, so sessions are kept per owner (the
+ * rate limit key: API key user or IP address); another client sending the
+ * same session ID gets a conversation of its own
+ */
+export class ConversationStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxTurns - Turns kept per session (default: 5)
+   * @param {number} options.ttlMs - Idle time before a session is forgotten (default: 30 minutes)
+   * @param {number} options.maxSessions - Sessions kept at once; the oldest go first (default: 1000)
+   */
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns || 5;
+    this.ttlMs = options.ttlMs || 30 * 60 * 1000;
+    this.maxSessions = options.maxSessions || 1000;
+
+    this.sessions = new Map(); // getKey(owner, sessionId) -> { turns: [{prompt, commands}], updatedAt }
+  }
+
+  /**
+   * Map key of a session
+   * @param {string} owner - Who the session belongs to
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Key (owners and session IDs can both contain ':')
+   */
+  getKey(owner, sessionId) {
+    return JSON.stringify([owner, sessionId]);
+  }
+
+  /**
+   * Get the conversation of a session as model messages
+   * @param {string} owner - Who the session belongs to
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Alternating user/assistant messages, oldest first
+   */
+  getMessages(owner, sessionId) {
+    this.prune();
+    const session = sessionId && this.sessions.get(this.getKey(owner, sessionId));
+    if (!session) return [];
+
+    return session.turns.flatMap(turn => [
+      { role: 'user', content: turn.prompt },
+      { role: 'assistant', content: JSON.stringify(turn.commands) },
+    ]);
+  }
+
+  /**
+   * Record a finished turn
+   * @param {string} owner - Who the session belongs to
+   * @param {string} sessionId - Session identifier
+   * @param {string} prompt - The user's prompt
+   * @param {Array<string>} commands - Commands returned for it
+   */
+  addTurn(owner, sessionId, prompt, commands) {
+    if (!sessionId) return;
+
+    const key = this.getKey(owner, sessionId);
+    const session = this.sessions.get(key) || { turns: [] };
+    session.turns = [...session.turns, { prompt, commands }].slice(-this.maxTurns);
+    session.updatedAt = Date.now();
+
+    // Re-insert so Map order is least recently used first
+    this.sessions.delete(key);
+    this.sessions.set(key, session);
+
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget a session
+   * @param {string} owner - Who the session belongs to
+   * @param {string} sessionId - Session identifier
+   */
+  clear(owner, sessionId) {
+    this.sessions.delete(this.getKey(owner, sessionId));
+  }
+
+  /**
+   * Drop sessions idle for longer than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    this.sessions.forEach((session, key) => {
+      if (session.updatedAt < cutoff) {
+        this.sessions.delete(key);
+      }
+    });
+  }
+}
+
+export default ConversationStore;
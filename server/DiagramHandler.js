@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import { DiagramImporter } from '../src/core.js';
+import { createDiagramStore } from './diagrams/index.js';
+
+// Short IDs for share links (basic.html?d=k3x9p2ma)
+const ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const ID_LENGTH = 8;
+const ID_PATTERN = /^[a-z0-9]{4,32}$/;
+
+/**
+ * Read a whole number from the environment
+ * @returns {number|undefined} Value, or undefined if unset or invalid
+ */
+const readNumber = (name) => {
+  const value = Number(process.env[name]);
+  if (process.env[name] && !(Number.isInteger(value) && value >= 0)) {
+    console.warn(`[DiagramHandler] Ignoring ${name}="${process.env[name]}", expected a whole number`);
+    return undefined;
+  }
+  return process.env[name] ? value : undefined;
+};
+
+/**
+ * DiagramHandler - Saved diagrams with short shareable IDs
+ * A saved diagram holds everything needed to bring it back exactly: the
+ * command history, the node numbering (:1, :2, ...) and the canvas state
+ * (node positions and styles) in the "Export JSON" format
+ *
+ * Diagrams saved with an API key belong to that user. Diagrams saved without
+ * one get an edit token, returned once on create and needed to change them.
+ * Each caller (API key user, or IP address without one) may keep a limited
+ * number of diagrams and bytes
+ *
+ * Errors carry an HTTP status (400 invalid, 403 not the owner, 404 not found,
+ * 429 over quota)
+ */
+export class DiagramHandler {
+  /**
+   * @param {Object} store - Diagram store (default: from DIAGRAM_STORE, see diagrams/index.js)
+   * @param {Object} options - Quotas per caller, 0 for no limit
+   * @param {number} options.maxDiagrams - Stored diagrams (default: DIAGRAM_QUOTA_COUNT or 100)
+   * @param {number} options.maxBytes - Stored content as JSON (default: DIAGRAM_QUOTA_BYTES or 10 MB)
+   */
+  constructor(store = null, options = {}) {
+    this.store = store || createDiagramStore();
+    this.maxDiagrams = options.maxDiagrams ?? readNumber('DIAGRAM_QUOTA_COUNT') ?? 100;
+    this.maxBytes = options.maxBytes ?? readNumber('DIAGRAM_QUOTA_BYTES') ?? 10 * 1024 * 1024;
+  }
+
+  /**
+   * Save a new diagram
+   * @param {Object} input - {title, history, idMapping, diagram}
+   * @param {Object} user - Authenticated user {id, role}, or null
+   * @param {string} caller - Who is saving, for the quota (RateLimiter.getClientKey)
+   * @returns {Object} Saved record (see toPublic), with an editToken if saved without a user
+   * @throws {Error} If the input is invalid or the caller is over quota
+   */
+  create(input, user = null, caller = null) {
+    const content = this.validate(input);
+    const size = this.getSize(content);
+    this.checkQuota(caller, 1, size);
+
+    const editToken = user ? null : crypto.randomBytes(24).toString('base64url');
+    const now = new Date().toISOString();
+    const record = {
+      id: this.createId(),
+      ...content,
+      owner: user?.id || null,
+      editTokenHash: editToken ? this.hashToken(editToken) : null,
+      creator: caller,
+      size,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.store.save(record);
+    console.log(`[DiagramHandler] Saved diagram ${record.id} (${record.history.length} lines)`);
+    return editToken ? { ...this.toPublic(record), editToken } : this.toPublic(record);
+  }
+
+  /**
+   * Load a diagram
+   * @param {string} id - Diagram ID
+   * @returns {Object} Saved record, with its edit token hash, creator and size
+   * @throws {Error} If it doesn't exist
+   */
+  get(id) {
+    const record = ID_PATTERN.test(id) ? this.store.get(id) : null;
+    if (!record) {
+      throw this.createError(404, 'Diagram not found');
+    }
+    return record;
+  }
+
+  /**
+   * Replace a diagram's content (fields left out keep their value)
+   * @param {string} id - Diagram ID
+   * @param {Object} input - {title, history, idMapping, diagram}
+   * @param {Object} user - Authenticated user, or null
+   * @param {string} editToken - Edit token, for diagrams saved without a user
+   * @returns {Object} Updated record (see toPublic)
+   * @throws {Error} If it doesn't exist, the input is invalid, the caller may not change it
+   *   or its creator would go over quota
+   */
+  update(id, input, user = null, editToken = null) {
+    const existing = this.get(id);
+    this.checkOwner(existing, user, editToken);
+
+    const content = this.validate({ ...existing, ...input });
+    const size = this.getSize(content);
+    this.checkQuota(existing.creator, 0, size - (existing.size || 0));
+
+    const record = {
+      ...existing,
+      ...content,
+      size,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.store.save(record);
+    console.log(`[DiagramHandler] Updated diagram ${id}`);
+    return this.toPublic(record);
+  }
+
+  /**
+   * Delete a diagram
+   * @param {string} id - Diagram ID
+   * @param {Object} user - Authenticated user, or null
+   * @param {string} editToken - Edit token, for diagrams saved without a user
+   * @throws {Error} If it doesn't exist or the caller may not change it
+   */
+  remove(id, user = null, editToken = null) {
+    this.checkOwner(this.get(id), user, editToken);
+    this.store.delete(id);
+    console.log(`[DiagramHandler] Deleted diagram ${id}`);
+  }
+
+  /**
+   * List saved diagrams (without content)
+   * @param {Object} filter - {owner} to only list one user's diagrams
+   * @returns {Array} {id, title, owner, createdAt, updatedAt}, newest first
+   */
+  list(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  /**
+   * Check and normalize diagram content
+   * @param {Object} input - Request body
+   * @returns {Object} {title, history, idMapping, diagram}
+   * @throws {Error} With status 400 if invalid
+   */
+  validate(input = {}) {
+    const { title = null, history = [], idMapping = null, diagram = null } = input;
+
+    if (title !== null && (typeof title !== 'string' || title.length > 200)) {
+      throw this.createError(400, 'title must be a string of at most 200 characters');
+    }
+    if (!Array.isArray(history) || history.some(line => typeof line !== 'string')) {
+      throw this.createError(400, 'history must be an array of strings');
+    }
+    if (idMapping !== null && (typeof idMapping !== 'object' || Array.isArray(idMapping))) {
+      throw this.createError(400, 'idMapping must be an object (IDManager.toJSON())');
+    }
+    if (diagram !== null) {
+      if (typeof diagram !== 'object' || !Array.isArray(diagram.nodes)) {
+        throw this.createError(400, 'diagram must be an object with a nodes array ("Export JSON" format)');
+      }
+      // An empty canvas is fine; anything else must import cleanly
+      if (diagram.nodes.length > 0) {
+        try {
+          DiagramImporter.validateJSON(diagram);
+        } catch (error) {
+          throw this.createError(400, error.message);
+        }
+      }
+    }
+    if (history.length === 0 && !diagram?.nodes.length) {
+      throw this.createError(400, 'Nothing to save: history and diagram are both empty');
+    }
+
+    return { title, history, idMapping, diagram };
+  }
+
+  /**
+   * Record as sent to clients, without the edit token hash, creator and size
+   * @param {Object} record - Saved record
+   * @returns {Object} {id, title, history, idMapping, diagram, owner, createdAt, updatedAt}
+   */
+  toPublic(record) {
+    const { editTokenHash, creator, size, ...publicRecord } = record;
+    return publicRecord;
+  }
+
+  /**
+   * Only the owner (or an admin) may change an owned diagram
+   * Diagrams saved without an API key need the edit token returned when they
+   * were created; ones saved before edit tokens existed only by an admin
+   */
+  checkOwner(record, user, editToken = null) {
+    if (user?.role === 'admin') return;
+
+    if (record.owner) {
+      if (record.owner === user?.id) return;
+      throw this.createError(403, 'Only the owner can change this diagram');
+    }
+
+    const expected = record.editTokenHash ? Buffer.from(record.editTokenHash, 'hex') : null;
+    const given = typeof editToken === 'string' ? Buffer.from(this.hashToken(editToken), 'hex') : null;
+    if (expected && given && crypto.timingSafeEqual(expected, given)) return;
+    throw this.createError(403, 'Changing this diagram needs the edit token returned when it was saved');
+  }
+
+  /**
+   * Refuse a change that would take a caller over its quota
+   * @param {string|null} caller - Client key, null for no quota (e.g. records saved before quotas)
+   * @param {number} addedDiagrams - Diagrams the change adds
+   * @param {number} addedBytes - Bytes the change adds (negative when it shrinks)
+   * @throws {Error} With status 429 if over quota
+   */
+  checkQuota(caller, addedDiagrams, addedBytes) {
+    if (!caller) return;
+
+    const usage = this.store.usage(caller);
+    if (addedDiagrams > 0 && this.maxDiagrams && usage.count + addedDiagrams > this.maxDiagrams) {
+      throw this.createError(429, `You can keep at most ${this.maxDiagrams} saved diagrams; delete some first`);
+    }
+    if (addedBytes > 0 && this.maxBytes && usage.bytes + addedBytes > this.maxBytes) {
+      throw this.createError(429, `Your saved diagrams can take at most ${this.maxBytes} bytes; delete some first`);
+    }
+  }
+
+  /**
+   * Size of diagram content as stored
+   * @param {Object} content - {title, history, idMapping, diagram}
+   * @returns {number} Bytes of its JSON
+   */
+  getSize(content) {
+    return Buffer.byteLength(JSON.stringify(content));
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Random short ID not used yet
+   * @returns {string} ID
+   */
+  createId() {
+    let id;
+    do {
+      id = Array.from({ length: ID_LENGTH }, () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]).join('');
+    } while (this.store.has(id));
+    return id;
+  }
+
+  createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+export default DiagramHandler;
@@ -1,25 +1,32 @@
-import Anthropic from '@anthropic-ai/sdk';
 import CommandRegistry from './CommandRegistry.js';
+import { CommandValidator } from './CommandValidator.js';
+import { CommandStreamParser } from './CommandStreamParser.js';
+import { ConversationStore } from './ConversationStore.js';
+import { createProvider } from './providers/index.js';
 
 /**
  * LLMHandler - Handles LLM API calls for diagram generation
+ * The model backend is an LLMProvider (see providers/), chosen with LLM_PROVIDER
  */
 export class LLMHandler {
-  constructor(apiKey, commandRegistry = null) {
-    this.anthropic = new Anthropic({
-      apiKey: apiKey || process.env.ANTHROPIC_API_KEY,
-    });
+  constructor(provider = null, commandRegistry = null) {
+    // Use provided provider or the one configured in the environment
+    this.provider = provider || createProvider();
 
     // Use provided registry or default singleton
     this.commandRegistry = commandRegistry || CommandRegistry;
 
-    // Generate system prompt from registry
+    // Generate system prompts from registry (new diagram / edit an existing one)
     this.systemPrompt = this.commandRegistry.generateSystemPrompt();
+    this.editSystemPrompt = this.systemPrompt + this.commandRegistry.generateEditingPrompt();
 
     console.log('[LLMHandler] System prompt generated from CommandRegistry');
 
-    // Rate limiting state (in-memory, could be Redis in production)
-    this.requestCounts = new Map(); // userId -> { count, resetTime }
+    // Recent prompts per session, for follow-up requests
+    this.conversations = new ConversationStore();
+
+    // Checks generated commands against the parser
+    this.commandValidator = new CommandValidator(this.commandRegistry);
   }
 
   /**
@@ -27,97 +34,63 @@ export class LLMHandler {
    */
   refreshSystemPrompt() {
     this.systemPrompt = this.commandRegistry.generateSystemPrompt();
+    this.editSystemPrompt = this.systemPrompt + this.commandRegistry.generateEditingPrompt();
     console.log('[LLMHandler] System prompt refreshed');
   }
 
-  /**
-   * Check rate limit for a user
-   * @param {string} userId - User identifier (IP, session, etc.)
-   * @param {number} limit - Max requests per time window
-   * @param {number} windowMs - Time window in milliseconds
-   * @returns {boolean} - True if allowed, false if rate limited
-   */
-  checkRateLimit(userId, limit = 100, windowMs = 24 * 60 * 60 * 1000) {
-    const now = Date.now();
-    const userStats = this.requestCounts.get(userId);
-
-    if (!userStats || now > userStats.resetTime) {
-      // Reset or first request
-      this.requestCounts.set(userId, {
-        count: 1,
-        resetTime: now + windowMs,
-      });
-      return true;
-    }
-
-    if (userStats.count >= limit) {
-      return false; // Rate limited
-    }
-
-    // Increment count
-    userStats.count++;
-    return true;
-  }
-
   /**
    * Generate diagram commands from natural language
+   * Commands are checked with CommandValidator; if any fail, the model is asked
+   * once to fix them. Commands still invalid after that are left out and
+   * reported in warnings
    * @param {string} userPrompt - User's natural language description
    * @param {string} model - Model to use (default: claude-3-5-sonnet-20241022)
-   * @param {string} userId - User identifier for rate limiting
-   * @returns {Promise<{commands: string[], usage: object}>}
+   * @param {string} userId - User identifier (for logs and to keep conversations apart; rate limits are checked by the API)
+   * @param {Object} context - Existing diagram and conversation (optional, see buildMessages)
+   * @returns {Promise<{commands: string[], warnings: Array<{line, command, message}>, usage: object}>}
    */
-  async generateDiagram(userPrompt, model = 'claude-3-5-haiku-20241022', userId = 'default') {
-    // Check rate limit
-    if (!this.checkRateLimit(userId)) {
-      throw new Error('Rate limit exceeded. Please try again later.');
-    }
-
+  async generateDiagram(userPrompt, model = 'claude-3-5-haiku-20241022', userId = 'default', context = {}) {
     try {
-      console.log('[LLMHandler] Generating diagram for prompt:', userPrompt);
+      console.log(`[LLMHandler] Generating diagram for ${userId}:`, userPrompt);
 
-      const message = await this.anthropic.messages.create({
-        model: model,
-        max_tokens: 1024,
-        system: this.systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: userPrompt,
-          },
-        ],
-      });
+      const messages = this.buildMessages(userPrompt, context, userId);
+      const system = this.getSystemPrompt(context);
 
-      console.log('[LLMHandler] Response received:', message.content[0].text);
+      let response = await this.requestCommands(messages, model, system);
+      const usage = { ...response.usage };
+      let validation = this.commandValidator.validate(response.commands, context);
 
-      // Parse the response
-      const responseText = message.content[0].text.trim();
+      if (!validation.valid) {
+        console.log(`[LLMHandler] ${validation.errors.length} invalid commands, asking the model to fix them`);
 
-      // Try to extract JSON array if wrapped in markdown code blocks
-      let jsonText = responseText;
-      const codeBlockMatch = responseText.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/);
-      if (codeBlockMatch) {
-        jsonText = codeBlockMatch[1];
-      }
+        messages.push(
+          { role: 'assistant', content: response.text },
+          {
+            role: 'user',
+            content: `Some commands are invalid:\n${this.commandValidator.formatErrors(validation.errors)}\n\nReturn the complete corrected JSON array of commands.`,
+          }
+        );
 
-      // Parse JSON
-      let commands;
-      try {
-        commands = JSON.parse(jsonText);
-      } catch (parseError) {
-        console.error('[LLMHandler] Failed to parse JSON:', jsonText);
-        throw new Error('Invalid JSON response from LLM');
+        response = await this.requestCommands(messages, model, system);
+        usage.input_tokens += response.usage.input_tokens;
+        usage.output_tokens += response.usage.output_tokens;
+        validation = this.commandValidator.validate(response.commands, context);
       }
 
-      if (!Array.isArray(commands)) {
-        throw new Error('LLM response is not an array');
+      // Leave out commands that are still invalid
+      const invalidLines = new Set(validation.errors.map(error => error.line));
+      const commands = response.commands.filter((command, index) => !invalidLines.has(index + 1));
+
+      if (validation.errors.length > 0) {
+        console.warn(`[LLMHandler] Dropped ${invalidLines.size} invalid commands`);
       }
 
+      this.conversations.addTurn(userId, context.sessionId, userPrompt, commands);
+
       return {
         commands,
-        usage: {
-          input_tokens: message.usage.input_tokens,
-          output_tokens: message.usage.output_tokens,
-        },
+        warnings: validation.errors,
+        usage,
       };
     } catch (error) {
       console.error('[LLMHandler] Error generating diagram:', error);
@@ -126,21 +99,189 @@ export class LLMHandler {
   }
 
   /**
-   * Get rate limit status for a user
-   * @param {string} userId - User identifier
-   * @returns {object} - { remaining, resetTime }
+   * Generate diagram commands, reporting each command as soon as the model finishes it
+   * Commands are validated one by one; invalid ones are skipped and reported
+   * through onWarning (there is no re-prompt, earlier commands are already out)
+   * @param {string} userPrompt - User's natural language description
+   * @param {string} model - Model to use
+   * @param {string} userId - User identifier (for logs and to keep conversations apart; rate limits are checked by the API)
+   * @param {Object} context - Existing diagram and conversation (optional, see buildMessages)
+   * @param {Object} handlers - Stream handlers
+   * @param {Function} handlers.onCommand - Called with (command, line) for each valid command
+   * @param {Function} handlers.onWarning - Called with {line, command, message} for each skipped command
+   * @param {AbortSignal} handlers.signal - Aborts the upstream request
+   * @returns {Promise<{commands: string[], warnings: Array, usage: object}>}
    */
-  getRateLimitStatus(userId) {
-    const userStats = this.requestCounts.get(userId);
-    const limit = 100;
+  async streamDiagram(userPrompt, model = 'claude-3-5-haiku-20241022', userId = 'default', context = {}, handlers = {}) {
+    const { onCommand, onWarning, signal } = handlers;
+
+    console.log(`[LLMHandler] Streaming diagram for ${userId}:`, userPrompt);
+
+    const parser = new CommandStreamParser();
+    const validateNext = this.commandValidator.createStreamValidator(context);
+    const commands = [];
+    const warnings = [];
+    let received = '';
+    let line = 0;
+
+    const request = {
+      model: model,
+      maxTokens: 1024,
+      system: this.getSystemPrompt(context),
+      messages: this.buildMessages(userPrompt, context, userId),
+      signal,
+    };
+
+    let usage;
+    try {
+      ({ usage } = await this.provider.stream(request, (text) => {
+        received += text;
+        parser.push(text).forEach(command => {
+          line++;
+          const errors = validateNext(command);
+
+          if (errors.length > 0) {
+            const warning = { line, command, message: errors.join('; ') };
+            warnings.push(warning);
+            if (onWarning) onWarning(warning);
+            return;
+          }
+
+          commands.push(command);
+          if (onCommand) onCommand(command, line);
+        });
+      }));
+    } catch (error) {
+      // Tokens spent before an abort or failure still count against the rate limit
+      error.usage = error.usage || this.estimateUsage(request, received, signal?.aborted);
+      throw error;
+    }
+
+    if (!parser.isComplete()) {
+      console.error('[LLMHandler] Incomplete JSON array:', parser.text);
+      const error = new Error('Invalid JSON response from LLM');
+      error.usage = usage;
+      throw error;
+    }
+
+    console.log(`[LLMHandler] Stream complete: ${commands.length} commands, ${warnings.length} skipped`);
+
+    this.conversations.addTurn(userId, context.sessionId, userPrompt, commands);
+
+    return {
+      commands,
+      warnings,
+      usage,
+    };
+  }
+
+  /**
+   * Rough token counts (about 4 characters per token) for a stream that ended
+   * before the provider reported usage
+   * @param {Object} request - Provider request {system, messages}
+   * @param {string} text - Text received so far
+   * @param {boolean} aborted - Whether the client cancelled
+   * @returns {Object|null} {input_tokens, output_tokens}, or null if the model never started
+   */
+  estimateUsage({ system, messages }, text, aborted) {
+    if (!text && !aborted) return null;
+
+    const inputLength = messages.reduce((sum, message) => sum + String(message.content).length, system.length);
+    return {
+      input_tokens: Math.ceil(inputLength / 4),
+      output_tokens: Math.ceil(text.length / 4),
+    };
+  }
+
+  /**
+   * Pick the system prompt: editing instructions when there is an existing diagram
+   * @param {Object} context - Request context
+   * @returns {string} System prompt
+   */
+  getSystemPrompt(context = {}) {
+    return context.history?.length > 0 ? this.editSystemPrompt : this.systemPrompt;
+  }
+
+  /**
+   * Build the messages for a request: earlier turns of the session, then the
+   * prompt with the current diagram and its node numbers
+   * @param {string} userPrompt - User's natural language description
+   * @param {Object} context - Request context
+   * @param {Array<string>} context.history - Current diagram lines (diagramHistory)
+   * @param {Object} context.idMapping - Node numbering from IDManager.toJSON()
+   * @param {string} context.sessionId - Conversation identifier
+   * @param {string} userId - Who the conversation belongs to
+   * @returns {Array} Messages for the model
+   */
+  buildMessages(userPrompt, context = {}, userId = 'default') {
+    const { history = [], idMapping, sessionId } = context;
+    let content = userPrompt;
+
+    if (history.length > 0) {
+      const numbers = Object.entries(idMapping?.numberToNodeId || {})
+        .map(([number, nodeId]) => `:${number} = ${nodeId}`);
+
+      content = [
+        `Current diagram: ${JSON.stringify(history)}`,
+        numbers.length > 0 ? `Node numbers: ${numbers.join(', ')}` : null,
+        `User: "${userPrompt}"`,
+      ].filter(Boolean).join('\n');
+    }
+
+    return [
+      ...this.conversations.getMessages(userId, sessionId),
+      {
+        role: 'user',
+        content,
+      },
+    ];
+  }
+
+  /**
+   * Send the conversation to the model and parse the JSON array it returns
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model to use
+   * @param {string} system - System prompt
+   * @returns {Promise<{text: string, commands: Array, usage: object}>}
+   * @throws {Error} If the response is not a JSON array
+   */
+  async requestCommands(messages, model, system = this.systemPrompt) {
+    const { text, usage } = await this.provider.generate({
+      model: model,
+      maxTokens: 1024,
+      system,
+      messages,
+    });
+
+    console.log('[LLMHandler] Response received:', text);
+
+    // Parse the response
+    const responseText = text.trim();
+
+    // Try to extract JSON array if wrapped in markdown code blocks
+    let jsonText = responseText;
+    const codeBlockMatch = responseText.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/);
+    if (codeBlockMatch) {
+      jsonText = codeBlockMatch[1];
+    }
+
+    // Parse JSON
+    let commands;
+    try {
+      commands = JSON.parse(jsonText);
+    } catch (parseError) {
+      console.error('[LLMHandler] Failed to parse JSON:', jsonText);
+      throw new Error('Invalid JSON response from LLM');
+    }
 
-    if (!userStats) {
-      return { remaining: limit, resetTime: null };
+    if (!Array.isArray(commands)) {
+      throw new Error('LLM response is not an array');
     }
 
     return {
-      remaining: Math.max(0, limit - userStats.count),
-      resetTime: userStats.resetTime,
+      text: responseText,
+      commands,
+      usage,
     };
   }
 }
@@ -0,0 +1,208 @@
+import {
+  DiagramParser,
+  DiagramImporter,
+  SvgRenderer,
+  StyleParser,
+  GroupLayout,
+  applyLayout,
+} from '../src/core.js';
+
+/**
+ * RenderHandler - Renders diagrams to SVG without a browser
+ * Runs the same parser, commands and layouts as the editor, then draws
+ * the result with SvgRenderer
+ */
+export class RenderHandler {
+  constructor() {
+    this.styleParser = new StyleParser();
+
+    // Image option ranges; larger values only make huge, empty SVGs
+    this.scaleRange = [0.1, 10];
+    this.paddingRange = [0, 1000];
+
+    // Diagram size caps; layouts (dagre in particular) recurse along chains of edges
+    this.maxLines = 2000;
+    this.maxNodes = 500;
+    this.maxEdges = 1000;
+  }
+
+  /**
+   * Check the size of a render request before parsing it
+   * @param {Object} input - {commands, diagram}, as passed to render
+   * @returns {string|null} Error message, or null if the input is small enough
+   */
+  validateSize({ commands, diagram } = {}) {
+    if (typeof commands === 'string' || Array.isArray(commands)) {
+      // History entries can hold several lines
+      const lineCount = [].concat(commands).reduce((count, entry) => count + String(entry).split('\n').length, 0);
+      if (lineCount > this.maxLines) {
+        return `commands can have at most ${this.maxLines} lines`;
+      }
+    }
+    if (diagram && typeof diagram === 'object') {
+      return this.checkCounts(diagram.nodes?.length || 0, diagram.edges?.length || 0);
+    }
+    return null;
+  }
+
+  /**
+   * Check node and edge counts against the caps
+   * @param {number} nodeCount - Number of nodes
+   * @param {number} edgeCount - Number of edges
+   * @returns {string|null} Error message, or null if within the caps
+   */
+  checkCounts(nodeCount, edgeCount) {
+    if (nodeCount > this.maxNodes) {
+      return `Diagrams can have at most ${this.maxNodes} nodes`;
+    }
+    if (edgeCount > this.maxEdges) {
+      return `Diagrams can have at most ${this.maxEdges} edges`;
+    }
+    return null;
+  }
+
+  /**
+   * Check the image options of a render request
+   * @param {Object} options - {padding, background, transparent, scale}, each optional
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateImageOptions({ padding, background, transparent, scale } = {}) {
+    const inRange = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+    if (scale !== undefined && !inRange(scale, this.scaleRange)) {
+      return `scale must be a number from ${this.scaleRange[0]} to ${this.scaleRange[1]}`;
+    }
+    if (padding !== undefined && !inRange(padding, this.paddingRange)) {
+      return `padding must be a number of px from ${this.paddingRange[0]} to ${this.paddingRange[1]}`;
+    }
+    // Same colors as node styles: #hex, rgb()/hsl() or a color name
+    if (background !== undefined && (typeof background !== 'string' || !this.styleParser.parseColor(background))) {
+      return 'background must be a color: #hex, rgb(), hsl() or a color name';
+    }
+    if (transparent !== undefined && typeof transparent !== 'boolean') {
+      return 'transparent must be true or false';
+    }
+    return null;
+  }
+
+  /**
+   * Render command text or an exported JSON diagram to SVG
+   * @param {Object} input - What to render (one of commands or diagram)
+   * @param {string|Array<string>} input.commands - Command lines, as held in diagramHistory
+   * @param {Object} input.diagram - Diagram JSON from "Export JSON" ({nodes, edges})
+   * @param {Object} options - Render options
+   * @param {string} options.layout - Layout to apply last (decision, tree, list, grid, circle, flow)
+   * @param {Object} options.layoutOptions - Options for that layout ({columns}, {mode}, {direction})
+   * @param {number} options.padding - Space around the diagram in px
+   * @param {string} options.background - Background color
+   * @param {boolean} options.transparent - No background
+   * @param {number} options.scale - Output size multiplier
+   *   (image options are checked with validateImageOptions first)
+   * @returns {Object} {svg, nodes, edges, warnings}
+   * @throws {Error} If the input is missing, invalid or too large (see validateSize)
+   */
+  render(input, options = {}) {
+    const warnings = [];
+    let { nodes, edges } = input.diagram
+      ? this.fromJSON(input.diagram)
+      : this.fromCommands(input.commands, warnings);
+
+    if (nodes.length === 0) {
+      throw new Error('Diagram has no nodes');
+    }
+
+    if (options.layout) {
+      nodes = this.layout(options.layout, nodes, edges, options.layoutOptions, warnings);
+    }
+
+    const svg = SvgRenderer.render(nodes, edges, {
+      padding: options.padding,
+      background: options.background,
+      transparent: options.transparent,
+      scale: options.scale,
+    });
+
+    console.log(`[RenderHandler] Rendered ${nodes.length} nodes and ${edges.length} edges`);
+    return { svg, nodes, edges, warnings };
+  }
+
+  /**
+   * Build nodes and edges from command lines, executing @ style (node and edge) and =layout commands in order
+   * @param {string|Array<string>} commands - Command lines
+   * @param {Array<string>} warnings - Collects parse diagnostics and command errors
+   * @returns {Object} {nodes, edges}
+   * @throws {Error} If the commands are not strings, or parse to more nodes or edges than the caps
+   */
+  fromCommands(commands, warnings) {
+    const lines = Array.isArray(commands) ? commands : [commands];
+    if (lines.length === 0 || lines.some(line => typeof line !== 'string')) {
+      throw new Error('Commands must be a string or an array of strings');
+    }
+
+    // A fresh parser per render: SyntaxManager keeps state between parses
+    const diagramParser = new DiagramParser();
+    const { nodes: parsedNodes, edges: parsedEdges, commands: parsedCommands, diagnostics } = diagramParser.getNodesAndEdges(lines.join('\n'));
+    const commandHandler = diagramParser.getCommandHandler();
+    diagnostics.forEach(({ line, column, message }) => warnings.push(`Line ${line}:${column}: ${message}`));
+
+    // One line can chain many edges, so counts are checked again before any =layout runs
+    const sizeError = this.checkCounts(parsedNodes.length, parsedEdges.length);
+    if (sizeError) {
+      throw new Error(sizeError);
+    }
+
+    let nodes = parsedNodes.map(node => ({
+      ...node,
+      data: { ...node.data, styleOverrides: { ...(node.data.styleOverrides || {}) } },
+    }));
+    let edges = parsedEdges;
+
+    parsedCommands.forEach(command => {
+      commandHandler.executeCommand(command, nodes, {
+        onApplyStyle: (nodeId, styles) => {
+          nodes = nodes.map(n => (n.id === nodeId
+            ? { ...n, data: { ...n.data, styleOverrides: { ...n.data.styleOverrides, ...styles } } }
+            : n));
+        },
+        onChangeNodeType: (nodeId, type) => {
+          nodes = nodes.map(n => (n.id === nodeId ? { ...n, type, data: { ...n.data, typeOverride: type } } : n));
+        },
+        onApplyEdgeStyle: (edgeId, styles) => {
+          edges = edges.map(e => (e.id === edgeId
+            ? { ...e, data: { ...e.data, styleOverrides: { ...e.data?.styleOverrides, ...styles } } }
+            : e));
+        },
+        onApplyLayout: (layoutType, currentNodes, layoutOptions) => {
+          nodes = this.layout(layoutType, nodes, edges, layoutOptions, warnings);
+        },
+        onError: (message) => warnings.push(message),
+      }, edges);
+    });
+
+    return { nodes: GroupLayout.fitGroups(nodes), edges };
+  }
+
+  /**
+   * Build nodes and edges from exported diagram JSON
+   * @param {Object} diagram - Diagram JSON ({nodes, edges})
+   * @returns {Object} {nodes, edges}
+   * @throws {Error} If the JSON fails DiagramImporter validation
+   */
+  fromJSON(diagram) {
+    const { nodes, edges } = DiagramImporter.importFromJSON(diagram);
+    return { nodes: GroupLayout.fitGroups(nodes), edges };
+  }
+
+  /**
+   * Apply a layout by name, keeping the nodes unchanged for unknown names
+   * @returns {Array} Laid out nodes
+   */
+  layout(layoutType, nodes, edges, layoutOptions = {}, warnings = []) {
+    const layoutedNodes = applyLayout(layoutType, nodes, edges, layoutOptions);
+    if (!layoutedNodes) {
+      warnings.push(`Unknown layout type: ${layoutType}`);
+      return nodes;
+    }
+    return layoutedNodes;
+  }
+}
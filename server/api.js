@@ -4,6 +4,11 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { LLMHandler } from './LLMHandler.js';
+import { RenderHandler } from './RenderHandler.js';
+import { AuthHandler } from './AuthHandler.js';
+import { DiagramHandler } from './DiagramHandler.js';
+import { CollaborationServer } from './collaboration/CollaborationServer.js';
+import { createRateLimiter } from './rateLimit/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -14,12 +19,17 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Initialize Auth Handler (API keys, CORS allowlist, proxy settings)
+const auth = new AuthHandler();
+auth.configure(app);
+const authenticate = auth.authenticate();
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(auth.getCorsOptions()));
+app.use(express.json({ limit: '1mb' })); // Saved diagrams include every node's position and style
 
-// Serve static files from root directory
-app.use(express.static(path.join(__dirname, '..')));
+// Static files: only what the browser needs, never the repository root
+// (keys files, .env, local data and server code live there)
 
 // Serve dist directory for bundled files
 app.use('/dist', express.static(path.join(__dirname, '../dist')));
@@ -30,9 +40,66 @@ app.use('/examples', express.static(path.join(__dirname, '../examples')));
 // Serve fonts directory
 app.use('/fonts', express.static(path.join(__dirname, '../fonts')));
 
+// Browser modules the examples import directly (published with the package)
+app.use('/src', express.static(path.join(__dirname, '../src')));
+app.get('/trustquery-logo.svg', (req, res) => res.sendFile(path.join(__dirname, '../trustquery-logo.svg')));
+
 // Initialize LLM Handler
 const llmHandler = new LLMHandler();
 
+// Initialize Render Handler
+const renderHandler = new RenderHandler();
+
+// Initialize Diagram Handler (saved diagrams, store from DIAGRAM_STORE)
+const diagramHandler = new DiagramHandler();
+
+// Initialize Collaboration Server (shared editing rooms, attached once the server listens)
+const collaboration = new CollaborationServer({ auth });
+
+// Initialize Rate Limiter (store and quotas from RATE_LIMIT_* settings)
+const rateLimiter = createRateLimiter();
+
+/**
+ * Read the optional editing context of a generate request
+ * @param {Object} body - Request body
+ * @returns {Object|null} {history, idMapping, sessionId}, or null if malformed
+ */
+const getDiagramContext = (body) => {
+  const { history = [], idMapping = null, sessionId = null } = body;
+
+  if (!Array.isArray(history) || history.some(line => typeof line !== 'string')) return null;
+  if (idMapping !== null && typeof idMapping !== 'object') return null;
+  if (sessionId !== null && typeof sessionId !== 'string') return null;
+
+  return { history, idMapping, sessionId };
+};
+
+/**
+ * Check the body of a generate request before it counts against the rate limit
+ * The editing context is left on req.diagramContext
+ */
+const validateGenerateRequest = (req, res, next) => {
+  const { prompt } = req.body || {};
+  const context = getDiagramContext(req.body || {});
+
+  if (!prompt || typeof prompt !== 'string') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Prompt is required and must be a string',
+    });
+  }
+
+  if (!context) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'history must be an array of strings, idMapping an object and sessionId a string',
+    });
+  }
+
+  req.diagramContext = context;
+  next();
+};
+
 /**
  * POST /api/generate-diagram
  * Generate diagram commands from natural language
@@ -40,24 +107,24 @@ const llmHandler = new LLMHandler();
  * Body:
  * - prompt: string (user's natural language description)
  * - model: string (optional, model to use)
+ * - history: string[] (optional, current diagram lines; commands then edit it)
+ * - idMapping: object (optional, node numbering from IDManager.toJSON())
+ * - sessionId: string (optional, keeps a short conversation for follow-ups;
+ *   per API key user, or per IP address without a key)
  *
  * Response:
- * - commands: string[] (array of diagram commands)
+ * - commands: string[] (array of valid diagram commands)
+ * - warnings: {line, command, message}[] (commands left out because they are
+ *   still invalid after one retry; line is 1-based in the model's output)
  * - usage: object (token usage)
  */
-app.post('/api/generate-diagram', async (req, res) => {
+app.post('/api/generate-diagram', authenticate, validateGenerateRequest, rateLimiter.middleware(), async (req, res) => {
   try {
     const { prompt, model } = req.body;
+    const context = req.diagramContext;
 
-    if (!prompt || typeof prompt !== 'string') {
-      return res.status(400).json({
-        error: 'Invalid request',
-        message: 'Prompt is required and must be a string',
-      });
-    }
-
-    // Get user identifier for rate limiting (IP address)
-    const userId = req.ip || req.connection.remoteAddress || 'unknown';
+    // Rate limit identity (API key user, or IP address without a key)
+    const userId = req.rateLimitKey;
 
     console.log(`[API] Generate diagram request from ${userId}:`, prompt);
 
@@ -65,40 +132,293 @@ app.post('/api/generate-diagram', async (req, res) => {
     const result = await llmHandler.generateDiagram(
       prompt,
       model || 'claude-3-5-sonnet-20241022',
-      userId
+      userId,
+      context
     );
 
     console.log(`[API] Generated ${result.commands.length} commands`);
+    await rateLimiter.recordUsage(userId, result.usage);
 
     res.json({
       success: true,
       commands: result.commands,
+      warnings: result.warnings,
       usage: result.usage,
     });
   } catch (error) {
     console.error('[API] Error generating diagram:', error);
 
-    if (error.message === 'Rate limit exceeded. Please try again later.') {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/generate-diagram/stream
+ * Like /api/generate-diagram, but streams each command as soon as the model
+ * finishes it. Closing the connection aborts the model request.
+ *
+ * Body: same as /api/generate-diagram
+ *
+ * Response (application/x-ndjson, one JSON object per line):
+ * - { type: 'command', command, line }
+ * - { type: 'warning', line, command, message } (command skipped, failed validation)
+ * - { type: 'done', commands, warnings, usage }
+ * - { type: 'error', error, message }
+ */
+app.post('/api/generate-diagram/stream', authenticate, validateGenerateRequest, rateLimiter.middleware(), async (req, res) => {
+  const { prompt, model } = req.body;
+  const context = req.diagramContext;
+
+  const userId = req.rateLimitKey;
+  console.log(`[API] Stream diagram request from ${userId}:`, prompt);
+
+  // Abort the model request when the client goes away (e.g. cancel button)
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('[API] Client closed the stream - aborting generation');
+      controller.abort();
+    }
+  });
+
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`${JSON.stringify(event)}\n`);
+
+  try {
+    const result = await llmHandler.streamDiagram(
+      prompt,
+      model || 'claude-3-5-sonnet-20241022',
+      userId,
+      context,
+      {
+        signal: controller.signal,
+        onCommand: (command, line) => send({ type: 'command', command, line }),
+        onWarning: (warning) => send({ type: 'warning', ...warning }),
+      }
+    );
+
+    console.log(`[API] Streamed ${result.commands.length} commands`);
+    await rateLimiter.recordUsage(userId, result.usage);
+    send({ type: 'done', ...result });
+  } catch (error) {
+    // Tokens spent before an abort or failure still count
+    if (error.usage) {
+      await rateLimiter.recordUsage(userId, error.usage)
+        .catch(usageError => console.error('[API] Error recording usage:', usageError));
+    }
+
+    // An aborted request has nobody left to tell
+    if (!controller.signal.aborted) {
+      console.error('[API] Error streaming diagram:', error);
+      send({
+        type: 'error',
+        error: 'Internal server error',
         message: error.message,
       });
     }
+  }
 
-    res.status(500).json({
-      error: 'Internal server error',
+  res.end();
+});
+
+/**
+ * POST /api/render
+ * Render a diagram to SVG on the server (no browser needed)
+ *
+ * Body (one of commands or diagram):
+ * - commands: string | string[] (command lines, as in diagramHistory)
+ * - diagram: object (JSON from "Export JSON")
+ * - layout: string (optional, layout applied last: decision, tree, list, grid, circle, flow)
+ * - layoutOptions: object (optional, e.g. { direction: 'LR' } or { columns: 3 })
+ * - padding, background, transparent, scale (optional, image options: padding 0-1000 px,
+ *   background a color, transparent a boolean, scale 0.1-10)
+ * - format: 'svg' | 'json' (optional, default 'svg')
+ *
+ * Diagrams are capped at 2000 command lines, 500 nodes and 1000 edges (400 beyond that)
+ *
+ * Response:
+ * - format 'svg': the SVG document (image/svg+xml)
+ * - format 'json': { svg, warnings }
+ */
+app.post('/api/render', authenticate, (req, res) => {
+  const { commands, diagram, layout, layoutOptions, padding, background, transparent, scale, format = 'svg' } = req.body || {};
+
+  if (commands === undefined && diagram === undefined) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Either commands (string or string[]) or diagram (JSON) is required',
+    });
+  }
+
+  if (format !== 'svg' && format !== 'json') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'format must be svg or json',
+    });
+  }
+
+  const sizeError = renderHandler.validateSize({ commands, diagram });
+  if (sizeError) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: sizeError,
+    });
+  }
+
+  const optionsError = renderHandler.validateImageOptions({ padding, background, transparent, scale });
+  if (optionsError) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: optionsError,
+    });
+  }
+
+  try {
+    const result = renderHandler.render(
+      { commands, diagram },
+      { layout, layoutOptions, padding, background, transparent, scale }
+    );
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        svg: result.svg,
+        warnings: result.warnings,
+      });
+    }
+
+    res.type('image/svg+xml').send(result.svg);
+  } catch (error) {
+    console.error('[API] Error rendering diagram:', error);
+    res.status(400).json({
+      error: 'Invalid diagram',
       message: error.message,
     });
   }
 });
 
+/**
+ * Send a DiagramHandler error with its status
+ */
+const sendDiagramError = (res, error) => {
+  if (!error.status) {
+    console.error('[API] Diagram storage error:', error);
+  }
+  res.status(error.status || 500).json({
+    error: error.status === 404 ? 'Not found'
+      : error.status === 403 ? 'Forbidden'
+      : error.status === 400 ? 'Invalid diagram'
+      : error.status === 429 ? 'Quota exceeded'
+      : 'Internal server error',
+    message: error.message,
+  });
+};
+
+/**
+ * POST /api/diagrams
+ * Save a diagram and get a short ID for sharing (basic.html?d=<id>)
+ *
+ * Body:
+ * - title: string (optional)
+ * - history: string[] (command lines, diagramHistory)
+ * - idMapping: object (optional, node numbering from IDManager.toJSON())
+ * - diagram: object (optional, canvas state in the "Export JSON" format: positions, styles)
+ *
+ * Response (201): { id, title, history, idMapping, diagram, owner, createdAt, updatedAt }
+ * plus editToken when saved without an API key: send it as X-Edit-Token to change
+ * or delete the diagram. Each caller may keep DIAGRAM_QUOTA_COUNT diagrams of
+ * DIAGRAM_QUOTA_BYTES in total (429 beyond that)
+ */
+app.post('/api/diagrams', authenticate, (req, res) => {
+  try {
+    const record = diagramHandler.create(req.body || {}, req.user, rateLimiter.getClientKey(req));
+    res.status(201).json({ success: true, ...record });
+  } catch (error) {
+    sendDiagramError(res, error);
+  }
+});
+
+/**
+ * GET /api/diagrams
+ * List saved diagrams (id, title, dates): your own, or all of them for admins
+ * (and for localhost when auth is off, like the admin routes)
+ */
+app.get('/api/diagrams', authenticate, (req, res) => {
+  if (!req.user && !auth.hasRole(req, 'admin')) {
+    return auth.enabled
+      ? auth.refuse(res, 401, 'API key required to list diagrams')
+      : auth.refuse(res, 403, 'Without API keys, diagrams can only be listed from localhost');
+  }
+
+  const filter = req.user && req.user.role !== 'admin' ? { owner: req.user.id } : {};
+  res.json({ success: true, diagrams: diagramHandler.list(filter) });
+});
+
+/**
+ * GET /api/diagrams/:id
+ * Load a saved diagram (anyone with the ID can read it)
+ */
+app.get('/api/diagrams/:id', authenticate, (req, res) => {
+  try {
+    res.json({ success: true, ...diagramHandler.toPublic(diagramHandler.get(req.params.id)) });
+  } catch (error) {
+    sendDiagramError(res, error);
+  }
+});
+
+/**
+ * PUT /api/diagrams/:id
+ * Update a saved diagram; body as for POST, fields left out keep their value
+ * Diagrams saved with an API key can only be changed by that user (or an admin),
+ * ones saved without need their edit token in the X-Edit-Token header
+ */
+app.put('/api/diagrams/:id', authenticate, (req, res) => {
+  try {
+    const record = diagramHandler.update(req.params.id, req.body || {}, req.user, req.get('x-edit-token'));
+    res.json({ success: true, ...record });
+  } catch (error) {
+    sendDiagramError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/diagrams/:id
+ * Delete a saved diagram (same ownership rule as PUT)
+ */
+app.delete('/api/diagrams/:id', authenticate, (req, res) => {
+  try {
+    diagramHandler.remove(req.params.id, req.user, req.get('x-edit-token'));
+    res.json({ success: true });
+  } catch (error) {
+    sendDiagramError(res, error);
+  }
+});
+
 /**
  * GET /api/rate-limit/:userId
- * Get rate limit status for a user
+ * Get rate limit status for a user (userId as returned by GET /api/rate-limit)
+ * Admins can read anyone's; everyone else only their own
  */
-app.get('/api/rate-limit/:userId', (req, res) => {
-  const userId = req.params.userId || req.ip || 'unknown';
-  const status = llmHandler.getRateLimitStatus(userId);
+app.get('/api/rate-limit/:userId', authenticate, async (req, res) => {
+  const { userId } = req.params;
+
+  if (userId !== rateLimiter.getClientKey(req) && !auth.hasRole(req, 'admin')) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only read your own rate limit status',
+    });
+  }
+
+  const status = await rateLimiter.getStatus(userId);
 
   res.json({
     success: true,
@@ -108,11 +428,11 @@ app.get('/api/rate-limit/:userId', (req, res) => {
 
 /**
  * GET /api/rate-limit
- * Get rate limit status for current user (by IP)
+ * Get rate limit status for current user (by API key, or by IP without one)
  */
-app.get('/api/rate-limit', (req, res) => {
-  const userId = req.ip || req.connection.remoteAddress || 'unknown';
-  const status = llmHandler.getRateLimitStatus(userId);
+app.get('/api/rate-limit', authenticate, async (req, res) => {
+  const userId = rateLimiter.getClientKey(req);
+  const status = await rateLimiter.getStatus(userId);
 
   res.json({
     success: true,
@@ -136,9 +456,9 @@ app.get('/api/health', (req, res) => {
 /**
  * POST /api/refresh-prompt
  * Refresh the system prompt from CommandRegistry
- * (useful during development)
+ * (useful during development; admin key, or localhost when auth is off)
  */
-app.post('/api/refresh-prompt', (req, res) => {
+app.post('/api/refresh-prompt', authenticate, auth.requireRole('admin'), (req, res) => {
   try {
     llmHandler.refreshSystemPrompt();
     res.json({
@@ -159,16 +479,21 @@ app.get('/', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('');
   console.log('🚀 TrustQuery Diagram Server');
   console.log('================================');
   console.log(`📱 Application: http://localhost:${PORT}`);
   console.log(`📊 Examples: http://localhost:${PORT}/examples/basic.html`);
   console.log(`🤖 API endpoint: http://localhost:${PORT}/api/generate-diagram`);
+  console.log(`🖼️  Render endpoint: http://localhost:${PORT}/api/render`);
+  console.log(`💾 Diagrams: http://localhost:${PORT}/api/diagrams`);
+  console.log(`👥 Collaboration: ws://localhost:${PORT}${collaboration.path}`);
   console.log(`💚 Health check: http://localhost:${PORT}/api/health`);
   console.log('================================');
   console.log('');
 });
 
+collaboration.attach(server);
+
 export default app;
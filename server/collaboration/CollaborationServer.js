@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import { Room } from './Room.js';
+
+const ROOM_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// WebSocket close codes (4000-4999 are free for applications)
+const CLOSE_BAD_REQUEST = 4400;
+const CLOSE_UNAUTHORIZED = 4401;
+
+/**
+ * CollaborationServer - Real-time editing over WebSocket (ws://host/api/collaborate)
+ *
+ * Messages are JSON objects with a "type". Client to server:
+ * - join {room, name, apiKey, state, since, session}: enter a room. state (toJSON()) seeds a new
+ *   room; since + session resume after a reconnect
+ * - op {op, clientOpId}: an operation (see Room)
+ * - presence {cursor, selection}: cursor position (flow coordinates) and selected node IDs
+ * - snapshot {state, version, requestId}: the client's diagram, as of a version; only accepted
+ *   as the answer to a snapshot-request sent to that client
+ *
+ * Server to client:
+ * - joined {clientId, color, session, version, snapshot, ops, members}
+ * - op {version, clientId, clientOpId, op}: sent to everyone, the sender included (acknowledgement)
+ * - presence {member}, leave {clientId}
+ * - snapshot-request {requestId}: send a snapshot for someone joining, or to shorten the operation log
+ * - error {message, clientOpId}
+ */
+export class CollaborationServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {AuthHandler} options.auth - Checks API keys and origins
+   * @param {string} options.path - WebSocket path (default: /api/collaborate)
+   * @param {number} options.roomTtlMs - How long an empty room is kept (default: 1 hour)
+   * @param {number} options.snapshotTimeoutMs - Wait for a member's snapshot before using the stored one (default: 3s)
+   * @param {number} options.maxOpsPerSecond - Operations one connection may send per second, on average (default: 100)
+   * @param {number} options.opBurst - Operations one connection may send at once (default: 2 seconds' worth)
+   * @param {number} options.maxPresencePerSecond - Presence updates one connection may send per second (default: 30)
+   */
+  constructor(options = {}) {
+    this.auth = options.auth || null;
+    this.path = options.path || '/api/collaborate';
+    this.roomTtlMs = options.roomTtlMs || 60 * 60 * 1000;
+    this.snapshotTimeoutMs = options.snapshotTimeoutMs || 3000;
+    // Dragging several nodes sends a move per node every 80ms (see CollaborationClient)
+    this.maxOpsPerSecond = options.maxOpsPerSecond || 100;
+    this.opBurst = options.opBurst || this.maxOpsPerSecond * 2;
+    // Clients send presence at most every 50ms
+    this.maxPresencePerSecond = options.maxPresencePerSecond || 30;
+
+    this.rooms = new Map(); // roomId -> Room
+    this.snapshotRequests = new Map(); // requestId -> {socket, done()}
+    this.wss = null;
+  }
+
+  /**
+   * Start accepting connections on an HTTP server
+   * @param {http.Server} server - Server returned by app.listen()
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({
+      server,
+      path: this.path,
+      maxPayload: 1024 * 1024, // Same as the JSON body limit; snapshots hold the whole diagram
+      verifyClient: ({ origin }) => !this.auth || this.auth.isAllowedOrigin(origin),
+    });
+
+    this.wss.on('connection', (socket) => this.handleConnection(socket));
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+      this.wss.clients.forEach((socket) => {
+        if (!socket.isAlive) return socket.terminate();
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, 30000);
+    heartbeat.unref();
+    this.wss.on('close', () => clearInterval(heartbeat));
+
+    console.log(`[CollaborationServer] Listening for WebSocket connections on ${this.path}`);
+  }
+
+  handleConnection(socket) {
+    socket.isAlive = true;
+    socket.clientId = crypto.randomUUID();
+    socket.roomId = null;
+    socket.buckets = {
+      op: { tokens: this.opBurst, updatedAt: Date.now() },
+      presence: { tokens: this.maxPresencePerSecond, updatedAt: Date.now() },
+    };
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('close', () => this.leave(socket));
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return this.send(socket, { type: 'error', message: 'Messages must be JSON' });
+      }
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return this.send(socket, { type: 'error', message: 'Messages must be JSON objects' });
+      }
+
+      // One bad message must not take the server down with it
+      try {
+        this.handleMessage(socket, message);
+      } catch (error) {
+        console.error('[CollaborationServer] Error handling message:', error);
+        this.send(socket, { type: 'error', message: 'Could not handle message' });
+      }
+    });
+  }
+
+  handleMessage(socket, message) {
+    if (message.type === 'join') return this.join(socket, message);
+
+    const room = socket.roomId && this.rooms.get(socket.roomId);
+    if (!room) {
+      return this.send(socket, { type: 'error', message: 'Join a room first' });
+    }
+
+    switch (message.type) {
+      case 'op':
+        return this.handleOp(socket, room, message);
+      case 'presence':
+        return this.handlePresence(socket, room, message);
+      case 'snapshot':
+        return this.handleSnapshot(socket, room, message);
+      default:
+        return this.send(socket, { type: 'error', message: `Unknown message type "${message.type}"` });
+    }
+  }
+
+  /**
+   * Enter a room and send the client everything it needs to catch up
+   */
+  join(socket, message) {
+    if (socket.roomId) {
+      return this.send(socket, { type: 'error', message: 'Already in a room' });
+    }
+
+    const { room: roomId, name, apiKey, state, since, session } = message;
+    if (typeof roomId !== 'string' || !ROOM_PATTERN.test(roomId)) {
+      return socket.close(CLOSE_BAD_REQUEST, 'Room IDs are 1-64 letters, digits, - or _');
+    }
+
+    // Browsers can't set headers on a WebSocket, so the API key comes in the join message
+    const user = apiKey && this.auth ? this.auth.findUser(apiKey) : null;
+    if (apiKey && this.auth?.enabled && !user) {
+      return socket.close(CLOSE_UNAUTHORIZED, 'Invalid API key');
+    }
+    if (!user && this.auth?.required) {
+      return socket.close(CLOSE_UNAUTHORIZED, 'API key required');
+    }
+
+    this.prune();
+    const room = this.getRoom(roomId);
+    const welcome = (snapshot, ops) => {
+      if (socket.readyState !== socket.OPEN) return;
+
+      socket.roomId = roomId;
+      const member = room.addMember({
+        clientId: socket.clientId,
+        name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 40) : user?.id || 'Guest',
+        userId: user?.id || null,
+        socket,
+      });
+
+      this.send(socket, {
+        type: 'joined',
+        roomId,
+        clientId: member.clientId,
+        color: member.color,
+        session: room.session,
+        version: room.version,
+        snapshot,
+        ops,
+        members: [...room.members.values()]
+          .filter(m => m.clientId !== member.clientId)
+          .map(m => room.toPresence(m)),
+      });
+      this.broadcast(room, { type: 'presence', member: room.toPresence(member) }, socket.clientId);
+      console.log(`[CollaborationServer] ${member.name} joined room ${roomId} (${room.members.size} members)`);
+    };
+
+    // Reconnecting to the same room lifetime: only the missed operations
+    if (session === room.session && Number.isInteger(since)) {
+      const missed = room.getOpsSince(since);
+      if (missed) return welcome(null, missed);
+    }
+
+    // A new room starts from the first client's diagram
+    if (room.version === 0 && !room.snapshot) {
+      room.setSnapshot(room.isValidState(state) ? state : { history: [], idMapping: null, diagram: null }, 0);
+      return welcome(null, []);
+    }
+
+    // Someone is editing: ask them for an up-to-date snapshot, fall back to the stored one
+    const host = [...room.members.values()][0];
+    if (!host) {
+      return welcome(room.snapshot, room.getOpsSince(room.snapshot.version));
+    }
+
+    this.requestSnapshot(host.socket, () => welcome(room.snapshot, room.getOpsSince(room.snapshot.version)));
+  }
+
+  /**
+   * Ask a member for its diagram
+   * @param {WebSocket} socket - Member to ask
+   * @param {Function} onDone - Called once the snapshot arrived, or after snapshotTimeoutMs
+   */
+  requestSnapshot(socket, onDone = () => {}) {
+    const requestId = crypto.randomUUID();
+    const done = () => {
+      clearTimeout(timer);
+      this.snapshotRequests.delete(requestId);
+      onDone();
+    };
+    const timer = setTimeout(done, this.snapshotTimeoutMs);
+
+    this.snapshotRequests.set(requestId, { socket, done });
+    this.send(socket, { type: 'snapshot-request', requestId });
+  }
+
+  handleOp(socket, room, { op, clientOpId = null }) {
+    if (!this.takeToken(socket.buckets.op, this.maxOpsPerSecond, this.opBurst)) {
+      return this.send(socket, { type: 'error', clientOpId, message: 'Too many changes at once, slow down' });
+    }
+
+    let entry;
+    try {
+      entry = room.append(socket.clientId, clientOpId, room.validateOp(op));
+    } catch (error) {
+      return this.send(socket, { type: 'error', clientOpId, message: error.message });
+    }
+    this.broadcast(room, { type: 'op', ...entry });
+
+    // The log only shrinks once a snapshot covers it; the sender is up to date, ask them
+    if (room.takeSnapshotDue()) {
+      this.requestSnapshot(socket);
+    }
+  }
+
+  /**
+   * Per-connection token bucket
+   * @param {Object} bucket - {tokens, updatedAt} on the socket
+   * @param {number} perSecond - Average rate
+   * @param {number} burst - Most tokens saved up
+   * @returns {boolean} True if the message may go through
+   */
+  takeToken(bucket, perSecond, burst) {
+    const now = Date.now();
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  handlePresence(socket, room, message) {
+    // Cursors are only a hint: extra updates are dropped without a reply
+    if (!this.takeToken(socket.buckets.presence, this.maxPresencePerSecond, this.maxPresencePerSecond)) return;
+
+    const member = room.members.get(socket.clientId);
+    Object.assign(member, room.validatePresence(message));
+    this.broadcast(room, { type: 'presence', member: room.toPresence(member) }, socket.clientId);
+  }
+
+  handleSnapshot(socket, room, { state, version, requestId }) {
+    const request = this.snapshotRequests.get(requestId);
+    if (!request || request.socket !== socket) {
+      return this.send(socket, { type: 'error', message: 'Snapshot was not requested' });
+    }
+
+    if (!room.isValidState(state) || !Number.isInteger(version) || version > room.version) {
+      this.send(socket, { type: 'error', message: 'Invalid snapshot' });
+    } else {
+      room.setSnapshot(state, version);
+    }
+    request.done();
+  }
+
+  leave(socket) {
+    const room = socket.roomId && this.rooms.get(socket.roomId);
+    if (!room) return;
+
+    room.removeMember(socket.clientId);
+    this.broadcast(room, { type: 'leave', clientId: socket.clientId });
+    console.log(`[CollaborationServer] Client left room ${room.id} (${room.members.size} members)`);
+  }
+
+  getRoom(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, new Room(roomId));
+    }
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Forget rooms that have been empty for longer than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.roomTtlMs;
+    this.rooms.forEach((room, roomId) => {
+      if (room.members.size === 0 && room.updatedAt < cutoff) {
+        this.rooms.delete(roomId);
+      }
+    });
+  }
+
+  send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send a message to every member of a room
+   * @param {Room} room - Room
+   * @param {Object} message - Message
+   * @param {string} exceptClientId - Member to skip
+   */
+  broadcast(room, message, exceptClientId = null) {
+    const data = JSON.stringify(message);
+    room.members.forEach((member) => {
+      if (member.clientId !== exceptClientId && member.socket.readyState === member.socket.OPEN) {
+        member.socket.send(data);
+      }
+    });
+  }
+}
+
+export default CollaborationServer;
@@ -0,0 +1,251 @@
+// Cursor/selection colors, handed out in order to the members of a room
+const COLORS = ['#e03131', '#1971c2', '#2f9e44', '#f08c00', '#9c36b5', '#0c8599', '#e8590c', '#5c940d'];
+
+const MAX_LINE_LENGTH = 10000; // One history entry can hold several lines (textarea input, Mermaid imports)
+const MAX_SELECTION = 200;
+const MAX_STYLE_LENGTH = 2000; // A style object as JSON
+
+/**
+ * Room - One shared diagram: its members and its operation log
+ *
+ * The server is the single sequencer. Every operation gets the next version
+ * number and all clients apply operations in version order, so they converge:
+ * - command: a text command line, appended to the history in version order
+ * - move: a node position, last writer (highest version) wins
+ * - style: node style keys, last writer wins per key
+ * - edgeStyle: edge style keys (see edgeDefaults), last writer wins per key
+ * - connect: an edge drawn on the canvas, merged by edge ID
+ * - clear: empties the diagram
+ *
+ * Joining clients start from a snapshot (the diagram as of some version, in the
+ * TrustQueryDraw.toJSON() format) and replay the operations after it. The log
+ * only shrinks once a snapshot covers it, so the server asks a member for one
+ * every snapshotEvery operations and refuses operations past maxPendingOps
+ */
+export class Room {
+  /**
+   * @param {string} id - Room ID (usually a saved diagram ID)
+   * @param {Object} options - Room options
+   * @param {number} options.maxOps - Operations kept once covered by a snapshot (default: 1000)
+   * @param {number} options.snapshotEvery - Operations after the snapshot before asking for a new one (default: 200)
+   * @param {number} options.maxPendingOps - Operations after the snapshot before refusing more (default: 2000)
+   */
+  constructor(id, options = {}) {
+    this.id = id;
+    this.maxOps = options.maxOps || 1000;
+    this.snapshotEvery = options.snapshotEvery || 200;
+    this.maxPendingOps = options.maxPendingOps || 2000;
+
+    // Identifies this lifetime of the room, so a reconnecting client knows its versions still apply
+    this.session = Math.random().toString(36).slice(2, 10);
+    this.version = 0;
+    this.ops = []; // [{version, clientId, clientOpId, op}], oldest first
+    this.snapshot = null; // {state, version}
+    this.snapshotRequestedAt = 0; // Version when a member was last asked for a snapshot
+    this.members = new Map(); // clientId -> {clientId, name, color, userId, socket, cursor, selection}
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add a member, picking a color nobody in the room uses yet
+   * @param {Object} member - {clientId, name, userId, socket}
+   * @returns {Object} Member with color, cursor and selection
+   */
+  addMember(member) {
+    const used = new Set([...this.members.values()].map(m => m.color));
+    const color = COLORS.find(c => !used.has(c)) || COLORS[this.members.size % COLORS.length];
+
+    const added = { ...member, color, cursor: null, selection: [] };
+    this.members.set(member.clientId, added);
+    this.updatedAt = Date.now();
+    return added;
+  }
+
+  /**
+   * Remove a member
+   * @param {string} clientId - Client ID
+   */
+  removeMember(clientId) {
+    this.members.delete(clientId);
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Member data other clients see
+   * @param {Object} member - Room member
+   * @returns {Object} {clientId, name, color, cursor, selection}
+   */
+  toPresence(member) {
+    const { clientId, name, color, cursor, selection } = member;
+    return { clientId, name, color, cursor, selection };
+  }
+
+  /**
+   * Sequence an operation
+   * @param {string} clientId - Sender
+   * @param {*} clientOpId - Sender's own ID for the operation (echoed back as acknowledgement)
+   * @param {Object} op - Operation (see validateOp)
+   * @returns {Object} Log entry {version, clientId, clientOpId, op}
+   * @throws {Error} If too many operations are waiting for a snapshot
+   */
+  append(clientId, clientOpId, op) {
+    if (this.version - this.getSnapshotVersion() >= this.maxPendingOps) {
+      throw new Error('Too many changes since the last snapshot, try again in a moment');
+    }
+
+    this.version += 1;
+    const entry = { version: this.version, clientId, clientOpId, op };
+    this.ops.push(entry);
+    this.updatedAt = Date.now();
+    this.trim();
+    return entry;
+  }
+
+  /**
+   * Operations after a version
+   * @param {number} version - Last version the caller has
+   * @returns {Array|null} Log entries, or null if some were already dropped
+   */
+  getOpsSince(version) {
+    if (version > this.version) return null;
+    if (version < this.version && (this.ops.length === 0 || this.ops[0].version > version + 1)) return null;
+    return this.ops.filter(entry => entry.version > version);
+  }
+
+  /**
+   * Store a client's copy of the diagram
+   * @param {Object} state - TrustQueryDraw.toJSON() output
+   * @param {number} version - Last operation the state includes
+   * @returns {boolean} True if stored (not older than the current snapshot)
+   */
+  setSnapshot(state, version) {
+    if (this.snapshot && this.snapshot.version > version) return false;
+
+    this.snapshot = { state, version };
+    this.trim();
+    return true;
+  }
+
+  /**
+   * Version the stored snapshot is at
+   * @returns {number} Snapshot version, 0 without a snapshot
+   */
+  getSnapshotVersion() {
+    return this.snapshot ? this.snapshot.version : 0;
+  }
+
+  /**
+   * Whether to ask a member for a snapshot: enough operations since the last
+   * snapshot, and since the last request (which may have gone unanswered)
+   * @returns {boolean} True if a snapshot is due; the request is then recorded
+   */
+  takeSnapshotDue() {
+    const since = Math.max(this.getSnapshotVersion(), this.snapshotRequestedAt);
+    if (this.version - since < this.snapshotEvery) return false;
+
+    this.snapshotRequestedAt = this.version;
+    return true;
+  }
+
+  /**
+   * Drop old operations, but never ones the snapshot doesn't cover yet
+   */
+  trim() {
+    const covered = this.getSnapshotVersion();
+    while (this.ops.length > this.maxOps && this.ops[0].version <= covered) {
+      this.ops.shift();
+    }
+  }
+
+  /**
+   * Check an operation from a client
+   * @param {Object} op - Operation
+   * @returns {Object} The operation with only known fields
+   * @throws {Error} If malformed
+   */
+  validateOp(op) {
+    const isId = (value) => typeof value === 'string' && value.length > 0 && value.length <= 200;
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    switch (op?.kind) {
+      case 'command':
+        if (typeof op.line !== 'string' || !op.line.trim() || op.line.length > MAX_LINE_LENGTH) {
+          throw new Error(`command needs a line of at most ${MAX_LINE_LENGTH} characters`);
+        }
+        return { kind: 'command', line: op.line };
+
+      case 'move':
+        if (!isId(op.nodeId) || !isNumber(op.position?.x) || !isNumber(op.position?.y)) {
+          throw new Error('move needs a nodeId and a position {x, y}');
+        }
+        return { kind: 'move', nodeId: op.nodeId, position: { x: op.position.x, y: op.position.y } };
+
+      case 'style': {
+        const values = Object.values(op.style || {});
+        if (!isId(op.nodeId) || typeof op.style !== 'object' || Array.isArray(op.style) || values.length === 0
+          || values.some(value => !['string', 'number'].includes(typeof value))) {
+          throw new Error('style needs a nodeId and a style object of strings and numbers');
+        }
+        if (JSON.stringify(op.style).length > MAX_STYLE_LENGTH) {
+          throw new Error(`style objects can be at most ${MAX_STYLE_LENGTH} characters as JSON`);
+        }
+        return { kind: 'style', nodeId: op.nodeId, style: op.style };
+      }
+
+      case 'edgeStyle': {
+        const values = Object.values(op.style || {});
+        if (!isId(op.edgeId) || typeof op.style !== 'object' || Array.isArray(op.style) || values.length === 0
+          || values.some(value => !['string', 'number', 'boolean'].includes(typeof value))) {
+          throw new Error('edgeStyle needs an edgeId and a style object of strings, numbers and booleans');
+        }
+        if (JSON.stringify(op.style).length > MAX_STYLE_LENGTH) {
+          throw new Error(`edgeStyle objects can be at most ${MAX_STYLE_LENGTH} characters as JSON`);
+        }
+        return { kind: 'edgeStyle', edgeId: op.edgeId, style: op.style };
+      }
+
+      case 'connect': {
+        const { id, source, target, sourceHandle = null, targetHandle = null } = op.edge || {};
+        if (!isId(id) || !isId(source) || !isId(target)) {
+          throw new Error('connect needs an edge {id, source, target}');
+        }
+        return { kind: 'connect', edge: { id, source, target, sourceHandle, targetHandle } };
+      }
+
+      case 'clear':
+        return { kind: 'clear' };
+
+      default:
+        throw new Error(`Unknown operation "${op?.kind}". Expected command, move, style, edgeStyle, connect or clear`);
+    }
+  }
+
+  /**
+   * Check a snapshot from a client
+   * @param {Object} state - {history, idMapping, diagram}
+   * @returns {boolean} True if usable
+   */
+  isValidState(state) {
+    return Boolean(state)
+      && Array.isArray(state.history) && state.history.every(line => typeof line === 'string')
+      && (state.idMapping == null || typeof state.idMapping === 'object')
+      && (state.diagram == null || Array.isArray(state.diagram.nodes));
+  }
+
+  /**
+   * Check a presence update from a client
+   * @param {Object} presence - {cursor, selection}
+   * @returns {Object} {cursor, selection} with only valid values
+   */
+  validatePresence({ cursor = null, selection = [] } = {}) {
+    const validCursor = cursor && Number.isFinite(cursor.x) && Number.isFinite(cursor.y)
+      ? { x: cursor.x, y: cursor.y }
+      : null;
+    const validSelection = Array.isArray(selection)
+      ? selection.filter(id => typeof id === 'string').slice(0, MAX_SELECTION)
+      : [];
+    return { cursor: validCursor, selection: validSelection };
+  }
+}
+
+export default Room;
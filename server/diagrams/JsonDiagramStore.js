@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JsonDiagramStore - Saved diagrams in one JSON file
+ * Diagrams are kept in memory and the whole file is rewritten on every change
+ * (write to a temp file, then rename). Fine for a single server process
+ *
+ * Stores (see also SqliteDiagramStore) hold diagram records:
+ * { id, title, history, idMapping, diagram, owner, editTokenHash, creator, size, createdAt, updatedAt }
+ */
+export class JsonDiagramStore {
+  /**
+   * @param {string} file - JSON file path (created if missing)
+   */
+  constructor(file) {
+    this.file = file;
+    this.diagrams = new Map(); // id -> record
+
+    if (fs.existsSync(file)) {
+      Object.values(JSON.parse(fs.readFileSync(file, 'utf8'))).forEach(record => {
+        this.diagrams.set(record.id, record);
+      });
+    }
+
+    console.log(`[JsonDiagramStore] Using ${file} (${this.diagrams.size} diagrams)`);
+  }
+
+  get(id) {
+    return this.diagrams.get(id) || null;
+  }
+
+  has(id) {
+    return this.diagrams.has(id);
+  }
+
+  /**
+   * Insert or replace a diagram
+   * @param {Object} record - Diagram record
+   */
+  save(record) {
+    this.diagrams.set(record.id, record);
+    this.write();
+  }
+
+  /**
+   * Delete a diagram
+   * @param {string} id - Diagram ID
+   * @returns {boolean} True if it existed
+   */
+  delete(id) {
+    const existed = this.diagrams.delete(id);
+    if (existed) this.write();
+    return existed;
+  }
+
+  /**
+   * List diagrams, most recently updated first
+   * @param {Object} filter - {owner} to only list one user's diagrams
+   * @returns {Array} Records without their content
+   */
+  list(filter = {}) {
+    return [...this.diagrams.values()]
+      .filter(record => filter.owner === undefined || record.owner === filter.owner)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(({ id, title, owner, createdAt, updatedAt }) => ({ id, title, owner, createdAt, updatedAt }));
+  }
+
+  /**
+   * Diagrams and bytes a caller keeps (for DiagramHandler quotas)
+   * @param {string} creator - Client key the diagrams were saved by
+   * @returns {Object} {count, bytes}
+   */
+  usage(creator) {
+    let count = 0;
+    let bytes = 0;
+    this.diagrams.forEach(record => {
+      if (record.creator !== creator) return;
+      count += 1;
+      bytes += record.size || 0;
+    });
+    return { count, bytes };
+  }
+
+  write() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.diagrams), null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+}
+
+export default JsonDiagramStore;
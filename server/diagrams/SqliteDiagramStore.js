@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * SqliteDiagramStore - Saved diagrams in a SQLite database
+ * The history, node numbering and canvas state are stored as JSON columns.
+ * Needs the optional better-sqlite3 package (npm install better-sqlite3)
+ */
+export class SqliteDiagramStore {
+  /**
+   * @param {string} file - Database file path (created if missing)
+   */
+  constructor(file) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite diagram store needs better-sqlite3: npm install better-sqlite3');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS diagrams (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        history TEXT NOT NULL,
+        id_mapping TEXT,
+        diagram TEXT,
+        owner TEXT,
+        edit_token_hash TEXT,
+        creator TEXT,
+        size INTEGER,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Databases created before edit tokens and quotas lack these columns
+    const existing = new Set(this.db.prepare('PRAGMA table_info(diagrams)').all().map(column => column.name));
+    [['edit_token_hash', 'TEXT'], ['creator', 'TEXT'], ['size', 'INTEGER']].forEach(([name, type]) => {
+      if (!existing.has(name)) this.db.exec(`ALTER TABLE diagrams ADD COLUMN ${name} ${type}`);
+    });
+    this.db.exec('CREATE INDEX IF NOT EXISTS diagrams_creator ON diagrams (creator)');
+
+    const columns = 'id, title, owner, created_at AS createdAt, updated_at AS updatedAt';
+    this.statements = {
+      get: this.db.prepare(`
+        SELECT ${columns}, history, id_mapping AS idMapping, diagram,
+          edit_token_hash AS editTokenHash, creator, size
+        FROM diagrams WHERE id = ?
+      `),
+      save: this.db.prepare(`
+        INSERT INTO diagrams (id, title, history, id_mapping, diagram, owner, edit_token_hash, creator, size, created_at, updated_at)
+        VALUES (@id, @title, @history, @idMapping, @diagram, @owner, @editTokenHash, @creator, @size, @createdAt, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET title = @title, history = @history, id_mapping = @idMapping,
+          diagram = @diagram, owner = @owner, size = @size, updated_at = @updatedAt
+      `),
+      delete: this.db.prepare('DELETE FROM diagrams WHERE id = ?'),
+      list: this.db.prepare(`SELECT ${columns} FROM diagrams ORDER BY updated_at DESC`),
+      listByOwner: this.db.prepare(`SELECT ${columns} FROM diagrams WHERE owner IS ? ORDER BY updated_at DESC`),
+      usage: this.db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM diagrams WHERE creator = ?'),
+    };
+
+    console.log(`[SqliteDiagramStore] Using ${file}`);
+  }
+
+  get(id) {
+    const row = this.statements.get.get(id);
+    if (!row) return null;
+
+    return {
+      ...row,
+      history: JSON.parse(row.history),
+      idMapping: row.idMapping ? JSON.parse(row.idMapping) : null,
+      diagram: row.diagram ? JSON.parse(row.diagram) : null,
+    };
+  }
+
+  has(id) {
+    return this.statements.get.get(id) !== undefined;
+  }
+
+  save(record) {
+    this.statements.save.run({
+      ...record,
+      title: record.title ?? null,
+      owner: record.owner ?? null,
+      editTokenHash: record.editTokenHash ?? null,
+      creator: record.creator ?? null,
+      size: record.size ?? null,
+      history: JSON.stringify(record.history),
+      idMapping: record.idMapping ? JSON.stringify(record.idMapping) : null,
+      diagram: record.diagram ? JSON.stringify(record.diagram) : null,
+    });
+  }
+
+  delete(id) {
+    return this.statements.delete.run(id).changes > 0;
+  }
+
+  list(filter = {}) {
+    return filter.owner === undefined
+      ? this.statements.list.all()
+      : this.statements.listByOwner.all(filter.owner);
+  }
+
+  usage(creator) {
+    return this.statements.usage.get(creator);
+  }
+}
+
+export default SqliteDiagramStore;
@@ -0,0 +1,33 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonDiagramStore } from './JsonDiagramStore.js';
+import { SqliteDiagramStore } from './SqliteDiagramStore.js';
+
+export { JsonDiagramStore, SqliteDiagramStore };
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../../data');
+
+// DIAGRAM_STORE values
+const STORES = {
+  file: (file) => new JsonDiagramStore(file || path.join(DATA_DIR, 'diagrams.json')),
+  sqlite: (file) => new SqliteDiagramStore(file || path.join(DATA_DIR, 'diagrams.db')),
+};
+
+/**
+ * Create the diagram store configured in the environment
+ * - DIAGRAM_STORE: file (default) or sqlite
+ * - DIAGRAM_FILE: store file (default: data/diagrams.json or data/diagrams.db)
+ * @param {Object} options - {store, file} overrides
+ * @returns {JsonDiagramStore|SqliteDiagramStore} Diagram store
+ * @throws {Error} For an unknown store
+ */
+export const createDiagramStore = (options = {}) => {
+  const storeName = (options.store || process.env.DIAGRAM_STORE || 'file').toLowerCase();
+  const createStore = STORES[storeName];
+  if (!createStore) {
+    throw new Error(`Unknown diagram store "${storeName}". Available: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  return createStore(options.file || process.env.DIAGRAM_FILE);
+};
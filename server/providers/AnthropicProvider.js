@@ -0,0 +1,74 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * AnthropicProvider - Claude models through @anthropic-ai/sdk
+ */
+export class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - API key (default: ANTHROPIC_API_KEY)
+   */
+  constructor(options = {}) {
+    super('AnthropicProvider');
+    this.anthropic = new Anthropic({
+      apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY,
+    });
+  }
+
+  async generate({ system, messages, model, maxTokens = 1024, signal }) {
+    const message = await this.anthropic.messages.create({
+      model: model,
+      max_tokens: maxTokens,
+      system,
+      messages,
+    }, { signal });
+
+    return {
+      text: message.content[0].text,
+      usage: {
+        input_tokens: message.usage.input_tokens,
+        output_tokens: message.usage.output_tokens,
+      },
+    };
+  }
+
+  async stream({ system, messages, model, maxTokens = 1024, signal }, onText) {
+    const stream = this.anthropic.messages.stream({
+      model: model,
+      max_tokens: maxTokens,
+      system,
+      messages,
+    }, { signal });
+
+    let text = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    try {
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          usage.input_tokens = event.message.usage.input_tokens;
+        } else if (event.type === 'message_delta') {
+          usage.output_tokens = event.usage.output_tokens;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          text += event.delta.text;
+          onText(event.delta.text);
+        }
+      }
+    } catch (error) {
+      // Usage so far, for the caller to charge an aborted or failed stream
+      if (usage.input_tokens) error.usage = usage;
+      throw error;
+    }
+
+    const message = await stream.finalMessage();
+    return {
+      text,
+      usage: {
+        input_tokens: message.usage.input_tokens,
+        output_tokens: message.usage.output_tokens,
+      },
+    };
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LLMProvider } from './LLMProvider.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * FixtureProvider - Replays canned responses, no network or API key needed
+ * Picks the first fixture whose "match" text appears in the last user message
+ * (case-insensitive), otherwise the "default" response. Same prompt, same answer
+ *
+ * Fixture file:
+ * {
+ *   "fixtures": [{ "match": "login", "response": ["start->login", ...] }],
+ *   "default": ["start->end"]
+ * }
+ */
+export class FixtureProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.file - Fixture file (default: LLM_FIXTURES or server/fixtures/diagrams.json)
+   * @param {Object} options.data - Fixture data instead of a file
+   */
+  constructor(options = {}) {
+    super('FixtureProvider');
+    const file = options.file || process.env.LLM_FIXTURES || path.join(__dirname, '../fixtures/diagrams.json');
+    this.data = options.data || JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    console.log(`[FixtureProvider] Loaded ${this.data.fixtures?.length || 0} fixtures`);
+  }
+
+  async generate({ messages }) {
+    const text = this.findResponse(messages);
+    return { text, usage: this.toUsage(messages, text) };
+  }
+
+  async stream({ messages, signal }, onText) {
+    const text = this.findResponse(messages);
+
+    // One chunk per command, like a model finishing one line at a time
+    const chunks = text.match(/[^,]+,?/g) || [text];
+    for (const chunk of chunks) {
+      if (signal?.aborted) {
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        throw error;
+      }
+      onText(chunk);
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    return { text, usage: this.toUsage(messages, text) };
+  }
+
+  /**
+   * Find the canned response for the last user message
+   * @param {Array} messages - Conversation messages
+   * @returns {string} Response text (a JSON array of commands)
+   */
+  findResponse(messages) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const content = String(lastUser?.content || '');
+
+    // Edit requests wrap the prompt after the current diagram (see LLMHandler.buildMessages)
+    const wrapped = content.match(/(?:^|\n)User: "([\s\S]*)"$/);
+    const prompt = (wrapped ? wrapped[1] : content).toLowerCase();
+
+    const fixture = (this.data.fixtures || []).find(f => prompt.includes(String(f.match).toLowerCase()));
+    const response = fixture ? fixture.response : (this.data.default || []);
+
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * Rough token counts (about 4 characters per token) so usage looks realistic
+   * @returns {Object} {input_tokens, output_tokens}
+   */
+  toUsage(messages, text) {
+    const inputLength = messages.reduce((sum, message) => sum + String(message.content).length, 0);
+    return {
+      input_tokens: Math.ceil(inputLength / 4),
+      output_tokens: Math.ceil(text.length / 4),
+    };
+  }
+}
+
+export default FixtureProvider;
@@ -0,0 +1,41 @@
+/**
+ * LLMProvider - Interface for the model backends LLMHandler talks to
+ * A provider turns a system prompt and conversation into text; parsing and
+ * validating the commands in that text stays in LLMHandler
+ *
+ * Request shape (both methods):
+ * - system: string (system prompt)
+ * - messages: Array<{role: 'user' | 'assistant', content: string}>
+ * - model: string (model requested by the client; providers may override it)
+ * - maxTokens: number
+ * - signal: AbortSignal (optional, aborts the upstream request)
+ */
+export class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Object} request - See class comment
+   * @returns {Promise<{text: string, usage: {input_tokens: number, output_tokens: number}}>}
+   */
+  async generate(request) {
+    throw new Error(`[${this.name}] generate() is not implemented`);
+  }
+
+  /**
+   * Generate a response, passing text to onText as it arrives
+   * Providers without streaming can rely on this default (one chunk)
+   * @param {Object} request - See class comment
+   * @param {Function} onText - Called with each text chunk
+   * @returns {Promise<{text: string, usage: {input_tokens: number, output_tokens: number}}>}
+   */
+  async stream(request, onText) {
+    const result = await this.generate(request);
+    onText(result.text);
+    return result;
+  }
+}
+
+export default LLMProvider;
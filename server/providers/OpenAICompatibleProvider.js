@@ -0,0 +1,113 @@
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * OpenAICompatibleProvider - Any server with an OpenAI-style /chat/completions
+ * endpoint (OpenAI, Ollama, LM Studio, vLLM, llama.cpp server, ...)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - API base URL (default: OPENAI_BASE_URL or http://localhost:11434/v1)
+   * @param {string} options.apiKey - Bearer token, if the server needs one (default: OPENAI_API_KEY)
+   * @param {string} options.model - Model to use instead of the one the client asks for (default: OPENAI_MODEL)
+   */
+  constructor(options = {}) {
+    super('OpenAICompatibleProvider');
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+    this.model = options.model || process.env.OPENAI_MODEL || null;
+  }
+
+  async generate(request) {
+    const response = await this.post(request, false);
+    const data = await response.json();
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: this.toUsage(data.usage),
+    };
+  }
+
+  async stream(request, onText) {
+    const response = await this.post(request, true);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    let text = '';
+    let usage = null;
+    let buffer = '';
+
+    // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+    const handleLine = (line) => {
+      const data = line.trim().replace(/^data:\s*/, '');
+      if (!line.trim().startsWith('data:') || data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+      if (chunk.usage) usage = chunk.usage;
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return { text, usage: this.toUsage(usage) };
+  }
+
+  /**
+   * POST a chat completion request
+   * @param {Object} request - Provider request
+   * @param {boolean} stream - Ask for a streamed response
+   * @returns {Promise<Response>} OK response
+   * @throws {Error} With the server's message on HTTP errors
+   */
+  async post({ system, messages, model, maxTokens = 1024, signal }, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model: this.model || model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'system', content: system }, ...messages],
+        stream,
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`${response.status} ${body}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Convert OpenAI usage to the Anthropic-style usage LLMHandler reports
+   * @param {Object} usage - {prompt_tokens, completion_tokens} or null
+   * @returns {Object} {input_tokens, output_tokens}
+   */
+  toUsage(usage) {
+    return {
+      input_tokens: usage?.prompt_tokens || 0,
+      output_tokens: usage?.completion_tokens || 0,
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,30 @@
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { FixtureProvider } from './FixtureProvider.js';
+
+export { LLMProvider } from './LLMProvider.js';
+export { AnthropicProvider, OpenAICompatibleProvider, FixtureProvider };
+
+// LLM_PROVIDER values
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+  fixture: FixtureProvider,
+};
+
+/**
+ * Create the provider selected by LLM_PROVIDER (default: anthropic)
+ * @param {string} name - Provider name (anthropic, openai or fixture)
+ * @param {Object} options - Provider options (see each provider)
+ * @returns {LLMProvider} Provider instance
+ * @throws {Error} For an unknown provider name
+ */
+export const createProvider = (name = process.env.LLM_PROVIDER || 'anthropic', options = {}) => {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  console.log(`[LLMProvider] Using ${name} provider`);
+  return new Provider(options);
+};
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JsonFileStore - Rate limit counters in a JSON file, so they survive restarts
+ * Entries are kept in memory and the whole file is rewritten on every change
+ * (write to a temp file, then rename). Fine for a single server process
+ */
+export class JsonFileStore {
+  /**
+   * @param {string} file - JSON file path (created if missing)
+   */
+  constructor(file) {
+    this.file = file;
+    this.entries = new Map(); // key -> { requests, tokens, resetTime }
+
+    if (fs.existsSync(file)) {
+      try {
+        Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))).forEach(([key, entry]) => {
+          this.entries.set(key, entry);
+        });
+      } catch (error) {
+        console.warn(`[JsonFileStore] Could not read ${file}, starting empty:`, error.message);
+      }
+    }
+
+    console.log(`[JsonFileStore] Using ${file} (${this.entries.size} entries)`);
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  set(key, entry) {
+    this.entries.set(key, { ...entry });
+    this.save();
+  }
+
+  update(key, updater) {
+    const entry = updater(this.get(key));
+    this.set(key, entry);
+    return entry;
+  }
+
+  prune(now = Date.now()) {
+    let changed = false;
+    this.entries.forEach((entry, key) => {
+      if (entry.resetTime <= now) {
+        this.entries.delete(key);
+        changed = true;
+      }
+    });
+    if (changed) this.save();
+  }
+
+  /**
+   * Write all entries to the file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+    fs.renameSync(tempFile, this.file);
+  }
+}
+
+export default JsonFileStore;
@@ -0,0 +1,56 @@
+/**
+ * MemoryStore - Rate limit counters in a Map (lost on restart)
+ *
+ * Stores (see also JsonFileStore, SqliteStore) keep one entry per client:
+ * { requests, tokens, resetTime }. Methods may return values or promises
+ */
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map(); // key -> { requests, tokens, resetTime }
+  }
+
+  /**
+   * Get a client's entry
+   * @param {string} key - Client key
+   * @returns {Object|null} {requests, tokens, resetTime} or null
+   */
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * Save a client's entry
+   * @param {string} key - Client key
+   * @param {Object} entry - {requests, tokens, resetTime}
+   */
+  set(key, entry) {
+    this.entries.set(key, { ...entry });
+  }
+
+  /**
+   * Replace a client's entry based on its current one, in one step
+   * Stores shared between processes (SqliteStore) do this in a transaction
+   * @param {string} key - Client key
+   * @param {Function} updater - (entry or null) => new entry; must be synchronous
+   * @returns {Object} The new entry
+   */
+  update(key, updater) {
+    const entry = updater(this.get(key));
+    this.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Drop entries whose window ended before now
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    this.entries.forEach((entry, key) => {
+      if (entry.resetTime <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,211 @@
+/**
+ * RateLimiter - Fixed-window request quotas and token budgets per client
+ * Clients are identified by their API key user (req.user, see AuthHandler), or
+ * by IP address without one. Counters live in a store (MemoryStore,
+ * JsonFileStore, SqliteStore)
+ *
+ * A request is allowed while the client is under both its request limit and
+ * its token budget. Tokens are only known after the model answers, so the
+ * request that crosses the budget still completes; the next one is refused
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.store - Counter store
+   * @param {number} options.max - Requests per window, 0 refuses every request (default: 100)
+   * @param {number} options.windowMs - Window length in milliseconds (default: 24 hours)
+   * @param {number} options.tokens - Input + output tokens per window, 0 for no budget (default: 0)
+   * @param {Object} options.quotas - User id -> {max, windowMs, tokens} overrides
+   */
+  constructor(options = {}) {
+    this.store = options.store;
+    this.max = options.max ?? 100;
+    this.windowMs = options.windowMs ?? 24 * 60 * 60 * 1000;
+    this.tokens = options.tokens ?? 0;
+
+    // Client key -> quota
+    this.quotas = new Map(Object.entries(options.quotas || {}).map(([userId, quota]) => [this.getUserKey(userId), quota]));
+
+    // Expired entries are dropped at most once a minute
+    this.pruneIntervalMs = 60 * 1000;
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Identify the client of a request
+   * @param {Object} req - Express request (after AuthHandler.authenticate)
+   * @returns {string} Client key ("key:<user id>" or the IP address)
+   */
+  getClientKey(req) {
+    if (req.user) {
+      return this.getUserKey(req.user.id);
+    }
+
+    return req.ip || req.socket?.remoteAddress || 'unknown';
+  }
+
+  /**
+   * Client key of an API key user
+   * @param {string} userId - User id from the keys file
+   * @returns {string} Client key
+   */
+  getUserKey(userId) {
+    return `key:${userId}`;
+  }
+
+  /**
+   * Get the limits that apply to a client
+   * @param {string} key - Client key
+   * @returns {Object} {max, windowMs, tokens}
+   */
+  getQuota(key) {
+    const quota = this.quotas.get(key);
+
+    return {
+      max: quota?.max ?? this.max,
+      windowMs: quota?.windowMs ?? this.windowMs,
+      tokens: quota?.tokens ?? this.tokens,
+    };
+  }
+
+  /**
+   * Count a request if the client is under its limits
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} Status (see getStatus) with allowed and retryAfter
+   */
+  async check(key) {
+    await this.prune();
+
+    const quota = this.getQuota(key);
+    let allowed = false;
+
+    // One atomic read-modify-write, so concurrent requests can't both take the last slot
+    const entry = await this.store.update(key, (stored) => {
+      const current = this.toEntry(stored, quota);
+      allowed = current.requests < quota.max && (!quota.tokens || current.tokens < quota.tokens);
+      return allowed ? { ...current, requests: current.requests + 1 } : current;
+    });
+
+    const status = this.toStatus(entry, quota);
+    return {
+      ...status,
+      allowed,
+      reason: allowed ? null : (entry.requests >= quota.max ? 'requests' : 'tokens'),
+      retryAfter: allowed ? 0 : Math.max(1, Math.ceil((entry.resetTime - Date.now()) / 1000)),
+    };
+  }
+
+  /**
+   * Add the tokens a request used to the client's budget
+   * @param {string} key - Client key
+   * @param {Object} usage - {input_tokens, output_tokens}
+   */
+  async recordUsage(key, usage) {
+    const used = (usage?.input_tokens || 0) + (usage?.output_tokens || 0);
+    if (!used) return;
+
+    const quota = this.getQuota(key);
+    await this.store.update(key, (stored) => {
+      const current = this.toEntry(stored, quota);
+      return { ...current, tokens: current.tokens + used };
+    });
+  }
+
+  /**
+   * Get a client's status without counting a request
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} {limit, remaining, resetTime, tokenLimit, tokensUsed, tokensRemaining}
+   */
+  async getStatus(key) {
+    const quota = this.getQuota(key);
+    return this.toStatus(this.toEntry(await this.store.get(key), quota), quota);
+  }
+
+  /**
+   * Standard rate limit response headers
+   * (IETF draft RateLimit header fields, plus Retry-After when refused)
+   * @param {Object} status - Result of check
+   * @returns {Object} Header name -> value
+   */
+  getHeaders(status) {
+    const now = Date.now();
+    const headers = {
+      'RateLimit-Policy': `${status.limit};w=${Math.round(status.windowMs / 1000)}`,
+      'RateLimit-Limit': String(status.limit),
+      // An exhausted token budget leaves no requests either
+      'RateLimit-Remaining': String(status.tokensRemaining === 0 ? 0 : status.remaining),
+      'RateLimit-Reset': String(Math.max(0, Math.ceil((status.resetTime - now) / 1000))),
+    };
+
+    if (status.allowed === false) {
+      headers['Retry-After'] = String(status.retryAfter);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Express middleware: count the request, set headers, refuse with 429 when over
+   * The client key is left on req.rateLimitKey for recordUsage
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const key = this.getClientKey(req);
+      const status = await this.check(key);
+
+      req.rateLimitKey = key;
+      res.set(this.getHeaders(status));
+
+      if (!status.allowed) {
+        console.log(`[RateLimiter] Refused ${key}: ${status.reason} limit reached`);
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: status.reason === 'tokens'
+            ? 'Token budget exceeded. Please try again later.'
+            : 'Rate limit exceeded. Please try again later.',
+          retryAfter: status.retryAfter,
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * A stored entry, or a new window if there is none or the old one ended
+   * @param {Object|null} stored - Entry from the store
+   * @param {Object} quota - Client quota (see getQuota)
+   * @returns {Object} {requests, tokens, resetTime}
+   */
+  toEntry(stored, quota) {
+    const now = Date.now();
+    if (!stored || now >= stored.resetTime) {
+      return { requests: 0, tokens: 0, resetTime: now + quota.windowMs };
+    }
+
+    return { ...stored };
+  }
+
+  async prune() {
+    const now = Date.now();
+    if (now - this.lastPrune < this.pruneIntervalMs) return;
+
+    this.lastPrune = now;
+    await this.store.prune(now);
+  }
+
+  toStatus(entry, quota) {
+    return {
+      limit: quota.max,
+      remaining: Math.max(0, quota.max - entry.requests),
+      windowMs: quota.windowMs,
+      resetTime: entry.resetTime,
+      tokenLimit: quota.tokens || null,
+      tokensUsed: entry.tokens,
+      tokensRemaining: quota.tokens ? Math.max(0, quota.tokens - entry.tokens) : null,
+    };
+  }
+}
+
+export default RateLimiter;
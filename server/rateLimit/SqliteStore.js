@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * SqliteStore - Rate limit counters in a SQLite database
+ * Several server processes can share one database file: update() runs in
+ * an immediate transaction, which holds the write lock from the first read.
+ * Needs the optional better-sqlite3 package (npm install better-sqlite3)
+ */
+export class SqliteStore {
+  /**
+   * @param {string} file - Database file path (created if missing)
+   */
+  constructor(file) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite rate limit store needs better-sqlite3: npm install better-sqlite3');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        requests INTEGER NOT NULL,
+        tokens INTEGER NOT NULL,
+        reset_time INTEGER NOT NULL
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT requests, tokens, reset_time AS resetTime FROM rate_limits WHERE key = ?'),
+      set: this.db.prepare(`
+        INSERT INTO rate_limits (key, requests, tokens, reset_time) VALUES (@key, @requests, @tokens, @resetTime)
+        ON CONFLICT(key) DO UPDATE SET requests = @requests, tokens = @tokens, reset_time = @resetTime
+      `),
+      prune: this.db.prepare('DELETE FROM rate_limits WHERE reset_time <= ?'),
+    };
+
+    this.updateTransaction = this.db.transaction((key, updater) => {
+      const entry = updater(this.get(key));
+      this.set(key, entry);
+      return entry;
+    });
+
+    console.log(`[SqliteStore] Using ${file}`);
+  }
+
+  get(key) {
+    return this.statements.get.get(key) || null;
+  }
+
+  set(key, entry) {
+    this.statements.set.run({ key, requests: entry.requests, tokens: entry.tokens, resetTime: entry.resetTime });
+  }
+
+  update(key, updater) {
+    return this.updateTransaction.immediate(key, updater);
+  }
+
+  prune(now = Date.now()) {
+    this.statements.prune.run(now);
+  }
+}
+
+export default SqliteStore;
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RateLimiter } from './RateLimiter.js';
+import { MemoryStore } from './MemoryStore.js';
+import { JsonFileStore } from './JsonFileStore.js';
+import { SqliteStore } from './SqliteStore.js';
+
+export { RateLimiter, MemoryStore, JsonFileStore, SqliteStore };
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '../../data');
+
+// RATE_LIMIT_STORE values
+const STORES = {
+  memory: () => new MemoryStore(),
+  file: (file) => new JsonFileStore(file || path.join(DATA_DIR, 'rate-limits.json')),
+  sqlite: (file) => new SqliteStore(file || path.join(DATA_DIR, 'rate-limits.db')),
+};
+
+/**
+ * Read a whole number from the environment
+ * @returns {number|undefined} Value, or undefined if unset or invalid
+ */
+const readNumber = (name) => {
+  const value = Number(process.env[name]);
+  if (process.env[name] && !(Number.isInteger(value) && value >= 0)) {
+    console.warn(`[RateLimiter] Ignoring ${name}="${process.env[name]}", expected a whole number`);
+    return undefined;
+  }
+  return process.env[name] ? value : undefined;
+};
+
+/**
+ * Create the rate limiter configured in the environment
+ *
+ * - RATE_LIMIT_STORE: memory (default), file or sqlite
+ * - RATE_LIMIT_FILE: store file (default: data/rate-limits.json or data/rate-limits.db)
+ * - RATE_LIMIT_MAX: requests per window (default: 100)
+ * - RATE_LIMIT_WINDOW_MS: window length (default: 86400000, 24 hours)
+ * - RATE_LIMIT_TOKENS: tokens per window, 0 for no budget (default: 0)
+ * - RATE_LIMIT_QUOTAS: JSON file of per-user quotas (user ids from the AUTH_KEYS_FILE)
+ *   { "team-a": { "max": 1000, "windowMs": 86400000, "tokens": 2000000 } }
+ *
+ * @param {Object} options - Overrides for the environment settings
+ * @returns {RateLimiter} Rate limiter
+ * @throws {Error} For an unknown store or unreadable quotas file
+ */
+export const createRateLimiter = (options = {}) => {
+  const storeName = (options.store || process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  const createStore = STORES[storeName];
+  if (!createStore) {
+    throw new Error(`Unknown rate limit store "${storeName}". Available: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  const quotasFile = options.quotasFile || process.env.RATE_LIMIT_QUOTAS;
+  const quotas = quotasFile ? JSON.parse(fs.readFileSync(quotasFile, 'utf8')) : {};
+
+  const limiter = new RateLimiter({
+    store: createStore(options.file || process.env.RATE_LIMIT_FILE),
+    max: options.max ?? readNumber('RATE_LIMIT_MAX'),
+    windowMs: options.windowMs ?? readNumber('RATE_LIMIT_WINDOW_MS'),
+    tokens: options.tokens ?? readNumber('RATE_LIMIT_TOKENS'),
+    quotas,
+  });
+
+  console.log(`[RateLimiter] ${storeName} store, ${limiter.max} requests per ${limiter.windowMs}ms` +
+    `${limiter.tokens ? `, ${limiter.tokens} tokens` : ''}, ${limiter.quotas.size} user quotas`);
+  return limiter;
+};
@@ -0,0 +1,432 @@
+// Moves and style edits stream while dragging/resizing; send at most one per node (or edge) per window
+const COALESCE_MS = 80;
+const PRESENCE_MS = 50;
+const MAX_RECONNECT_DELAY_MS = 10000;
+
+// Close codes after which reconnecting won't help (see CollaborationServer)
+const FATAL_CLOSE_CODES = [4400, 4401];
+
+/**
+ * CollaborationClient - Browser side of a shared editing room (CollaborationServer)
+ *
+ * Local changes are applied right away and sent as operations; the server
+ * puts all operations in one order and echoes them back. Until its echo
+ * arrives an operation is pending, and remote operations it would overwrite
+ * are skipped: the pending one comes later in the server order, so it wins
+ * everywhere. Remote command lines go before pending local ones for the same
+ * reason
+ *
+ * The canvas (FlowDiagram) registers with setCanvas() to apply move, style,
+ * edgeStyle and connect operations; commands and clears go to the onCommand/onClear callbacks
+ */
+export class CollaborationClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.room - Room ID
+   * @param {string} options.url - WebSocket URL (default: /api/collaborate on this host)
+   * @param {string} options.name - Name shown next to your cursor
+   * @param {string} options.apiKey - API key, when the server requires one
+   * @param {Function} options.getState - Returns the diagram {history, idMapping, diagram} to seed or snapshot
+   * @param {Function} options.onSnapshot - Replace the local diagram with the room's (state)
+   * @param {Function} options.onCommand - Apply a remote command line (line)
+   * @param {Function} options.onClear - Apply a remote clear
+   * @param {Function} options.onStatus - Connection status changed ('connecting', 'connected', 'reconnecting', 'closed')
+   * @param {Function} options.onError - Server error or refused connection (message)
+   */
+  constructor(options = {}) {
+    this.room = options.room;
+    this.url = options.url || CollaborationClient.getDefaultUrl();
+    this.name = options.name || null;
+    this.apiKey = options.apiKey || null;
+    this.callbacks = options;
+
+    this.socket = null;
+    this.status = 'closed';
+    this.clientId = null;
+    this.color = null;
+    this.session = null;
+    this.version = 0; // Last operation applied
+    this.reconnectAttempts = 0;
+
+    this.instanceId = Math.random().toString(36).slice(2, 10);
+    this.opCounter = 0;
+    this.pending = []; // Sent (or waiting for the connection), not echoed yet: [{clientOpId, op}]
+    this.outbox = new Map(); // Coalescing moves/styles: "kind:nodeId" (or "edgeStyle:edgeId") -> op
+    this.outboxTimer = null;
+
+    this.presence = { cursor: null, selection: [] };
+    this.presenceTimer = null;
+
+    this.canvas = null;
+    this.unapplied = []; // Canvas operations received before the canvas registered
+    this.members = new Map(); // clientId -> {clientId, name, color, cursor, selection}
+    this.membersList = [];
+    this.listeners = new Set();
+
+    // Used as a React external store (useSyncExternalStore), so bound once
+    this.subscribe = this.subscribe.bind(this);
+    this.getMembers = this.getMembers.bind(this);
+  }
+
+  /**
+   * WebSocket URL of the collaboration endpoint on the current host
+   * @returns {string} ws:// or wss:// URL
+   */
+  static getDefaultUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/api/collaborate`;
+  }
+
+  /**
+   * Open the connection and join the room
+   */
+  connect() {
+    this.closing = false;
+    this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.send({
+        type: 'join',
+        room: this.room,
+        name: this.name,
+        apiKey: this.apiKey,
+        state: this.getSnapshotState(),
+        since: this.session ? this.version : undefined,
+        session: this.session,
+      });
+    });
+
+    socket.addEventListener('message', (event) => this.handleMessage(JSON.parse(event.data)));
+
+    socket.addEventListener('close', (event) => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.members.clear();
+      this.notify();
+
+      if (this.closing) {
+        this.setStatus('closed');
+        return;
+      }
+      if (FATAL_CLOSE_CODES.includes(event.code)) {
+        this.setStatus('closed');
+        this.callbacks.onError?.(event.reason || 'Connection refused');
+        return;
+      }
+
+      // Try again with growing pauses; the server replays what was missed
+      const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+      this.reconnectAttempts++;
+      this.setStatus('reconnecting');
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    });
+  }
+
+  /**
+   * Leave the room and close the connection
+   */
+  disconnect() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.outboxTimer);
+    clearTimeout(this.presenceTimer);
+    this.socket?.close();
+    this.socket = null;
+    this.setStatus('closed');
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'joined':
+        return this.handleJoined(message);
+      case 'op':
+        return this.handleEntry(message);
+      case 'presence':
+        this.members.set(message.member.clientId, message.member);
+        return this.notify();
+      case 'leave':
+        this.members.delete(message.clientId);
+        return this.notify();
+      case 'snapshot-request':
+        return this.sendSnapshot(message.requestId);
+      case 'error':
+        console.warn('[CollaborationClient] Server error:', message.message);
+        if (message.clientOpId) {
+          this.pending = this.pending.filter(entry => entry.clientOpId !== message.clientOpId);
+        }
+        return this.callbacks.onError?.(message.message);
+      default:
+        console.warn('[CollaborationClient] Unknown message:', message.type);
+    }
+  }
+
+  handleJoined({ clientId, color, session, snapshot, ops, members }) {
+    const resumed = this.session === session;
+    this.clientId = clientId;
+    this.color = color;
+    this.session = session;
+    this.reconnectAttempts = 0;
+    this.members = new Map(members.map(member => [member.clientId, member]));
+    this.notify();
+
+    if (snapshot) {
+      // An existing room: its diagram replaces ours, along with changes not sent yet
+      this.pending = [];
+      this.outbox.clear();
+      const lastVersion = ops.length ? ops[ops.length - 1].version : snapshot.version;
+      this.version = lastVersion;
+      this.callbacks.onSnapshot?.(CollaborationClient.foldOps(snapshot.state, ops));
+    } else if (resumed) {
+      ops.forEach(entry => this.handleEntry(entry));
+    } else {
+      // A new room, seeded with our diagram
+      this.version = 0;
+    }
+
+    console.log(`[CollaborationClient] Joined room ${this.room} as ${clientId} (${this.members.size} others)`);
+    this.setStatus('connected');
+
+    // Operations made while disconnected, then the latest presence
+    this.pending.forEach(entry => this.send({ type: 'op', op: entry.op, clientOpId: entry.clientOpId }));
+    this.sendPresence();
+  }
+
+  /**
+   * Apply an operation from the server log
+   * @param {Object} entry - {version, clientId, clientOpId, op}
+   */
+  handleEntry(entry) {
+    if (entry.version <= this.version) return;
+    this.version = entry.version;
+
+    // Our own operation coming back: already applied locally
+    const ownIndex = this.pending.findIndex(pending => pending.clientOpId === entry.clientOpId);
+    if (ownIndex !== -1) {
+      this.pending.splice(ownIndex, 1);
+      return;
+    }
+
+    // Everything ordered before our own clear is wiped by it anyway
+    if (this.pending.some(pending => pending.op.kind === 'clear')) return;
+
+    const { op } = entry;
+    if (op.kind === 'command') {
+      this.callbacks.onCommand?.(op.line);
+    } else if (op.kind === 'clear') {
+      this.unapplied = [];
+      this.callbacks.onClear?.();
+    } else {
+      const unshadowed = this.withoutPendingChanges(op);
+      if (!unshadowed) return;
+
+      if (this.canvas) {
+        this.canvas.applyOp(unshadowed);
+      } else {
+        this.unapplied.push(unshadowed);
+      }
+    }
+  }
+
+  /**
+   * Drop the parts of a remote operation that a pending local one overwrites
+   * @param {Object} op - Remote move, style, edgeStyle or connect operation
+   * @returns {Object|null} What is left to apply, or null
+   */
+  withoutPendingChanges(op) {
+    const local = [...this.pending.map(entry => entry.op), ...this.outbox.values()]
+      .filter(pending => pending.kind === op.kind && pending.nodeId === op.nodeId && pending.edgeId === op.edgeId);
+
+    if (op.kind === 'move') {
+      return local.length > 0 ? null : op;
+    }
+    if (op.kind === 'style' || op.kind === 'edgeStyle') {
+      const style = { ...op.style };
+      local.forEach(pending => Object.keys(pending.style).forEach(key => delete style[key]));
+      return Object.keys(style).length > 0 ? { ...op, style } : null;
+    }
+    return op;
+  }
+
+  /**
+   * Send a local change (already applied locally)
+   * @param {Object} op - {kind: 'command', line}, {kind: 'move', nodeId, position},
+   *   {kind: 'style', nodeId, style}, {kind: 'edgeStyle', edgeId, style}, {kind: 'connect', edge}
+   *   or {kind: 'clear'}
+   */
+  sendOp(op) {
+    if (op.kind === 'move' || op.kind === 'style' || op.kind === 'edgeStyle') {
+      const key = `${op.kind}:${op.nodeId || op.edgeId}`;
+      const queued = this.outbox.get(key);
+      this.outbox.set(key, queued && op.kind !== 'move'
+        ? { ...op, style: { ...queued.style, ...op.style } }
+        : op);
+
+      if (!this.outboxTimer) {
+        this.outboxTimer = setTimeout(() => this.flushOutbox(), COALESCE_MS);
+      }
+      return;
+    }
+
+    // Keep the order: queued moves/styles go out first
+    this.flushOutbox();
+    this.queueOp(op);
+  }
+
+  flushOutbox() {
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+
+    const ops = [...this.outbox.values()];
+    this.outbox.clear();
+    ops.forEach(op => this.queueOp(op));
+  }
+
+  queueOp(op) {
+    const entry = { clientOpId: `${this.instanceId}-${++this.opCounter}`, op };
+    this.pending.push(entry);
+    if (this.status === 'connected') {
+      this.send({ type: 'op', op, clientOpId: entry.clientOpId });
+    }
+  }
+
+  /**
+   * Number of local command lines the server hasn't ordered yet
+   * They are the last lines of the local history
+   * @returns {number} Pending command count
+   */
+  getPendingCommandCount() {
+    return this.pending.filter(entry => entry.op.kind === 'command').length;
+  }
+
+  /**
+   * Share your cursor (flow coordinates) and/or selected node IDs
+   * @param {Object} presence - {cursor: {x, y}|null, selection: Array<string>}
+   */
+  setPresence(presence) {
+    this.presence = { ...this.presence, ...presence };
+    if (!this.presenceTimer) {
+      this.presenceTimer = setTimeout(() => this.sendPresence(), PRESENCE_MS);
+    }
+  }
+
+  sendPresence() {
+    clearTimeout(this.presenceTimer);
+    this.presenceTimer = null;
+    if (this.status === 'connected') {
+      this.send({ type: 'presence', ...this.presence });
+    }
+  }
+
+  /**
+   * Register the canvas that applies move, style, edgeStyle and connect operations
+   * @param {Object} canvas - {applyOp(op)}
+   * @returns {Function} Unregister
+   */
+  setCanvas(canvas) {
+    this.canvas = canvas;
+    this.unapplied.splice(0).forEach(op => canvas.applyOp(op));
+    return () => {
+      if (this.canvas === canvas) this.canvas = null;
+    };
+  }
+
+  /**
+   * Listen for changes to the other members (cursors, selections, joins and leaves)
+   * @param {Function} listener - Called without arguments
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * The other members of the room
+   * @returns {Array} [{clientId, name, color, cursor, selection}] (same array until something changes)
+   */
+  getMembers() {
+    return this.membersList;
+  }
+
+  notify() {
+    this.membersList = [...this.members.values()];
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Our diagram without the command lines the server hasn't ordered yet
+   * (they reach the joining client as operations)
+   * @returns {Object} {history, idMapping, diagram}
+   */
+  getSnapshotState() {
+    return this.callbacks.getState?.() || { history: [], idMapping: null, diagram: null };
+  }
+
+  /**
+   * Answer a server snapshot-request (someone joining, or the operation log growing)
+   * @param {string} requestId - Server request being answered
+   */
+  sendSnapshot(requestId) {
+    this.send({ type: 'snapshot', requestId, state: this.getSnapshotState(), version: this.version });
+  }
+
+  send(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  setStatus(status) {
+    if (this.status === status) return;
+    this.status = status;
+    console.log(`[CollaborationClient] ${status}`);
+    this.callbacks.onStatus?.(status);
+  }
+
+  /**
+   * Apply operations to a snapshot, for someone joining a room
+   * Moves and styles of nodes the snapshot doesn't have yet are left out:
+   * the server asks for a snapshot every few hundred operations, so there are only a few
+   * @param {Object} state - {history, idMapping, diagram}
+   * @param {Array} entries - Log entries after the snapshot
+   * @returns {Object} {history, idMapping, diagram}
+   */
+  static foldOps(state, entries) {
+    let history = [...(state.history || [])];
+    let idMapping = state.idMapping || null;
+    const diagram = {
+      nodes: (state.diagram?.nodes || []).map(node => ({ ...node })),
+      edges: [...(state.diagram?.edges || [])],
+    };
+
+    entries.forEach(({ op }) => {
+      const node = diagram.nodes.find(n => n.id === op.nodeId);
+
+      if (op.kind === 'command') {
+        history.push(op.line);
+      } else if (op.kind === 'clear') {
+        history = [];
+        idMapping = null;
+        diagram.nodes = [];
+        diagram.edges = [];
+      } else if (op.kind === 'move' && node) {
+        node.position = op.position;
+      } else if (op.kind === 'style' && node) {
+        node.styleOverrides = { ...node.styleOverrides, ...op.style };
+      } else if (op.kind === 'connect' && !diagram.edges.some(edge => edge.id === op.edge.id)) {
+        diagram.edges.push(op.edge);
+      } else if (op.kind === 'edgeStyle') {
+        diagram.edges = diagram.edges.map(edge => (edge.id === op.edgeId
+          ? { ...edge, styleOverrides: { ...edge.styleOverrides, ...op.style } }
+          : edge));
+      }
+    });
+
+    return { history, idMapping, diagram: diagram.nodes.length > 0 ? diagram : null };
+  }
+}
+
+export default CollaborationClient;
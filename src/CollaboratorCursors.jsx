@@ -0,0 +1,84 @@
+import React, { useSyncExternalStore } from 'react';
+import { useStore } from 'reactflow';
+
+const transformSelector = (state) => state.transform;
+const nodeInternalsSelector = (state) => state.nodeInternals;
+
+/**
+ * CollaboratorCursors - Cursors and selected nodes of the others in a shared room
+ * Rendered inside <ReactFlow> so it follows pan and zoom; it re-renders on
+ * presence updates without re-rendering the diagram
+ */
+const CollaboratorCursors = ({ collaboration }) => {
+  const members = useSyncExternalStore(collaboration.subscribe, collaboration.getMembers);
+  const [x, y, zoom] = useStore(transformSelector);
+  const nodeInternals = useStore(nodeInternalsSelector);
+
+  // Flow coordinates to pixels inside the canvas
+  const toScreen = (point) => ({ left: point.x * zoom + x, top: point.y * zoom + y });
+
+  const selections = members.flatMap(member => member.selection.map((nodeId) => {
+    const node = nodeInternals.get(nodeId);
+    if (!node?.width || !node.positionAbsolute) return null;
+
+    const { left, top } = toScreen(node.positionAbsolute);
+    return (
+      <div
+        key={`${member.clientId}-${nodeId}`}
+        className="tq-collaborator-selection"
+        style={{
+          position: 'absolute',
+          left: left - 3,
+          top: top - 3,
+          width: node.width * zoom + 6,
+          height: node.height * zoom + 6,
+          border: `2px solid ${member.color}`,
+          borderRadius: '4px',
+        }}
+      />
+    );
+  }));
+
+  const cursors = members.filter(member => member.cursor).map((member) => {
+    const { left, top } = toScreen(member.cursor);
+    return (
+      <div
+        key={member.clientId}
+        className="tq-collaborator-cursor"
+        style={{ position: 'absolute', left, top }}
+      >
+        <svg width="16" height="16" viewBox="0 0 16 16" style={{ display: 'block' }}>
+          <path d="M1 1 L1 13 L4.5 9.5 L7 15 L9 14 L6.5 8.5 L11.5 8.5 Z" fill={member.color} stroke="#ffffff" strokeWidth="1" />
+        </svg>
+        <span
+          style={{
+            position: 'absolute',
+            left: '14px',
+            top: '14px',
+            padding: '1px 6px',
+            background: member.color,
+            color: '#ffffff',
+            borderRadius: '3px',
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+            fontSize: '11px',
+            whiteSpace: 'nowrap',
+          }}
+        >
+          {member.name}
+        </span>
+      </div>
+    );
+  });
+
+  return (
+    <div
+      className="tq-collaborators"
+      style={{ position: 'absolute', inset: 0, pointerEvents: 'none', overflow: 'hidden', zIndex: 5 }}
+    >
+      {selections}
+      {cursors}
+    </div>
+  );
+};
+
+export default CollaboratorCursors;
@@ -0,0 +1,50 @@
+/**
+ * DiagramExporter - Single responsibility class for exporting diagrams as JSON
+ * The counterpart of DiagramImporter: positions (relative to the group for
+ * grouped nodes), group sizes, labels and node and edge style overrides
+ */
+export class DiagramExporter {
+  /**
+   * Export nodes and edges to plain JSON data
+   * @param {Array} nodes - ReactFlow nodes
+   * @param {Array} edges - ReactFlow edges
+   * @returns {Object} {nodes, edges}, importable with DiagramImporter.importFromJSON
+   */
+  static exportToJSON(nodes, edges) {
+    return {
+      nodes: nodes.map(node => ({
+        id: node.id,
+        type: node.type,
+        label: node.data.label,
+        nodeNumber: node.data.nodeNumber,
+        position: node.position, // Relative to the group for grouped nodes
+        parentNode: node.parentNode,
+        size: node.type === 'group' && node.style
+          ? { width: node.style.width, height: node.style.height }
+          : undefined,
+        styleOverrides: node.data.styleOverrides,
+      })),
+      edges: edges.map(edge => ({
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        label: edge.label,
+        type: edge.type,
+        kind: edge.data?.kind,
+        styleOverrides: edge.data?.styleOverrides,
+      })),
+    };
+  }
+
+  /**
+   * Export nodes and edges to a formatted JSON string
+   * @param {Array} nodes - ReactFlow nodes
+   * @param {Array} edges - ReactFlow edges
+   * @returns {string} JSON text
+   */
+  static exportToJSONString(nodes, edges) {
+    return JSON.stringify(this.exportToJSON(nodes, edges), null, 2);
+  }
+}
+
+export default DiagramExporter;
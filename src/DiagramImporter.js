@@ -1,4 +1,4 @@
-import { MarkerType } from 'reactflow';
+import { MarkerType } from './utils/markerTypes.js';
 
 /**
  * DiagramImporter - Single responsibility class for importing JSON diagrams
@@ -53,6 +53,14 @@ export class DiagramImporter {
       }
     });
 
+    // Grouped nodes must point at a group in the same file
+    const groupIds = new Set(jsonData.nodes.filter(node => node.type === 'group').map(node => node.id));
+    jsonData.nodes.forEach((node, index) => {
+      if (node.parentNode && !groupIds.has(node.parentNode)) {
+        throw new Error(`Invalid node at index ${index}: parentNode "${node.parentNode}" is not a group`);
+      }
+    });
+
     // Validate edges if present
     if (jsonData.edges && Array.isArray(jsonData.edges)) {
       jsonData.edges.forEach((edge, index) => {
@@ -75,14 +83,27 @@ export class DiagramImporter {
    * @returns {Array} Array of ReactFlow node objects
    */
   static transformNodes(nodes) {
-    return nodes.map(node => {
+    // ReactFlow needs groups before their children
+    const orderedNodes = [
+      ...nodes.filter(node => node.type === 'group'),
+      ...nodes.filter(node => node.type !== 'group'),
+    ];
+
+    return orderedNodes.map(node => {
+      if (node.type === 'group') {
+        return this.transformGroup(node);
+      }
+
       const defaultStyleOverrides = {
-        backgroundColor: '#ffffff',
-        borderColor: '#000000',
-        borderWidth: 1,
+        background: '#ffffff',
+        border: '1px solid #000000',
         fontSize: '11px',
       };
 
+      const groupFields = node.parentNode
+        ? { parentNode: node.parentNode, extent: 'parent', expandParent: true }
+        : {};
+
       return {
         id: node.id,
         type: node.type || 'rectangle',
@@ -91,16 +112,62 @@ export class DiagramImporter {
           y: node.position.y,
         },
         data: {
-          label: node.id,
+          label: node.label ?? node.id,
           nodeNumber: node.nodeNumber || null,
           styleOverrides: node.styleOverrides
-            ? { ...defaultStyleOverrides, ...node.styleOverrides }
+            ? { ...defaultStyleOverrides, ...this.normalizeStyleOverrides(node.styleOverrides) }
             : defaultStyleOverrides,
         },
+        ...groupFields,
       };
     });
   }
 
+  /**
+   * Transform an imported group node to a ReactFlow parent node
+   * @param {Object} node - Group node from JSON
+   * @returns {Object} ReactFlow group node
+   */
+  static transformGroup(node) {
+    return {
+      id: node.id,
+      type: 'group',
+      position: {
+        x: node.position.x,
+        y: node.position.y,
+      },
+      style: node.size
+        ? { width: node.size.width, height: node.size.height }
+        : undefined,
+      data: {
+        label: node.label ?? node.id,
+        styleOverrides: node.styleOverrides || {},
+      },
+    };
+  }
+
+  /**
+   * Convert style keys written by older exports (backgroundColor, borderColor,
+   * borderWidth) to the nodeDefaults keys nodes render with
+   * @param {Object} styleOverrides - Imported style overrides
+   * @returns {Object} Normalized style overrides
+   */
+  static normalizeStyleOverrides(styleOverrides) {
+    const { backgroundColor, borderColor, borderWidth, ...rest } = styleOverrides;
+    const normalized = { ...rest };
+
+    if (backgroundColor && !normalized.background) {
+      normalized.background = backgroundColor;
+    }
+
+    if ((borderColor || borderWidth != null) && !normalized.border) {
+      const width = typeof borderWidth === 'number' ? `${borderWidth}px` : (borderWidth || '1px');
+      normalized.border = `${width} solid ${borderColor || '#000000'}`;
+    }
+
+    return normalized;
+  }
+
   /**
    * Transform imported edges to ReactFlow format
    * @param {Array} edges - Array of edge objects from JSON
@@ -116,6 +183,11 @@ export class DiagramImporter {
       markerEnd: {
         type: MarkerType.ArrowClosed,
       },
+      // Arrow kind and styles from @a->b commands or the edge inspector (see edgeDefaults)
+      data: {
+        kind: edge.kind || 'arrow',
+        ...(edge.styleOverrides ? { styleOverrides: { ...edge.styleOverrides } } : {}),
+      },
     }));
   }
 
@@ -1,10 +1,12 @@
-import dagre from 'dagre';
-import { MarkerType } from 'reactflow';
+import { MarkerType } from './utils/markerTypes.js';
 import { SyntaxManager } from './parsers/SyntaxManager.js';
+import { MermaidConverter } from './parsers/MermaidConverter.js';
+import { applyFlowLayout } from './utils/layoutAlgorithms.js';
 
 export class DiagramParser {
   constructor() {
     this.syntaxManager = new SyntaxManager();
+    this.mermaidConverter = new MermaidConverter();
   }
 
   parse(input) {
@@ -12,10 +14,10 @@ export class DiagramParser {
     console.log('[DiagramParser] Starting parse with input:', input);
 
     // Use SyntaxManager to parse input
-    const { nodes, edges, commands } = this.syntaxManager.parse(input);
+    const { nodes, edges, groups, commands, diagnostics } = this.syntaxManager.parse(input);
 
-    console.log('[DiagramParser] Parse complete - nodes:', nodes.length, 'edges:', edges.length, 'commands:', commands.length);
-    return { nodes, edges, commands };
+    console.log('[DiagramParser] Parse complete - nodes:', nodes.length, 'edges:', edges.length, 'groups:', groups.length, 'commands:', commands.length, 'diagnostics:', diagnostics.length);
+    return { nodes, edges, groups, commands, diagnostics };
   }
 
 
@@ -62,15 +64,52 @@ export class DiagramParser {
         position: position,
         data: {
           nodeNumber: node.nodeNumber,
+          label: node.label ?? node.id,
         },
       };
     });
   }
 
+  /**
+   * Turn groups into ReactFlow parent nodes and lay them out as units
+   * Groups come before their children, as ReactFlow requires
+   * @param {Array} layoutedNodes - Nodes from layoutGraph
+   * @param {Array} groups - Groups from SyntaxManager {id, label, children}
+   * @param {Array} edges - Edges
+   * @returns {Array} Group and child nodes with positions
+   */
+  layoutGroups(layoutedNodes, groups, edges) {
+    const parentOf = new Map();
+    groups.forEach(group => group.children.forEach(childId => parentOf.set(childId, group.id)));
+
+    const groupNodes = groups.map(group => ({
+      id: group.id,
+      type: 'group',
+      position: { x: 0, y: 0 },
+      data: {
+        label: group.label,
+      },
+    }));
+
+    const childNodes = layoutedNodes.map(node => (
+      parentOf.has(node.id)
+        ? { ...node, parentNode: parentOf.get(node.id), extent: 'parent', expandParent: true }
+        : node
+    ));
+
+    // Left-to-right like layoutGraph, with room for each group's size
+    return applyFlowLayout([...groupNodes, ...childNodes], edges, { direction: 'LR' });
+  }
+
   getNodesAndEdges(input) {
-    const { nodes, edges, commands } = this.parse(input);
-    const layoutedNodes = this.layoutGraph(nodes, edges);
+    const { nodes, edges, groups, commands, diagnostics } = this.parse(input);
+    let layoutedNodes = this.layoutGraph(nodes, edges);
+
+    if (groups.length > 0) {
+      layoutedNodes = this.layoutGroups(layoutedNodes, groups, edges);
+    }
 
+    // The edge kind (dotted, thick, ...) is drawn by StyledEdge; undirected edges have no arrow
     const formattedEdges = edges.map(edge => ({
       id: edge.id,
       source: edge.source,
@@ -78,12 +117,26 @@ export class DiagramParser {
       label: edge.label,
       type: edge.source === edge.target ? 'selfLoop' : 'smoothstep',
       animated: false,
-      markerEnd: {
+      markerEnd: edge.kind === 'undirected' ? undefined : {
         type: MarkerType.ArrowClosed,
       },
+      data: { kind: edge.kind || 'arrow' },
     }));
 
-    return { nodes: layoutedNodes, edges: formattedEdges, commands };
+    return { nodes: layoutedNodes, edges: formattedEdges, commands, diagnostics };
+  }
+
+  /**
+   * Parse a Mermaid flowchart by converting it to hybrid syntax first
+   * @param {string} mermaidCode - Mermaid flowchart/graph text
+   * @returns {Object} {nodes, edges, commands, lines, warnings} where lines
+   *   is the equivalent hybrid syntax
+   */
+  getNodesAndEdgesFromMermaid(mermaidCode) {
+    const { lines, warnings } = this.mermaidConverter.convert(mermaidCode);
+    const { nodes, edges, commands } = this.getNodesAndEdges(lines.join('\n'));
+
+    return { nodes, edges, commands, lines, warnings };
   }
 
   /**
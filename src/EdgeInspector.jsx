@@ -0,0 +1,138 @@
+import React from 'react';
+import { getEdgeStyle, edgeStrokeStyles, edgeCurves, edgeMarkers, edgeLabelPositions } from './edges/edgeDefaults.js';
+import { useDraggablePanel } from './hooks/useDraggablePanel.js';
+
+const labelStyle = { display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: 500 };
+const selectStyle = { width: '100%', padding: '4px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px' };
+const fieldStyle = { marginBottom: '12px' };
+
+// Helper to normalize hex color to 6-digit format (color inputs need it)
+const normalizeHexColor = (color) => {
+  if (color?.match(/^#[0-9A-Fa-f]{3}$/)) {
+    return '#' + color[1] + color[1] + color[2] + color[2] + color[3] + color[3];
+  }
+  return /^#[0-9A-Fa-f]{6}$/.test(color || '') ? color : '#b1b1b7';
+};
+
+const OptionSelect = ({ label, value, options, onChange }) => (
+  <div style={fieldStyle}>
+    <label style={labelStyle}>{label}</label>
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={selectStyle}>
+      {options.map(option => <option key={option} value={option}>{option}</option>)}
+    </select>
+  </div>
+);
+
+/**
+ * EdgeInspector - Floating panel for the style of one edge
+ * Each change is reported as the changed keys only (see edgeDefaults)
+ */
+const EdgeInspector = ({ selectedEdge, onStyleChange, onClose }) => {
+  const { panelRef, isDragging, positionStyle, handleMouseDown } = useDraggablePanel();
+
+  if (!selectedEdge) return null;
+
+  const style = getEdgeStyle(selectedEdge);
+
+  const handleChange = (property, value) => {
+    if (onStyleChange) {
+      onStyleChange(selectedEdge.id, { [property]: value });
+    }
+  };
+
+  return (
+    <div
+      ref={panelRef}
+      style={{
+        position: 'absolute',
+        ...positionStyle,
+        width: '160px',
+        background: 'white',
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+        zIndex: 1000,
+        fontFamily: 'system-ui, -apple-system, sans-serif',
+        fontSize: '14px',
+        userSelect: isDragging ? 'none' : 'auto',
+      }}
+    >
+      {/* Draggable header */}
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          padding: '12px 16px',
+          borderBottom: '1px solid #e0e0e0',
+          cursor: 'grab',
+          background: '#f5f5f5',
+          borderRadius: '8px 8px 0 0',
+        }}
+        onMouseDown={handleMouseDown}
+      >
+        <h3 style={{ margin: 0, fontSize: '13px', fontWeight: 600 }}>Edge Inspector</h3>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'none',
+            border: 'none',
+            fontSize: '20px',
+            cursor: 'pointer',
+            padding: '0',
+            color: '#666',
+            lineHeight: 1,
+          }}
+        >×</button>
+      </div>
+
+      {/* Content */}
+      <div style={{ padding: '16px' }}>
+        <div style={fieldStyle}>
+          <label style={{ ...labelStyle, color: '#666' }}>
+            Edge: {selectedEdge.source} → {selectedEdge.target}
+          </label>
+        </div>
+
+        <div style={fieldStyle}>
+          <label style={labelStyle}>Stroke Color</label>
+          <input
+            type="color"
+            value={normalizeHexColor(style.stroke)}
+            onChange={(e) => handleChange('stroke', e.target.value)}
+            style={{ width: '100%', height: '32px', border: '1px solid #ddd', borderRadius: '4px', cursor: 'pointer' }}
+          />
+        </div>
+
+        <div style={fieldStyle}>
+          <label style={labelStyle}>Width: {style.strokeWidth}px</label>
+          <input
+            type="range"
+            min="1"
+            max="8"
+            value={style.strokeWidth}
+            onChange={(e) => handleChange('strokeWidth', Number(e.target.value))}
+            style={{ width: '100%' }}
+          />
+        </div>
+
+        <OptionSelect label="Dash" value={style.strokeStyle} options={edgeStrokeStyles} onChange={(v) => handleChange('strokeStyle', v)} />
+        <OptionSelect label="Curve" value={style.curve} options={edgeCurves} onChange={(v) => handleChange('curve', v)} />
+        <OptionSelect label="Start Marker" value={style.markerStart} options={edgeMarkers} onChange={(v) => handleChange('markerStart', v)} />
+        <OptionSelect label="End Marker" value={style.markerEnd} options={edgeMarkers} onChange={(v) => handleChange('markerEnd', v)} />
+        <OptionSelect label="Label Position" value={style.labelPosition} options={edgeLabelPositions} onChange={(v) => handleChange('labelPosition', v)} />
+
+        <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '6px', marginBottom: 0 }}>
+          <input
+            type="checkbox"
+            checked={style.animated}
+            onChange={(e) => handleChange('animated', e.target.checked)}
+          />
+          Animated
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default EdgeInspector;
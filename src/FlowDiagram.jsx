@@ -13,24 +13,35 @@ import RectangleNode from './nodes/RectangleNode.jsx';
 import CircleNode from './nodes/CircleNode.jsx';
 import SquareNode from './nodes/SquareNode.jsx';
 import DiamondNode from './nodes/DiamondNode.jsx';
+import GroupNode from './nodes/GroupNode.jsx';
 import StyleInspector from './StyleInspector.jsx';
+import EdgeInspector from './EdgeInspector.jsx';
 import SettingsPanel from './SettingsPanel.jsx';
+import CollaboratorCursors from './CollaboratorCursors.jsx';
 import SelfLoopEdge from './edges/SelfLoopEdge.jsx';
+import StyledEdge, { toStyledEdge } from './edges/StyledEdge.jsx';
+import { hasEdgeStyle } from './edges/edgeDefaults.js';
 import { nodeDefaults } from './nodes/nodeDefaults.js';
+import { useHistory } from './hooks/useHistory.js';
 import { DiagramParser } from './DiagramParser.js';
 import { DiagramImporter } from './DiagramImporter.js';
+import { DiagramExporter } from './DiagramExporter.js';
+import { MermaidExporter } from './MermaidExporter.js';
 import * as layoutAlgorithms from './utils/layoutAlgorithms.js';
+import GroupLayout from './utils/layouts/GroupLayout.js';
 
 const nodeTypes = {
   rectangle: RectangleNode,
   circle: CircleNode,
   square: SquareNode,
   diamond: DiamondNode,
+  group: GroupNode,
   default: RectangleNode, // Fallback to rectangle
 };
 
 const edgeTypes = {
   selfLoop: SelfLoopEdge,
+  styled: StyledEdge, // Edges with style overrides (@a->b commands, edge inspector)
 };
 
 // Custom styles to override ReactFlow's default selection
@@ -82,6 +93,56 @@ const customStyles = `
   }
 `;
 
+/**
+ * Format a value as a command argument, quoting it when it contains
+ * whitespace, quotes or characters the command syntax would otherwise split on
+ * Quotes and backslashes inside are escaped (see QuotedStringParser)
+ * @param {string} value - Raw argument value
+ * @returns {string} Argument safe to place inside =command(...)
+ */
+const formatCommandArg = (value) => {
+  if (/[\s",()\\]/.test(value)) {
+    return `"${value.replace(/["\\]/g, '\\$&')}"`;
+  }
+  return value;
+};
+
+/**
+ * Edge drawn by connecting two handles (locally or by someone else in the room)
+ * @param {Object} connection - {source, target, sourceHandle, targetHandle}
+ * @returns {Object} ReactFlow edge with the same ID on every client
+ */
+const createConnectionEdge = ({ source, target, sourceHandle = null, targetHandle = null }) => ({
+  id: `reactflow__edge-${source}${sourceHandle || ''}-${target}${targetHandle || ''}`,
+  source,
+  target,
+  sourceHandle,
+  targetHandle,
+  type: 'smoothstep',
+  markerEnd: {
+    type: MarkerType.ArrowClosed,
+  },
+});
+
+/**
+ * Nodes of a saved diagram, ready to merge with freshly parsed ones
+ * Shape changes made with @ commands are kept as typeOverride, since those
+ * commands aren't run again when a diagram is loaded
+ * @param {Object} savedDiagram - Diagram JSON (DiagramExporter format)
+ * @param {Array} parsedNodes - Nodes parsed from the saved history
+ * @returns {Array} ReactFlow nodes
+ */
+const getSavedNodes = (savedDiagram, parsedNodes) => {
+  if (!savedDiagram.nodes?.length) return [];
+
+  const parsedTypes = new Map(parsedNodes.map(node => [node.id, node.type]));
+  return DiagramImporter.importFromJSON(savedDiagram).nodes.map(node => {
+    const parsedType = parsedTypes.get(node.id);
+    if (node.type === 'group' || !parsedType || parsedType === node.type) return node;
+    return { ...node, data: { ...node.data, typeOverride: node.type } };
+  });
+};
+
 const FlowDiagram = ({
   initialNodes = [],
   initialEdges = [],
@@ -96,35 +157,64 @@ const FlowDiagram = ({
   onCopyStyle,
   onPasteStyleToChat,
   onExportPNG,
+  onExportSVG,
   onClearCanvas,
   onSetInput,
   onCommandError,
   onReactFlowInit,
+  onHistoryReady,
+  onHistoryRestore,
+  onAppendHistory,
+  onShare,
+  savedDiagram = null,
+  collaboration = null,
 }) => {
   const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
   const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
   const [isModifierKeyPressed, setIsModifierKeyPressed] = useState(false);
 
-  // Handle JSON export
-  const handleExportJSON = useCallback(() => {
-    const exportData = {
-      nodes: nodes.map(node => ({
-        id: node.id,
-        type: node.type,
-        nodeNumber: node.data.nodeNumber,
-        position: node.position,
-        styleOverrides: node.data.styleOverrides,
-      })),
-      edges: edges.map(edge => ({
-        id: edge.id,
-        source: edge.source,
-        target: edge.target,
-        label: edge.label,
-        type: edge.type,
-      })),
-    };
+  // Undo/redo: each snapshot holds the canvas state plus the text history that produced it
+  const latestStateRef = useRef({ nodes, edges, commands });
+  latestStateRef.current = { nodes, edges, commands };
+  const lastDiagramHistoryRef = useRef([...diagramHistory]);
+  const suppressedCommandsRef = useRef(null);
+
+  const { recordSnapshot, undo, redo } = useHistory({
+    getSnapshot: () => ({
+      nodes: latestStateRef.current.nodes,
+      edges: latestStateRef.current.edges,
+      diagramHistory: [...lastDiagramHistoryRef.current],
+      executedCommands: prevCommandsRef.current,
+    }),
+    applySnapshot: (snapshot) => {
+      console.log('[FlowDiagram] Restoring history snapshot');
+      setNodes(snapshot.nodes);
+      setEdges(snapshot.edges);
+      setSelectedNode(null);
+      setShowStyleInspector(false);
+      setSelectedEdgeId(null);
+
+      // Don't re-run commands the current props still contain
+      prevCommandsRef.current = snapshot.executedCommands;
+      suppressedCommandsRef.current = latestStateRef.current.commands;
+
+      lastDiagramHistoryRef.current = snapshot.diagramHistory;
+      if (onHistoryRestore) {
+        onHistoryRestore([...snapshot.diagramHistory]);
+      }
+    },
+  });
 
-    const jsonString = JSON.stringify(exportData, null, 2);
+  // Expose undo/redo to the handler (TrustQueryDraw.undo()/redo())
+  useEffect(() => {
+    if (onHistoryReady) {
+      onHistoryReady({ undo, redo });
+    }
+  }, [onHistoryReady, undo, redo]);
+
+  // Handle JSON export using DiagramExporter class
+  const handleExportJSON = useCallback(() => {
+    const jsonString = DiagramExporter.exportToJSONString(nodes, edges);
     navigator.clipboard.writeText(jsonString);
   }, [nodes, edges]);
 
@@ -133,7 +223,8 @@ const FlowDiagram = ({
     try {
       const { nodes: importedNodes, edges: importedEdges } = DiagramImporter.importFromJSON(jsonData);
 
-      setNodes(importedNodes);
+      recordSnapshot();
+      setNodes(GroupLayout.fitGroups(importedNodes));
       setEdges(importedEdges);
 
       console.log('[FlowDiagram] Successfully imported diagram:', {
@@ -144,7 +235,14 @@ const FlowDiagram = ({
       console.error('[FlowDiagram] Failed to import JSON:', error);
       alert(`Failed to import diagram: ${error.message}`);
     }
-  }, [setNodes, setEdges]);
+  }, [setNodes, setEdges, recordSnapshot]);
+
+  // Handle Mermaid export (copies flowchart text to the clipboard)
+  const handleExportMermaid = useCallback(() => {
+    const mermaidText = MermaidExporter.exportToMermaid(nodes, edges);
+    navigator.clipboard.writeText(mermaidText);
+    console.log('[FlowDiagram] Mermaid exported to clipboard');
+  }, [nodes, edges]);
 
   // Handle commands export
   const handleExportCommands = useCallback(() => {
@@ -155,6 +253,7 @@ const FlowDiagram = ({
   const [isSpacePressed, setIsSpacePressed] = useState(false);
   const [selectedNode, setSelectedNode] = useState(null);
   const [showStyleInspector, setShowStyleInspector] = useState(false);
+  const [selectedEdgeId, setSelectedEdgeId] = useState(null);
   const [defaultStyles, setDefaultStyles] = useState({
     fillColor: '#ffffff',
     borderColor: '#000000',
@@ -163,25 +262,59 @@ const FlowDiagram = ({
   const reactFlowInstance = useRef(null);
   const diagramParserRef = useRef(new DiagramParser());
   const prevCommandsRef = useRef([]);
+  const prevInitialNodesRef = useRef(initialNodes);
+
+  // A loaded diagram (TrustQueryDraw.loadDiagram) brings back its saved positions,
+  // styles and manual edges once, on the first render that receives it
+  const appliedSavedDiagramRef = useRef(null);
+  const restoringDiagram = savedDiagram && savedDiagram !== appliedSavedDiagramRef.current
+    ? savedDiagram
+    : null;
+
+  // Record an undo step whenever a new parse result arrives (text commands, =rename, =layout, ...)
+  useEffect(() => {
+    if (prevInitialNodesRef.current === initialNodes) return;
+    prevInitialNodesRef.current = initialNodes;
+
+    recordSnapshot();
+    lastDiagramHistoryRef.current = [...diagramHistory];
+  }, [initialNodes, diagramHistory, recordSnapshot]);
 
   // Update nodes when initialNodes changes
   useEffect(() => {
+    const savedNodes = restoringDiagram ? getSavedNodes(restoringDiagram, initialNodes) : null;
+
     setNodes((currentNodes) => {
       // Create a map of current nodes by ID to preserve user changes (position, style)
-      const currentNodesMap = new Map(currentNodes.map(n => [n.id, n]));
+      // When loading a saved diagram, its nodes take the place of the current ones
+      const currentNodesMap = new Map((savedNodes || currentNodes).map(n => [n.id, n]));
 
       // Process new nodes
       const updatedNodes = initialNodes.map((newNode) => {
         const existingNode = currentNodesMap.get(newNode.id);
 
         if (existingNode) {
-          // Node exists - preserve position and styleOverrides, update everything else
+          // Node exists - preserve position, styleOverrides and shape changes, update everything else
+          // A node that moved in or out of a group takes its new (relative) position
+          const typeOverride = existingNode.data?.typeOverride;
+          const sameParent = existingNode.parentNode === newNode.parentNode;
           return {
             ...newNode,
-            position: existingNode.position, // Keep user's position
+            type: typeOverride || newNode.type,
+            position: sameParent ? existingNode.position : newNode.position, // Keep user's position
             data: {
               ...newNode.data,
               styleOverrides: existingNode.data?.styleOverrides || {}, // Keep user's styles
+              typeOverride,
+            },
+          };
+        } else if (newNode.type === 'group') {
+          // New group - keeps its layout size, styled by nodeDefaults.group
+          return {
+            ...newNode,
+            data: {
+              ...newNode.data,
+              styleOverrides: {},
             },
           };
         } else {
@@ -196,9 +329,8 @@ const FlowDiagram = ({
             data: {
               ...nodeWithoutStyle.data,
               styleOverrides: {
-                backgroundColor: defaultStyles.fillColor,
-                borderColor: defaultStyles.borderColor,
-                borderWidth: defaultStyles.borderWidth,
+                background: defaultStyles.fillColor,
+                border: `${defaultStyles.borderWidth}px solid ${defaultStyles.borderColor}`,
                 fontSize: defaultFontSize,
               },
             },
@@ -206,23 +338,56 @@ const FlowDiagram = ({
         }
       });
 
-      return updatedNodes;
+      // Groups grow or shrink around their children
+      return GroupLayout.fitGroups(updatedNodes);
     });
   }, [initialNodes, setNodes, defaultStyles]);
 
+  // IDs of edges that came from the parser on the previous render
+  const parsedEdgeIdsRef = useRef(new Set(initialEdges.map(e => e.id)));
+
   // Update edges when initialEdges changes
   useEffect(() => {
+    // A loaded diagram brings its own manual edges; the old parse doesn't apply to them
+    const savedEdges = restoringDiagram ? DiagramImporter.transformEdges(restoringDiagram.edges || []) : null;
+    const previousParsedIds = savedEdges ? new Set() : parsedEdgeIdsRef.current;
+    parsedEdgeIdsRef.current = new Set(initialEdges.map(e => e.id));
+    const nodeIds = new Set(initialNodes.map(n => n.id));
+
     setEdges((currentEdges) => {
       // Create a map of initial edges by ID
       const initialEdgesMap = new Map(initialEdges.map(e => [e.id, e]));
 
-      // Keep manually created edges (ones not in initialEdges)
-      const manualEdges = currentEdges.filter(edge => !initialEdgesMap.has(edge.id));
+      // Keep manually created edges (ones never produced by the parser)
+      // Parsed edges missing from initialEdges were removed with =delete
+      const manualEdges = (savedEdges || currentEdges).filter(edge =>
+        !initialEdgesMap.has(edge.id) &&
+        !previousParsedIds.has(edge.id) &&
+        nodeIds.has(edge.source) &&
+        nodeIds.has(edge.target)
+      );
+
+      // Parsed edges keep the styles set with @a->b commands or the edge inspector
+      const currentEdgesMap = new Map((savedEdges || currentEdges).map(e => [e.id, e]));
+      const parsedEdges = initialEdges.map((edge) => {
+        const styleOverrides = currentEdgesMap.get(edge.id)?.data?.styleOverrides;
+        return styleOverrides ? { ...edge, data: { ...edge.data, styleOverrides } } : edge;
+      });
 
       // Merge: initialEdges + manual edges
-      return [...initialEdges, ...manualEdges];
+      return [...parsedEdges, ...manualEdges];
     });
-  }, [initialEdges, setEdges]);
+  }, [initialEdges, initialNodes, setEdges]);
+
+  // The @ and =layout commands of a loaded diagram are already in its saved state
+  useEffect(() => {
+    if (!restoringDiagram) return;
+
+    console.log('[FlowDiagram] Restored saved diagram');
+    appliedSavedDiagramRef.current = restoringDiagram;
+    prevCommandsRef.current = commands;
+    suppressedCommandsRef.current = commands;
+  }, [restoringDiagram, commands]);
 
   // Log JSON representation whenever nodes or edges change
   useEffect(() => {
@@ -231,8 +396,10 @@ const FlowDiagram = ({
         nodes: nodes.map(node => ({
           id: node.id,
           type: node.type,
+          label: node.data.label,
           nodeNumber: node.data.nodeNumber,
           position: node.position,
+          parentNode: node.parentNode,
           styleOverrides: node.data.styleOverrides,
         })),
         edges: edges.map(edge => ({
@@ -240,6 +407,7 @@ const FlowDiagram = ({
           source: edge.source,
           target: edge.target,
           label: edge.label,
+          styleOverrides: edge.data?.styleOverrides,
         })),
       };
       console.log('[Visualization JSON]', JSON.stringify(visualization, null, 2));
@@ -253,6 +421,19 @@ const FlowDiagram = ({
       if (e.metaKey || e.ctrlKey) {
         setIsModifierKeyPressed(true);
       }
+      // Undo (Cmd/Ctrl+Z) and redo (Shift+Cmd/Ctrl+Z or Ctrl+Y), leaving text fields their native undo
+      // (off in a shared room, where it would only rewind this copy)
+      const isTypingTarget = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+      if ((e.metaKey || e.ctrlKey) && !isTypingTarget && !collaboration) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          redo();
+        }
+      }
       // Track spacebar for panning (but not when typing in input/textarea)
       if (e.code === 'Space' && !e.repeat) {
         const isTyping = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
@@ -280,10 +461,37 @@ const FlowDiagram = ({
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, []);
+  }, [undo, redo, collaboration]);
+
+  // Apply moves, style changes and edges from the others in a shared room (TrustQueryDraw.joinRoom)
+  // Their text commands arrive through the history like typed ones
+  useEffect(() => {
+    if (!collaboration) return undefined;
+
+    return collaboration.setCanvas({
+      applyOp: (op) => {
+        if (op.kind === 'move') {
+          setNodes((nds) => nds.map((n) => (n.id === op.nodeId ? { ...n, position: op.position } : n)));
+        } else if (op.kind === 'style') {
+          setNodes((nds) => nds.map((n) => (n.id === op.nodeId
+            ? { ...n, data: { ...n.data, styleOverrides: { ...n.data.styleOverrides, ...op.style } } }
+            : n)));
+        } else if (op.kind === 'connect') {
+          setEdges((eds) => addEdge(createConnectionEdge(op.edge), eds));
+        } else if (op.kind === 'edgeStyle') {
+          setEdges((eds) => eds.map((e) => (e.id === op.edgeId
+            ? { ...e, data: { ...e.data, styleOverrides: { ...e.data?.styleOverrides, ...op.style } } }
+            : e)));
+        }
+      },
+    });
+  }, [collaboration, setNodes, setEdges]);
 
   // Execute commands when they change
   useEffect(() => {
+    // Commands already handled before an undo/redo restored an older state
+    if (commands === suppressedCommandsRef.current) return;
+
     if (commands && commands.length > 0 && nodes.length > 0) {
       console.log('[FlowDiagram] All commands:', commands);
       console.log('[FlowDiagram] Previous commands:', prevCommandsRef.current);
@@ -304,6 +512,9 @@ const FlowDiagram = ({
 
       const commandHandler = diagramParserRef.current.getCommandHandler();
 
+      // Edges parsed in this same update aren't in the edges state yet
+      const knownEdges = [...new Map([...edges, ...initialEdges].map(e => [e.id, e])).values()];
+
       newCommands.forEach(command => {
         console.log('[FlowDiagram] Executing command:', command);
 
@@ -336,39 +547,33 @@ const FlowDiagram = ({
               })
             );
           },
-          onRenameNode: (nodeId, newLabel) => {
-            console.log('[FlowDiagram] Renaming node from command:', nodeId, 'to', newLabel);
-
-            // Update node ID
+          onChangeNodeType: (nodeId, type) => {
+            console.log('[FlowDiagram] Changing node shape from command:', nodeId, type);
             setNodes((nds) =>
               nds.map((n) => {
                 if (n.id === nodeId) {
                   return {
                     ...n,
-                    id: newLabel,  // Change the node ID itself
+                    type,
+                    data: {
+                      ...n.data,
+                      typeOverride: type, // Survives re-parsing like styleOverrides
+                    },
                   };
                 }
                 return n;
               })
             );
-
-            // Update edges that reference this node
-            setEdges((eds) =>
-              eds.map((e) => {
-                const newEdge = { ...e };
-                if (e.source === nodeId) {
-                  newEdge.source = newLabel;
-                  newEdge.id = `${newLabel}-${e.target}-${e.id.split('-').pop()}`;
-                }
-                if (e.target === nodeId) {
-                  newEdge.target = newLabel;
-                  newEdge.id = `${e.source}-${newLabel}-${e.id.split('-').pop()}`;
-                }
-                return newEdge;
-              })
-            );
           },
-          onApplyLayout: (layoutType, currentNodes) => {
+          onApplyEdgeStyle: (edgeId, styles) => {
+            console.log('[FlowDiagram] Applying edge styles from command:', edgeId, styles);
+            applyEdgeStyle(edgeId, styles);
+          },
+          onOpenEdgeInspector: (edge) => {
+            console.log('[FlowDiagram] Opening edge inspector from command for edge:', edge.id);
+            setSelectedEdgeId(edge.id);
+          },
+          onApplyLayout: (layoutType, currentNodes, layoutOptions = {}) => {
             console.log('[FlowDiagram] Applying layout from command:', layoutType);
 
             // Use functional setState to get current nodes
@@ -378,25 +583,7 @@ const FlowDiagram = ({
 
               setEdges((currentEdges) => {
                 // Compute layout with current nodes and edges
-                switch (layoutType) {
-                  case 'decision':
-                    layoutedNodes = layoutAlgorithms.applyDecisionLayout(currentNodes, currentEdges);
-                    break;
-                  case 'tree':
-                    layoutedNodes = layoutAlgorithms.applyTreeLayout(currentNodes, currentEdges);
-                    break;
-                  case 'list':
-                    layoutedNodes = layoutAlgorithms.applyListLayout(currentNodes, currentEdges);
-                    break;
-                  case 'grid':
-                    layoutedNodes = layoutAlgorithms.applyGridLayout(currentNodes, currentEdges);
-                    break;
-                  case 'circle':
-                    layoutedNodes = layoutAlgorithms.applyCircleLayout(currentNodes, currentEdges);
-                    break;
-                  default:
-                    console.error('[FlowDiagram] Unknown layout type:', layoutType);
-                }
+                layoutedNodes = layoutAlgorithms.applyLayout(layoutType, currentNodes, currentEdges, layoutOptions);
 
                 // Edges don't change in layout, return as-is
                 return currentEdges;
@@ -409,10 +596,10 @@ const FlowDiagram = ({
           onError: (message) => {
             console.error('[FlowDiagram] Command error:', message);
             if (onCommandError) {
-              onCommandError(message);
+              onCommandError(message, command);
             }
           },
-        });
+        }, knownEdges);
 
         if (success) {
           console.log('[FlowDiagram] Command executed successfully');
@@ -422,19 +609,66 @@ const FlowDiagram = ({
       // Update previous commands
       prevCommandsRef.current = commands;
     }
-  }, [commands, nodes, edges, onCommandError]);
+  }, [commands, nodes, edges, initialEdges, onCommandError]);
+
+  // Merge style overrides into an edge (kept across re-parses like node styles)
+  const applyEdgeStyle = useCallback((edgeId, newStyle) => {
+    setEdges((eds) =>
+      eds.map((edge) => (edge.id === edgeId
+        ? { ...edge, data: { ...edge.data, styleOverrides: { ...edge.data?.styleOverrides, ...newStyle } } }
+        : edge))
+    );
+  }, [setEdges]);
 
   const onConnect = useCallback(
-    (params) => setEdges((eds) => addEdge({
-      ...params,
-      type: 'smoothstep',
-      markerEnd: {
-        type: MarkerType.ArrowClosed,
-      },
-    }, eds)),
-    [setEdges],
+    (params) => {
+      recordSnapshot();
+      const edge = createConnectionEdge(params);
+      setEdges((eds) => addEdge(edge, eds));
+
+      if (collaboration) {
+        const { id, source, target, sourceHandle, targetHandle } = edge;
+        collaboration.sendOp({ kind: 'connect', edge: { id, source, target, sourceHandle, targetHandle } });
+      }
+    },
+    [setEdges, recordSnapshot, collaboration],
   );
 
+  // Record an undo step before a drag moves nodes
+  const handleNodeDragStart = useCallback(() => {
+    recordSnapshot();
+  }, [recordSnapshot]);
+
+  // Share positions while dragging, so others see nodes move live
+  const handleNodeDrag = useCallback((event, node, draggedNodes) => {
+    if (!collaboration) return;
+    (draggedNodes?.length ? draggedNodes : [node]).forEach((n) => {
+      collaboration.sendOp({ kind: 'move', nodeId: n.id, position: n.position });
+    });
+  }, [collaboration]);
+
+  // Share the selection and the mouse position (in flow coordinates) with the room
+  const handleSelectionChange = useCallback(({ nodes: selectedNodes }) => {
+    collaboration?.setPresence({ selection: selectedNodes.map(n => n.id) });
+  }, [collaboration]);
+
+  const handlePointerMove = useCallback((event) => {
+    if (!collaboration || !reactFlowInstance.current) return;
+    const bounds = event.currentTarget.getBoundingClientRect();
+    collaboration.setPresence({
+      cursor: reactFlowInstance.current.project({ x: event.clientX - bounds.left, y: event.clientY - bounds.top }),
+    });
+  }, [collaboration]);
+
+  const handlePointerLeave = useCallback(() => {
+    collaboration?.setPresence({ cursor: null });
+  }, [collaboration]);
+
+  // Record an undo step before a resize (resize then streams style changes)
+  const handleResizeStart = useCallback(() => {
+    recordSnapshot();
+  }, [recordSnapshot]);
+
   // Handle node selection
   const handleNodeClick = useCallback((event, node) => {
     setSelectedNode(node);
@@ -443,10 +677,16 @@ const FlowDiagram = ({
     }
   }, [onNodeSelected]);
 
+  // Handle edge click (opens the edge inspector)
+  const handleEdgeClick = useCallback((event, edge) => {
+    setSelectedEdgeId(edge.id);
+  }, []);
+
   // Handle pane click (deselect)
   const handlePaneClick = useCallback(() => {
     setSelectedNode(null);
     setShowStyleInspector(false);
+    setSelectedEdgeId(null);
   }, []);
 
   // Handle opening style inspector
@@ -479,13 +719,37 @@ const FlowDiagram = ({
       })
     );
 
+    collaboration?.sendOp({ kind: 'style', nodeId, style: newStyle });
+
     if (onStyleChangeProp) {
       onStyleChangeProp(nodeId, newStyle);
     }
-  }, [setNodes, onStyleChangeProp]);
+  }, [setNodes, onStyleChangeProp, collaboration]);
+
+  // Style edits from the inspector: one undo step per node while the user keeps adjusting
+  const handleInspectorStyleChange = useCallback((nodeId, newStyle) => {
+    recordSnapshot(`style:${nodeId}`);
+    handleStyleChange(nodeId, newStyle);
+  }, [handleStyleChange, recordSnapshot]);
+
+  // Edge style edits from the inspector: one undo step per edge while the user keeps adjusting
+  const handleInspectorEdgeStyleChange = useCallback((edgeId, newStyle) => {
+    recordSnapshot(`edgeStyle:${edgeId}`);
+    applyEdgeStyle(edgeId, newStyle);
+    collaboration?.sendOp({ kind: 'edgeStyle', edgeId, style: newStyle });
+  }, [applyEdgeStyle, recordSnapshot, collaboration]);
 
   // Handle label change from double-click editing
+  // The edit is written to the command history as =rename so it survives re-parsing
   const handleLabelChange = useCallback((nodeId, newLabel) => {
+    recordSnapshot();
+
+    const renameLine = `=rename(${formatCommandArg(nodeId)}, ${formatCommandArg(newLabel)})`;
+    lastDiagramHistoryRef.current = [...lastDiagramHistoryRef.current, renameLine];
+    if (onAppendHistory) {
+      onAppendHistory(renameLine);
+    }
+
     setNodes((nds) =>
       nds.map((node) => {
         if (node.id === nodeId) {
@@ -500,7 +764,7 @@ const FlowDiagram = ({
         return node;
       })
     );
-  }, [setNodes]);
+  }, [setNodes, recordSnapshot, onAppendHistory]);
 
   // Handle default style changes from settings panel
   const handleDefaultStyleChange = useCallback((newStyles) => {
@@ -510,18 +774,24 @@ const FlowDiagram = ({
 
   // Wrap the state change handlers to notify parent
   const handleNodesChange = useCallback((changes) => {
+    if (changes.some(change => change.type === 'remove')) {
+      recordSnapshot('remove');
+    }
     onNodesChange(changes);
     if (onNodesChangeProp) {
       onNodesChangeProp(changes);
     }
-  }, [onNodesChange, onNodesChangeProp]);
+  }, [onNodesChange, onNodesChangeProp, recordSnapshot]);
 
   const handleEdgesChange = useCallback((changes) => {
+    if (changes.some(change => change.type === 'remove')) {
+      recordSnapshot('remove');
+    }
     onEdgesChange(changes);
     if (onEdgesChangeProp) {
       onEdgesChangeProp(changes);
     }
-  }, [onEdgesChange, onEdgesChangeProp]);
+  }, [onEdgesChange, onEdgesChangeProp, recordSnapshot]);
 
   // Add callbacks to node data for opening style inspector and handling style changes
   const nodesWithCallback = nodes.map(node => ({
@@ -530,30 +800,36 @@ const FlowDiagram = ({
       ...node.data,
       onOpenStyleInspector: handleOpenStyleInspector,
       onStyleChange: handleStyleChange,
+      onResizeStart: handleResizeStart,
       onLabelChange: handleLabelChange,
     },
   }));
 
-  // Dim edges that aren't connected to the selected node
+  // Dim edges that aren't connected to the selected node; styled edges are drawn by StyledEdge
   const edgesWithHighlight = edges.map(edge => {
+    const renderedEdge = hasEdgeStyle(edge) ? toStyledEdge(edge) : edge;
     if (!selectedNode) {
       // No node selected, show all edges normally
-      return edge;
+      return renderedEdge;
     }
 
     // Check if this edge is connected to the selected node
     const isConnected = edge.source === selectedNode.id || edge.target === selectedNode.id;
 
     return {
-      ...edge,
+      ...renderedEdge,
       className: isConnected ? '' : 'dimmed',
     };
   });
 
+  const selectedEdge = selectedEdgeId ? edges.find(edge => edge.id === selectedEdgeId) : null;
+
   return (
     <div
       className={`tq-flow-diagram-wrapper ${isSpacePressed ? 'tq-flow-space-pan' : ''}`}
       style={{ width: '100%', height: '100%', position: 'relative', backgroundColor: '#f5f5f5' }}
+      onMouseMove={collaboration ? handlePointerMove : undefined}
+      onMouseLeave={collaboration ? handlePointerLeave : undefined}
     >
       <style>{customStyles}</style>
       <ReactFlow
@@ -564,11 +840,19 @@ const FlowDiagram = ({
         onNodesChange={handleNodesChange}
         onEdgesChange={handleEdgesChange}
         onConnect={onConnect}
+        onNodeDragStart={handleNodeDragStart}
+        onNodeDrag={handleNodeDrag}
+        onNodeDragStop={handleNodeDrag}
+        onSelectionChange={handleSelectionChange}
         onNodeClick={handleNodeClick}
+        onEdgeClick={handleEdgeClick}
         onPaneClick={handlePaneClick}
         onInit={(instance) => {
           reactFlowInstance.current = instance;
           instance.fitView({ padding: 0.2 });
+          if (onReactFlowInit) {
+            onReactFlowInit(instance);
+          }
         }}
         nodesDraggable={!isSpacePressed}
         nodesConnectable={true}
@@ -583,6 +867,7 @@ const FlowDiagram = ({
         preventScrolling={true}
       >
         <Background variant="dots" gap={12} size={1} />
+        {collaboration && <CollaboratorCursors collaboration={collaboration} />}
       </ReactFlow>
 
       {/* Settings Panel */}
@@ -591,10 +876,13 @@ const FlowDiagram = ({
           defaultStyles={defaultStyles}
           onDefaultStyleChange={handleDefaultStyleChange}
           onExportPNG={onExportPNG}
+          onExportSVG={onExportSVG}
           onExportJSON={handleExportJSON}
+          onExportMermaid={handleExportMermaid}
           onExportCommands={handleExportCommands}
           onImportJSON={handleImportJSON}
           onClearCanvas={onClearCanvas}
+          onShare={onShare}
           onSetInput={onSetInput}
         />
       )}
@@ -603,13 +891,22 @@ const FlowDiagram = ({
       {enableStyleInspector && selectedNode && showStyleInspector && (
         <StyleInspector
           selectedNode={selectedNode}
-          onStyleChange={handleStyleChange}
+          onStyleChange={handleInspectorStyleChange}
           onCopyStyle={onCopyStyle}
           onPasteStyleToChat={onPasteStyleToChat}
           onClose={() => setShowStyleInspector(false)}
         />
       )}
 
+      {/* Edge Inspector Overlay */}
+      {enableStyleInspector && selectedEdge && (
+        <EdgeInspector
+          selectedEdge={selectedEdge}
+          onStyleChange={handleInspectorEdgeStyleChange}
+          onClose={() => setSelectedEdgeId(null)}
+        />
+      )}
+
       {/* Debug: Show inspector state */}
       {console.log('[FlowDiagram] Render - enableStyleInspector:', enableStyleInspector, 'selectedNode:', selectedNode?.id, 'showStyleInspector:', showStyleInspector)}
     </div>
@@ -0,0 +1,257 @@
+import { getDashArray } from './edges/edgeDefaults.js';
+
+/**
+ * MermaidExporter - Single responsibility class for exporting diagrams as Mermaid
+ * Serialises ReactFlow nodes and edges to `flowchart` syntax:
+ * shapes, labels, groups (subgraphs), edge labels and node and edge style overrides
+ */
+
+// Mermaid shape delimiters per node type (Mermaid has no square, it uses a rectangle)
+const SHAPES = {
+  rectangle: ['[', ']'],
+  square: ['[', ']'],
+  circle: ['((', '))'],
+  diamond: ['{', '}'],
+};
+
+// Style values every node gets by default - not worth exporting
+const BASE_STYLE = {
+  background: ['#fff', '#ffffff'],
+  border: ['1px solid #000000', '1px solid #1a192b'],
+  fontSize: ['11px'],
+};
+
+// Mermaid link per edge kind (see EdgeSyntaxParser)
+const LINKS = {
+  arrow: '-->',
+  bidirectional: '<-->',
+  undirected: '---',
+  dotted: '-.->',
+  thick: '==>',
+  circle: '--o',
+  cross: '--x',
+};
+
+// Mermaid ends blocks with "end", so it can't be a node ID
+const RESERVED_IDS = ['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classdef', 'click'];
+
+export class MermaidExporter {
+  /**
+   * Export nodes and edges to Mermaid flowchart text
+   * @param {Array} nodes - ReactFlow nodes
+   * @param {Array} edges - ReactFlow edges
+   * @param {Object} options - Export options
+   * @param {string} options.direction - TB, LR, BT or RL (default: inferred from positions)
+   * @returns {string} Mermaid flowchart text
+   */
+  static exportToMermaid(nodes, edges, options = {}) {
+    const ids = this.createIdMap(nodes);
+    const direction = options.direction || this.inferDirection(nodes, edges);
+    const lines = [`flowchart ${direction}`];
+
+    const groups = nodes.filter(node => node.type === 'group');
+    const topLevel = nodes.filter(node => node.type !== 'group' && !node.parentNode);
+
+    // Nodes: ungrouped first, then one subgraph per group
+    topLevel.forEach(node => lines.push(`  ${this.formatNode(node, ids)}`));
+
+    groups.forEach(group => {
+      const children = nodes.filter(node => node.parentNode === group.id);
+      if (children.length === 0) return;
+
+      lines.push(`  subgraph ${ids.get(group.id)} ["${this.escapeLabel(group.data?.label ?? group.id)}"]`);
+      children.forEach(child => lines.push(`    ${this.formatNode(child, ids)}`));
+      lines.push('  end');
+    });
+
+    // Edges (linkStyle refers to them by their position in this list)
+    const linkStyles = [];
+    let edgeIndex = 0;
+    edges.forEach(edge => {
+      const source = ids.get(edge.source);
+      const target = ids.get(edge.target);
+      if (!source || !target) return;
+
+      const label = edge.label ? `|"${this.escapeLabel(edge.label)}"|` : '';
+      const link = LINKS[edge.data?.kind] || LINKS.arrow;
+      lines.push(`  ${source} ${link}${label} ${target}`);
+
+      const style = this.toMermaidLinkStyle(edge.data?.styleOverrides || {});
+      if (style) linkStyles.push(`  linkStyle ${edgeIndex} ${style}`);
+      edgeIndex++;
+    });
+
+    lines.push(...this.formatStyles(nodes, ids), ...linkStyles);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Convert edge style overrides (edgeDefaults keys) to a Mermaid linkStyle
+   * Markers, curves and label positions have no linkStyle equivalent
+   * @param {Object} styleOverrides - Edge style overrides
+   * @returns {string} Mermaid style ("stroke:#f00,stroke-width:2px") or '' if nothing to export
+   */
+  static toMermaidLinkStyle(styleOverrides) {
+    const props = [];
+    if (styleOverrides.stroke) props.push(`stroke:${this.toMermaidColor(styleOverrides.stroke)}`);
+    if (styleOverrides.strokeWidth) props.push(`stroke-width:${styleOverrides.strokeWidth}px`);
+
+    const dashArray = getDashArray(styleOverrides.strokeStyle, styleOverrides.strokeWidth || 1);
+    if (dashArray) props.push(`stroke-dasharray:${dashArray}`);
+
+    return props.join(',');
+  }
+
+  /**
+   * Map node IDs to Mermaid-safe, unique IDs
+   * @param {Array} nodes - ReactFlow nodes
+   * @returns {Map} nodeId -> Mermaid ID
+   */
+  static createIdMap(nodes) {
+    const ids = new Map();
+    const used = new Set();
+
+    nodes.forEach(node => {
+      let base = String(node.id).replace(/[^\w]/g, '_') || 'node';
+      if (RESERVED_IDS.includes(base.toLowerCase())) base = `${base}_`;
+
+      let id = base;
+      let suffix = 2;
+      while (used.has(id)) {
+        id = `${base}_${suffix++}`;
+      }
+
+      used.add(id);
+      ids.set(node.id, id);
+    });
+
+    return ids;
+  }
+
+  /**
+   * Format a node definition, e.g. decision{"Is valid?"}
+   * @param {Object} node - ReactFlow node
+   * @param {Map} ids - Node ID map
+   * @returns {string} Mermaid node definition
+   */
+  static formatNode(node, ids) {
+    const [open, close] = SHAPES[node.type] || SHAPES.rectangle;
+    const label = this.escapeLabel(node.data?.label ?? node.id);
+    return `${ids.get(node.id)}${open}"${label}"${close}`;
+  }
+
+  /**
+   * Format style overrides as classDef/class lines (shared styles)
+   * and style lines (styles used by a single node)
+   * @param {Array} nodes - ReactFlow nodes
+   * @param {Map} ids - Node ID map
+   * @returns {Array<string>} Style lines
+   */
+  static formatStyles(nodes, ids) {
+    const byStyle = new Map(); // Mermaid style string -> [Mermaid IDs]
+
+    nodes.forEach(node => {
+      const style = this.toMermaidStyle(node.data?.styleOverrides || {});
+      if (!style) return;
+
+      if (!byStyle.has(style)) byStyle.set(style, []);
+      byStyle.get(style).push(ids.get(node.id));
+    });
+
+    const lines = [];
+    let classIndex = 1;
+
+    byStyle.forEach((nodeIds, style) => {
+      if (nodeIds.length === 1) {
+        lines.push(`  style ${nodeIds[0]} ${style}`);
+      } else {
+        const className = `style${classIndex++}`;
+        lines.push(`  classDef ${className} ${style}`);
+        lines.push(`  class ${nodeIds.join(',')} ${className}`);
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Convert style overrides to Mermaid CSS properties
+   * @param {Object} styleOverrides - Node style overrides (nodeDefaults keys)
+   * @returns {string} e.g. "fill:#ffcccc,stroke:#d32f2f,stroke-width:2px" or '' if nothing to export
+   */
+  static toMermaidStyle(styleOverrides) {
+    const isBase = (key) => BASE_STYLE[key]?.includes(String(styleOverrides[key]).toLowerCase());
+    const props = [];
+
+    if (styleOverrides.background && !isBase('background')) {
+      props.push(`fill:${this.toMermaidColor(styleOverrides.background)}`);
+    }
+
+    if (styleOverrides.border && !isBase('border')) {
+      const [width, style, color] = styleOverrides.border.split(' ');
+      if (style === 'none') {
+        props.push('stroke-width:0');
+      } else {
+        if (color) props.push(`stroke:${this.toMermaidColor(color)}`);
+        if (width) props.push(`stroke-width:${width}`);
+        if (style === 'dashed') props.push('stroke-dasharray:5 5');
+        if (style === 'dotted') props.push('stroke-dasharray:1 3');
+      }
+    }
+
+    if (styleOverrides.color) props.push(`color:${this.toMermaidColor(styleOverrides.color)}`);
+    if (styleOverrides.fontSize && !isBase('fontSize')) props.push(`font-size:${styleOverrides.fontSize}`);
+    if (styleOverrides.fontWeight) props.push(`font-weight:${styleOverrides.fontWeight}`);
+    if (styleOverrides.opacity != null) props.push(`opacity:${styleOverrides.opacity}`);
+
+    return props.join(',');
+  }
+
+  /**
+   * Mermaid splits style properties on commas, so rgb() colors become hex
+   * @param {string} color - CSS color
+   * @returns {string} Color without commas where possible
+   */
+  static toMermaidColor(color) {
+    const rgb = String(color).match(/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i);
+    if (!rgb) return color;
+
+    return `#${rgb.slice(1, 4).map(n => Math.min(255, parseInt(n, 10)).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Escape a label for a quoted Mermaid string
+   * @param {string} label - Label text
+   * @returns {string} Escaped label
+   */
+  static escapeLabel(label) {
+    return String(label)
+      .replace(/"/g, '#quot;')
+      .replace(/\n/g, '<br/>');
+  }
+
+  /**
+   * Guess the flow direction from the edges between positioned nodes
+   * @param {Array} nodes - ReactFlow nodes
+   * @param {Array} edges - ReactFlow edges
+   * @returns {string} 'LR' when edges mostly run horizontally, otherwise 'TB'
+   */
+  static inferDirection(nodes, edges) {
+    // Grouped nodes have positions relative to their group
+    const positions = new Map(nodes.map(node => [node.id, node.positionAbsolute || node.position || { x: 0, y: 0 }]));
+    let horizontal = 0;
+    let vertical = 0;
+
+    edges.forEach(edge => {
+      const source = positions.get(edge.source);
+      const target = positions.get(edge.target);
+      if (!source || !target || edge.source === edge.target) return;
+
+      horizontal += Math.abs(target.x - source.x);
+      vertical += Math.abs(target.y - source.y);
+    });
+
+    return horizontal > vertical ? 'LR' : 'TB';
+  }
+}
@@ -1,7 +1,14 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import FlowDiagram from './FlowDiagram.jsx';
-import { toPng } from 'html-to-image';
+import { DiagramParser } from './DiagramParser.js';
+import { MermaidExporter } from './MermaidExporter.js';
+import { DiagramExporter } from './DiagramExporter.js';
+import { getNodesBounds } from 'reactflow';
+import { toPng, toSvg } from 'html-to-image';
+
+// Elements left out of image exports (editing UI drawn inside nodes)
+const EXPORT_EXCLUDED_CLASSES = ['trustquery-diagram-node-ui', 'react-flow__handle'];
 
 /**
  * Handler for rendering ReactFlow diagrams
@@ -12,15 +19,26 @@ export default class ReactFlowHandler {
     this.options = options;
     this.diagrams = new Map(); // Track created diagrams by params
     this.reactFlowInstance = null; // Store ReactFlow instance
+    this.history = null; // Undo/redo API from FlowDiagram
+    this.handleHistoryReady = (history) => { this.history = history; };
+    this.collaboration = null; // CollaborationClient of a shared room (set by TrustQueryDraw.joinRoom)
+    this.diagramParser = new DiagramParser(); // Used to convert Mermaid code
   }
 
   /**
-   * Create a ReactFlow visualization (deprecated - use renderNodes instead)
+   * Create a ReactFlow visualization from diagram code
+   * Mermaid flowcharts are converted to editable nodes; arrow mode has been removed
    * @param {string} params - The diagram code
    * @param {string} type - 'mermaid' or 'arrow'
    */
   createVisualization(params, type = 'mermaid') {
-    console.warn('[ReactFlowHandler] createVisualization is deprecated. Mermaid and arrow modes have been removed. Please use hybrid or shapes mode.');
+    if (type === 'mermaid') {
+      const { nodes, edges, commands } = this.diagramParser.getNodesAndEdgesFromMermaid(params);
+      this.renderNodes(nodes, edges, 'mermaid', commands, [params]);
+      return;
+    }
+
+    console.warn('[ReactFlowHandler] createVisualization is deprecated for arrow mode. Please use hybrid or shapes mode.');
 
     const errorDiv = document.createElement('div');
     errorDiv.style.cssText = `
@@ -44,8 +62,9 @@ export default class ReactFlowHandler {
    * @param {string} type - Diagram type key
    * @param {Array} commands - Commands to execute (optional)
    * @param {Array} diagramHistory - Command history for export (optional)
+   * @param {Object} savedDiagram - Saved canvas state to restore over the parsed nodes (optional)
    */
-  renderNodes(nodes, edges, type = 'shapes', commands = [], diagramHistory = []) {
+  renderNodes(nodes, edges, type = 'shapes', commands = [], diagramHistory = [], savedDiagram = null) {
     // Check if diagram of this type already exists
     const existing = this.diagrams.get(type);
 
@@ -64,10 +83,17 @@ export default class ReactFlowHandler {
           onCopyStyle={this.options.onCopyStyle}
           onPasteStyleToChat={this.options.onPasteStyleToChat}
           onExportPNG={() => this.exportToPNG()}
+          onExportSVG={() => this.exportToSVG()}
           onClearCanvas={this.options.onClearCanvas}
           onSetInput={this.options.onSetInput}
           onCommandError={this.options.onCommandError}
           onReactFlowInit={(instance) => { this.reactFlowInstance = instance; }}
+          onHistoryReady={this.handleHistoryReady}
+          onHistoryRestore={this.options.onHistoryRestore}
+          onAppendHistory={this.options.onAppendHistory}
+          onShare={this.options.onShare}
+          savedDiagram={savedDiagram}
+          collaboration={this.collaboration}
         />
       );
       return;
@@ -110,10 +136,17 @@ export default class ReactFlowHandler {
         onCopyStyle={this.options.onCopyStyle}
         onPasteStyleToChat={this.options.onPasteStyleToChat}
         onExportPNG={() => this.exportToPNG()}
+        onExportSVG={() => this.exportToSVG()}
         onClearCanvas={this.options.onClearCanvas}
         onSetInput={this.options.onSetInput}
         onCommandError={this.options.onCommandError}
         onReactFlowInit={(instance) => { this.reactFlowInstance = instance; }}
+        onHistoryReady={this.handleHistoryReady}
+        onHistoryRestore={this.options.onHistoryRestore}
+        onAppendHistory={this.options.onAppendHistory}
+        onShare={this.options.onShare}
+        savedDiagram={savedDiagram}
+        collaboration={this.collaboration}
       />
     );
 
@@ -150,38 +183,164 @@ export default class ReactFlowHandler {
   }
 
   /**
-   * Export current diagram to PNG
-   * @param {string} filename - The filename for the downloaded PNG
+   * Export the diagram content as an image
+   * Only nodes and edges are rendered (no panels, inspector or background
+   * grid), cropped to the bounds of all nodes
+   * @param {string} format - 'png' or 'svg'
+   * @param {Object} options - Export options
+   * @param {number} options.padding - Space around the nodes in px (default: 20)
+   * @param {string} options.background - Background color (default: '#ffffff')
+   * @param {boolean} options.transparent - Transparent background, ignores background (default: false)
+   * @param {number} options.scale - Output size multiplier (default: 2 for PNG, 1 for SVG)
+   * @param {string} options.filename - Download filename (default: diagram.png / diagram.svg)
+   * @param {boolean} options.download - Download the file (default: true)
+   * @returns {Promise<string|null>} Data URL of the image, or null on failure
    */
-  async exportToPNG(filename = 'diagram.png') {
+  async export(format = 'png', options = {}) {
+    const type = String(format).toLowerCase();
+    if (type !== 'png' && type !== 'svg') {
+      console.error(`[ReactFlowHandler] Unsupported export format: ${format}`);
+      return null;
+    }
+
+    const {
+      padding = 20,
+      background = '#ffffff',
+      transparent = false,
+      scale = type === 'png' ? 2 : 1,
+      filename = `diagram.${type}`,
+      download = true,
+    } = options;
+
     try {
-      // Get the output container which contains the ReactFlow diagram
-      const node = this.outputContainer;
+      const viewport = this.outputContainer?.querySelector('.react-flow__viewport');
+      if (!this.reactFlowInstance || !viewport) {
+        console.error('[ReactFlowHandler] No diagram to export');
+        return null;
+      }
 
-      if (!node) {
-        console.error('[ReactFlowHandler] No output container found');
-        return;
+      const nodes = this.reactFlowInstance.getNodes();
+      if (nodes.length === 0) {
+        console.warn('[ReactFlowHandler] Diagram is empty, nothing to export');
+        return null;
       }
 
-      console.log('[ReactFlowHandler] Exporting to PNG...');
+      console.log(`[ReactFlowHandler] Exporting to ${type.toUpperCase()}...`);
 
-      // Convert to PNG
-      const dataUrl = await toPng(node, {
-        cacheBust: true,
-        backgroundColor: '#ffffff',
-        pixelRatio: 2, // Higher quality
-      });
+      // Place the node bounds at the top-left corner (plus padding), independent of pan/zoom
+      const bounds = getNodesBounds(nodes);
+      const width = Math.ceil(bounds.width + padding * 2);
+      const height = Math.ceil(bounds.height + padding * 2);
 
-      // Create download link
-      const link = document.createElement('a');
-      link.download = filename;
-      link.href = dataUrl;
-      link.click();
+      const imageOptions = {
+        backgroundColor: transparent ? undefined : background,
+        width: width * scale,
+        height: height * scale,
+        style: {
+          width: `${width * scale}px`,
+          height: `${height * scale}px`,
+          transform: `translate(${(padding - bounds.x) * scale}px, ${(padding - bounds.y) * scale}px) scale(${scale})`,
+          transformOrigin: '0 0',
+        },
+        // Leave out selection outlines, inspector buttons, node numbers and handles
+        filter: (domNode) => !EXPORT_EXCLUDED_CLASSES.some(className => domNode.classList?.contains(className)),
+      };
+
+      const dataUrl = type === 'svg'
+        ? await toSvg(viewport, imageOptions)
+        : await toPng(viewport, { ...imageOptions, pixelRatio: 1 });
+
+      if (download) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = dataUrl;
+        link.click();
+      }
 
-      console.log('[ReactFlowHandler] PNG exported successfully');
+      console.log(`[ReactFlowHandler] ${type.toUpperCase()} exported successfully`);
+      return dataUrl;
     } catch (error) {
-      console.error('[ReactFlowHandler] Error exporting PNG:', error);
+      console.error(`[ReactFlowHandler] Error exporting ${type.toUpperCase()}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Export current diagram to PNG
+   * @param {string} filename - The filename for the downloaded PNG
+   * @param {Object} options - Export options (see export)
+   * @returns {Promise<string|null>} Data URL of the image
+   */
+  exportToPNG(filename = 'diagram.png', options = {}) {
+    return this.export('png', { ...options, filename });
+  }
+
+  /**
+   * Export current diagram to SVG
+   * @param {string} filename - The filename for the downloaded SVG
+   * @param {Object} options - Export options (see export)
+   * @returns {Promise<string|null>} Data URL of the image
+   */
+  exportToSVG(filename = 'diagram.svg', options = {}) {
+    return this.export('svg', { ...options, filename });
+  }
+
+  /**
+   * Export the live diagram as Mermaid flowchart text
+   * @param {Object} options - MermaidExporter options (direction)
+   * @returns {string|null} Mermaid text or null if no diagram is rendered
+   */
+  exportMermaid(options = {}) {
+    if (!this.reactFlowInstance) {
+      console.warn('[ReactFlowHandler] ReactFlow instance not available');
+      return null;
+    }
+
+    return MermaidExporter.exportToMermaid(
+      this.reactFlowInstance.getNodes(),
+      this.reactFlowInstance.getEdges(),
+      options
+    );
+  }
+
+  /**
+   * Export the live canvas as JSON data (positions, group sizes, styles)
+   * @returns {Object|null} {nodes, edges} or null if no diagram is rendered
+   */
+  toJSON() {
+    if (!this.reactFlowInstance) {
+      console.warn('[ReactFlowHandler] ReactFlow instance not available');
+      return null;
+    }
+
+    return DiagramExporter.exportToJSON(
+      this.reactFlowInstance.getNodes(),
+      this.reactFlowInstance.getEdges()
+    );
+  }
+
+  /**
+   * Undo the last canvas change
+   * @returns {boolean} True if a step was undone
+   */
+  undo() {
+    if (!this.history) {
+      console.warn('[ReactFlowHandler] History not available');
+      return false;
+    }
+    return this.history.undo();
+  }
+
+  /**
+   * Redo the last undone canvas change
+   * @returns {boolean} True if a step was redone
+   */
+  redo() {
+    if (!this.history) {
+      console.warn('[ReactFlowHandler] History not available');
+      return false;
     }
+    return this.history.redo();
   }
 
   /**
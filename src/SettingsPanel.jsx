@@ -3,9 +3,12 @@ import React, { useState, useRef, useCallback } from 'react';
 const SettingsPanel = ({
   onDefaultStyleChange,
   onExportPNG,
+  onExportSVG,
   onExportJSON,
   onExportCommands,
+  onExportMermaid,
   onImportJSON,
+  onShare,
   onClearCanvas,
   onSetInput,
   defaultStyles = {
@@ -20,6 +23,8 @@ const SettingsPanel = ({
   const [isDragging, setIsDragging] = useState(false);
   const [showCopied, setShowCopied] = useState(false);
   const [showCommandsCopied, setShowCommandsCopied] = useState(false);
+  const [showMermaidCopied, setShowMermaidCopied] = useState(false);
+  const [shareStatus, setShareStatus] = useState(null); // null, 'saving', 'copied' or 'failed'
   const dragOffset = useRef({ x: 0, y: 0 });
   const panelRef = useRef(null);
   const fileInputRef = useRef(null);
@@ -325,6 +330,34 @@ const SettingsPanel = ({
               Export to PNG
             </button>
 
+            {/* Export SVG Button */}
+            <button
+              id="trustquery-settings-export-svg-button"
+              onClick={(e) => {
+                e.stopPropagation();
+                if (onExportSVG) onExportSVG();
+              }}
+              style={{
+                width: '100%',
+                padding: '10px 12px',
+                background: '#f5f5f5',
+                color: '#333',
+                border: '1px solid #ddd',
+                borderRadius: 6,
+                cursor: 'pointer',
+                fontSize: 13,
+                fontWeight: 600,
+                marginBottom: 8,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: 8,
+              }}
+            >
+              <span className="material-symbols-outlined" style={{ fontSize: 18 }}>download</span>
+              Export to SVG
+            </button>
+
             {/* Export JSON Button */}
             <button
               id="trustquery-settings-export-json-button"
@@ -391,6 +424,82 @@ const SettingsPanel = ({
               {showCommandsCopied ? 'Copied to clipboard!' : 'Export Commands'}
             </button>
 
+            {/* Export Mermaid Button */}
+            <button
+              id="trustquery-settings-export-mermaid-button"
+              onClick={(e) => {
+                e.stopPropagation();
+                if (onExportMermaid) {
+                  onExportMermaid();
+                  setShowMermaidCopied(true);
+                  setTimeout(() => setShowMermaidCopied(false), 2000);
+                }
+              }}
+              style={{
+                width: '100%',
+                padding: '10px 12px',
+                background: '#f5f5f5',
+                color: '#333',
+                border: '1px solid #ddd',
+                borderRadius: 6,
+                cursor: 'pointer',
+                fontSize: 13,
+                fontWeight: 600,
+                marginBottom: 8,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: 8,
+                position: 'relative',
+              }}
+            >
+              <span className="material-symbols-outlined" style={{ fontSize: 18 }}>account_tree</span>
+              {showMermaidCopied ? 'Copied to clipboard!' : 'Export Mermaid'}
+            </button>
+
+            {/* Share Button (saves to the server, copies the link) */}
+            {onShare && (
+              <button
+                id="trustquery-settings-share-button"
+                onClick={async (e) => {
+                  e.stopPropagation();
+                  setShareStatus('saving');
+                  try {
+                    await onShare();
+                    setShareStatus('copied');
+                  } catch (error) {
+                    setShareStatus('failed');
+                  }
+                  setTimeout(() => setShareStatus(null), 2000);
+                }}
+                disabled={shareStatus === 'saving'}
+                style={{
+                  width: '100%',
+                  padding: '10px 12px',
+                  background: '#f5f5f5',
+                  color: '#333',
+                  border: '1px solid #ddd',
+                  borderRadius: 6,
+                  cursor: 'pointer',
+                  fontSize: 13,
+                  fontWeight: 600,
+                  marginBottom: 8,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  gap: 8,
+                  position: 'relative',
+                }}
+              >
+                <span className="material-symbols-outlined" style={{ fontSize: 18 }}>share</span>
+                {{
+                  saving: 'Saving...',
+                  copied: 'Link copied to clipboard!',
+                  failed: 'Could not save diagram',
+                }[shareStatus] || 'Share Link'}
+              </button>
+            )}
+
             {/* Import JSON Button */}
             <button
               id="trustquery-settings-import-json-button"
@@ -474,7 +583,7 @@ const SettingsPanel = ({
             }}>Examples</div>
             {[
               'square->circle',
-              'hello-label->world',
+              'hello -label-> world',
               'rectangle->square->circle',
             ].map((example, i) => (
               <div
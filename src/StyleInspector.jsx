@@ -1,19 +1,18 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import { nodeDefaults } from './nodes/nodeDefaults.js';
+import { useDraggablePanel } from './hooks/useDraggablePanel.js';
 
 const StyleInspector = ({ selectedNode, onStyleChange, onCopyStyle, onPasteStyleToChat, onClose }) => {
   const [style, setStyle] = useState({
     background: '#ffffff',
     borderColor: '#222222',
     borderWidth: '1',
+    borderStyle: 'solid',
     borderRadius: '3',
     padding: '10',
     color: '#000000',
   });
-  const [position, setPosition] = useState({ x: null, y: null });
-  const [isDragging, setIsDragging] = useState(false);
-  const dragOffset = useRef({ x: 0, y: 0 });
-  const panelRef = useRef(null);
+  const { panelRef, isDragging, positionStyle, handleMouseDown } = useDraggablePanel();
 
   // Helper to normalize hex color to 6-digit format
   const normalizeHexColor = (color) => {
@@ -38,6 +37,7 @@ const StyleInspector = ({ selectedNode, onStyleChange, onCopyStyle, onPasteStyle
         background: normalizeHexColor(mergedStyle.background) || '#ffffff',
         borderColor: normalizeHexColor(mergedStyle.border?.split(' ')[2]) || '#222222',
         borderWidth: mergedStyle.border?.split(' ')[0]?.replace('px', '') || '1',
+        borderStyle: mergedStyle.border?.split(' ')[1] || 'solid',
         borderRadius: mergedStyle.borderRadius?.replace('px', '') || '3',
         padding: mergedStyle.padding?.replace('px', '') || '10',
         color: normalizeHexColor(mergedStyle.color) || '#000000',
@@ -54,7 +54,7 @@ const StyleInspector = ({ selectedNode, onStyleChange, onCopyStyle, onPasteStyle
     // Convert to ReactFlow style format
     const reactFlowStyle = {
       background: newStyle.background,
-      border: `${newStyle.borderWidth}px solid ${newStyle.borderColor}`,
+      border: `${newStyle.borderWidth}px ${newStyle.borderStyle} ${newStyle.borderColor}`,
       borderRadius: `${newStyle.borderRadius}px`,
       padding: `${newStyle.padding}px`,
       color: newStyle.color,
@@ -65,54 +65,8 @@ const StyleInspector = ({ selectedNode, onStyleChange, onCopyStyle, onPasteStyle
     }
   };
 
-  const handleMouseDown = useCallback((e) => {
-    setIsDragging(true);
-    const rect = panelRef.current.getBoundingClientRect();
-    dragOffset.current = {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top,
-    };
-    e.preventDefault();
-  }, []);
-
-  const handleMouseMove = useCallback((e) => {
-    if (!isDragging) return;
-    const parent = panelRef.current.parentElement;
-    const parentRect = parent.getBoundingClientRect();
-
-    let newX = e.clientX - parentRect.left - dragOffset.current.x;
-    let newY = e.clientY - parentRect.top - dragOffset.current.y;
-
-    // Keep within bounds
-    const panelRect = panelRef.current.getBoundingClientRect();
-    newX = Math.max(0, Math.min(newX, parentRect.width - panelRect.width));
-    newY = Math.max(0, Math.min(newY, parentRect.height - panelRect.height));
-
-    setPosition({ x: newX, y: newY });
-  }, [isDragging]);
-
-  const handleMouseUp = useCallback(() => {
-    setIsDragging(false);
-  }, []);
-
-  // Add global mouse listeners when dragging
-  useEffect(() => {
-    if (isDragging) {
-      window.addEventListener('mousemove', handleMouseMove);
-      window.addEventListener('mouseup', handleMouseUp);
-      return () => {
-        window.removeEventListener('mousemove', handleMouseMove);
-        window.removeEventListener('mouseup', handleMouseUp);
-      };
-    }
-  }, [isDragging, handleMouseMove, handleMouseUp]);
-
   if (!selectedNode) return null;
 
-  const positionStyle = position.x !== null
-    ? { left: position.x, top: position.y, right: 'auto' }
-    : { right: 10, top: 60 };
-
   return (
     <div
       ref={panelRef}
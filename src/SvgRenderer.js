@@ -0,0 +1,452 @@
+import { nodeDefaults } from './nodes/nodeDefaults.js';
+import { getNodeSize } from './utils/layouts/nodeSize.js';
+import { getEdgeStyle, getDashArray, hasEdgeStyle, markerShapes } from './edges/edgeDefaults.js';
+
+/**
+ * SvgRenderer - Single responsibility class for rendering diagrams as SVG markup
+ * DOM-free, so it runs in Node (server-side rendering) as well as the browser.
+ * Draws the four node shapes, groups, smoothstep and self-loop edges with
+ * labels, using the same defaults and style overrides as the node components.
+ * Styled edges (see edgeDefaults) also come as bezier, straight or step lines
+ */
+
+// ReactFlow's default edge look
+const EDGE_COLOR = '#b1b1b7';
+const EDGE_LABEL_FONT_SIZE = 10;
+
+// Distance an edge runs straight out of a handle before turning (ReactFlow smoothstep)
+const STEP_OFFSET = 20;
+const STEP_RADIUS = 5;
+
+// Distance of a start/end edge label from the node (see StyledEdge)
+const LABEL_END_OFFSET = 24;
+
+// Self-loop geometry (see SelfLoopEdge)
+const LOOP_OFFSET = 20;
+const LOOP_TOP_OFFSET = 40;
+
+const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+export class SvgRenderer {
+  /**
+   * Render nodes and edges to an SVG document string
+   * @param {Array} nodes - ReactFlow nodes (groups before their children)
+   * @param {Array} edges - ReactFlow edges
+   * @param {Object} options - Render options
+   * @param {number} options.padding - Space around the diagram in px (default: 20)
+   * @param {string} options.background - Background color (default: '#ffffff')
+   * @param {boolean} options.transparent - No background (default: false)
+   * @param {number} options.scale - Output size multiplier (default: 1)
+   * @returns {string} SVG markup
+   */
+  static render(nodes, edges, options = {}) {
+    const {
+      padding = 20,
+      background = '#ffffff',
+      transparent = false,
+      scale = 1,
+    } = options;
+
+    const boxes = this.getBoxes(nodes);
+    const bounds = this.getBounds([...boxes.values()]);
+
+    const width = Math.ceil(bounds.width + padding * 2);
+    const height = Math.ceil(bounds.height + padding * 2);
+    const offsetX = padding - bounds.x;
+    const offsetY = padding - bounds.y;
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" font-family="${this.escape(FONT_FAMILY)}">`,
+      '<defs>',
+      `<marker id="arrowclosed" viewBox="-10 -10 20 20" markerWidth="12.5" markerHeight="12.5" refX="0" refY="0" orient="auto-start-reverse" markerUnits="strokeWidth">`,
+      `<polyline points="-5,-4 0,0 -5,4 -5,-4" fill="${EDGE_COLOR}" stroke="${EDGE_COLOR}" stroke-linecap="round" stroke-linejoin="round" />`,
+      '</marker>',
+      '</defs>',
+    ];
+
+    if (!transparent) {
+      parts.push(`<rect width="100%" height="100%" fill="${this.escape(background)}" />`);
+    }
+
+    parts.push(`<g transform="translate(${this.round(offsetX)} ${this.round(offsetY)})">`);
+
+    // Groups sit behind edges, edges behind the other nodes (as on the canvas)
+    nodes.filter(node => node.type === 'group').forEach(node => parts.push(this.renderNode(node, boxes.get(node.id))));
+    edges.forEach(edge => {
+      const source = boxes.get(edge.source);
+      const target = boxes.get(edge.target);
+      if (source && target) parts.push(this.renderEdge(edge, source, target));
+    });
+    nodes.filter(node => node.type !== 'group').forEach(node => parts.push(this.renderNode(node, boxes.get(node.id))));
+
+    parts.push('</g>', '</svg>');
+    return parts.join('\n');
+  }
+
+  /**
+   * Compute absolute boxes for all nodes (children are positioned relative to their group)
+   * @param {Array} nodes - ReactFlow nodes
+   * @returns {Map} nodeId -> {x, y, width, height}
+   */
+  static getBoxes(nodes) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const boxes = new Map();
+
+    const absolutePosition = (node) => {
+      const position = node.position || { x: 0, y: 0 };
+      const parent = node.parentNode && byId.get(node.parentNode);
+      if (!parent) return position;
+
+      const parentPosition = absolutePosition(parent);
+      return { x: parentPosition.x + position.x, y: parentPosition.y + position.y };
+    };
+
+    nodes.forEach(node => {
+      const { x, y } = absolutePosition(node);
+      boxes.set(node.id, { x, y, ...getNodeSize(node) });
+    });
+
+    return boxes;
+  }
+
+  /**
+   * Get the bounding box around a list of boxes
+   * @param {Array} boxes - Boxes {x, y, width, height}
+   * @returns {Object} {x, y, width, height}
+   */
+  static getBounds(boxes) {
+    if (boxes.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+    const minX = Math.min(...boxes.map(box => box.x));
+    const minY = Math.min(...boxes.map(box => box.y));
+    const maxX = Math.max(...boxes.map(box => box.x + box.width));
+    const maxY = Math.max(...boxes.map(box => box.y + box.height));
+
+    // Self-loops rise above their node
+    return { x: minX, y: minY - LOOP_TOP_OFFSET, width: maxX - minX, height: maxY - minY + LOOP_TOP_OFFSET };
+  }
+
+  /**
+   * Render one node
+   * @param {Object} node - ReactFlow node
+   * @param {Object} box - Absolute box {x, y, width, height}
+   * @returns {string} SVG markup
+   */
+  static renderNode(node, box) {
+    const style = {
+      ...(nodeDefaults[node.type] || nodeDefaults.rectangle),
+      ...(node.data?.styleOverrides || {}),
+    };
+    const { strokeWidth, stroke, dasharray } = this.parseBorder(style.border);
+    const fill = this.escape(style.background || '#fff');
+    const strokeAttrs = `stroke="${this.escape(stroke)}" stroke-width="${strokeWidth}"${dasharray ? ` stroke-dasharray="${dasharray}"` : ''}`;
+    const opacity = style.opacity != null && style.opacity !== '' ? ` opacity="${this.escape(style.opacity)}"` : '';
+
+    const { x, y, width, height } = box;
+    let shape;
+
+    if (node.type === 'diamond') {
+      const points = [
+        [x + width / 2, y],
+        [x + width, y + height / 2],
+        [x + width / 2, y + height],
+        [x, y + height / 2],
+      ].map(point => point.map(value => this.round(value)).join(',')).join(' ');
+      shape = `<polygon points="${points}" fill="${fill}" ${strokeAttrs} />`;
+    } else if (node.type === 'circle') {
+      shape = `<ellipse cx="${this.round(x + width / 2)}" cy="${this.round(y + height / 2)}" rx="${this.round(width / 2)}" ry="${this.round(height / 2)}" fill="${fill}" ${strokeAttrs} />`;
+    } else {
+      const radius = Math.min(parseFloat(style.borderRadius) || 0, width / 2, height / 2);
+      shape = `<rect x="${this.round(x)}" y="${this.round(y)}" width="${this.round(width)}" height="${this.round(height)}" rx="${radius}" fill="${fill}" ${strokeAttrs} />`;
+    }
+
+    const label = node.type === 'group'
+      ? this.renderText(node.data?.label ?? node.id, x + 8, y + 16, style, 'start')
+      : this.renderText(node.data?.label ?? node.id, x + width / 2, y + height / 2, style, 'middle');
+
+    return `<g class="node node-${this.escape(node.type || 'rectangle')}" data-id="${this.escape(node.id)}"${opacity}>${shape}${label}</g>`;
+  }
+
+  /**
+   * Render a (possibly multi-line) label centred vertically on y
+   * @param {string} label - Label text
+   * @param {number} x - Anchor x
+   * @param {number} y - Vertical centre
+   * @param {Object} style - Merged node style
+   * @param {string} anchor - SVG text-anchor
+   * @returns {string} SVG markup
+   */
+  static renderText(label, x, y, style, anchor) {
+    const lines = String(label).split('\n');
+    const fontSize = parseFloat(style.fontSize) || 11;
+    const lineHeight = fontSize * 1.3;
+    const firstY = y - ((lines.length - 1) * lineHeight) / 2;
+    const weight = style.fontWeight ? ` font-weight="${this.escape(style.fontWeight)}"` : '';
+
+    const spans = lines.map((line, index) =>
+      `<tspan x="${this.round(x)}" y="${this.round(firstY + index * lineHeight)}">${this.escape(line)}</tspan>`
+    ).join('');
+
+    return `<text text-anchor="${anchor}" dominant-baseline="central" font-size="${fontSize}" fill="${this.escape(style.color || '#222')}"${weight}>${spans}</text>`;
+  }
+
+  /**
+   * Render one edge from the source's right handle to the target's left handle
+   * @param {Object} edge - ReactFlow edge
+   * @param {Object} source - Source box
+   * @param {Object} target - Target box
+   * @returns {string} SVG markup
+   */
+  static renderEdge(edge, source, target) {
+    const sourceX = source.x + source.width;
+    const sourceY = source.y + source.height / 2;
+    const targetX = target.x;
+    const targetY = target.y + target.height / 2;
+
+    const style = getEdgeStyle(edge);
+    const isLoop = edge.source === edge.target || edge.type === 'selfLoop';
+    const { path, labelX, labelY } = isLoop
+      ? this.getSelfLoopPath(sourceX, sourceY, targetX, targetY)
+      : this.getEdgePath(style.curve, sourceX, sourceY, targetX, targetY);
+
+    const parts = [];
+    if (hasEdgeStyle(edge)) {
+      // Markers in the edge's own color
+      const markerId = `marker-${String(edge.id).replace(/[^\w-]/g, '_')}`;
+      const markers = [['start', style.markerStart], ['end', style.markerEnd]]
+        .filter(([, type]) => markerShapes[type]);
+      const markerDefs = markers.map(([end, type]) => this.renderMarker(`${markerId}-${end}`, type, style));
+      const markerAttributes = markers.map(([end]) => ` marker-${end}="url(#${markerId}-${end})"`).join('');
+      const dashArray = getDashArray(style.strokeStyle, style.strokeWidth);
+
+      if (markerDefs.length > 0) parts.push(`<defs>${markerDefs.join('')}</defs>`);
+      parts.push(`<path d="${path}" fill="none" stroke="${this.escape(style.stroke)}" stroke-width="${style.strokeWidth}"${dashArray ? ` stroke-dasharray="${dashArray}"` : ''}${markerAttributes} />`);
+    } else {
+      const marker = edge.markerEnd ? ' marker-end="url(#arrowclosed)"' : '';
+      parts.push(`<path d="${path}" fill="none" stroke="${EDGE_COLOR}" stroke-width="1"${marker} />`);
+    }
+
+    if (edge.label) {
+      const label = String(edge.label);
+      const labelWidth = label.length * EDGE_LABEL_FONT_SIZE * 0.6 + 8;
+      const labelHeight = EDGE_LABEL_FONT_SIZE + 8;
+      const [x, y] = isLoop
+        ? [labelX, labelY]
+        : this.getLabelPoint(style, { labelX, labelY }, sourceX, sourceY, targetX, targetY);
+      parts.push(
+        `<rect x="${this.round(x - labelWidth / 2)}" y="${this.round(y - labelHeight / 2)}" width="${this.round(labelWidth)}" height="${labelHeight}" rx="2" fill="#ffffff" />`,
+        `<text x="${this.round(x)}" y="${this.round(y)}" text-anchor="middle" dominant-baseline="central" font-size="${EDGE_LABEL_FONT_SIZE}" fill="#222">${this.escape(label)}</text>`
+      );
+    }
+
+    return `<g class="edge" data-id="${this.escape(edge.id)}">${parts.join('')}</g>`;
+  }
+
+  /**
+   * Marker definition for a styled edge (shapes from edgeDefaults)
+   * @returns {string} SVG markup
+   */
+  static renderMarker(id, type, style) {
+    const shape = markerShapes[type];
+    const size = 10 + style.strokeWidth * 2;
+    const color = this.escape(style.stroke);
+    return `<marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="${size}" markerHeight="${size}" markerUnits="userSpaceOnUse" orient="auto-start-reverse">`
+      + `<path d="${shape.path}" fill="${shape.filled ? color : 'none'}" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" />`
+      + '</marker>';
+  }
+
+  /**
+   * Label point for the edge's label position (start and end sit next to the handles)
+   * @returns {Array} [x, y]
+   */
+  static getLabelPoint(style, { labelX, labelY }, sourceX, sourceY, targetX, targetY) {
+    if (style.labelPosition === 'center') return [labelX, labelY];
+
+    const distance = Math.hypot(targetX - sourceX, targetY - sourceY);
+    const offset = Math.min(LABEL_END_OFFSET, distance / 3);
+    const atStart = style.labelPosition === 'start';
+
+    if (style.curve === 'straight' && distance > 0) {
+      const t = (atStart ? offset : distance - offset) / distance;
+      return [sourceX + (targetX - sourceX) * t, sourceY + (targetY - sourceY) * t];
+    }
+    // Edges leave the right handle and enter the left handle horizontally
+    return atStart ? [sourceX + offset, sourceY] : [targetX - offset, targetY];
+  }
+
+  /**
+   * Path for a curve type from a right handle to a left handle
+   * @returns {Object} {path, labelX, labelY}
+   */
+  static getEdgePath(curve, sourceX, sourceY, targetX, targetY) {
+    if (curve === 'straight') {
+      return {
+        path: `M ${this.round(sourceX)} ${this.round(sourceY)} L ${this.round(targetX)} ${this.round(targetY)}`,
+        labelX: (sourceX + targetX) / 2,
+        labelY: (sourceY + targetY) / 2,
+      };
+    }
+    if (curve === 'bezier') {
+      return this.getBezierPath(sourceX, sourceY, targetX, targetY);
+    }
+    return this.getSmoothStepPath(sourceX, sourceY, targetX, targetY, curve === 'step' ? 0 : STEP_RADIUS);
+  }
+
+  /**
+   * Cubic curve with horizontal handles (ReactFlow's bezier edge, curvature 0.25)
+   * @returns {Object} {path, labelX, labelY}
+   */
+  static getBezierPath(sourceX, sourceY, targetX, targetY) {
+    const distance = targetX - sourceX;
+    const offset = distance >= 0 ? distance / 2 : 0.25 * 25 * Math.sqrt(-distance);
+    const c1x = sourceX + offset;
+    const c2x = targetX - offset;
+    const r = (value) => this.round(value);
+
+    return {
+      path: `M ${r(sourceX)} ${r(sourceY)} C ${r(c1x)} ${r(sourceY)} ${r(c2x)} ${r(targetY)} ${r(targetX)} ${r(targetY)}`,
+      labelX: sourceX * 0.125 + c1x * 0.375 + c2x * 0.375 + targetX * 0.125,
+      labelY: (sourceY + targetY) / 2,
+    };
+  }
+
+  /**
+   * Orthogonal path with rounded corners from a right handle to a left handle
+   * @returns {Object} {path, labelX, labelY}
+   */
+  static getSmoothStepPath(sourceX, sourceY, targetX, targetY, radius = STEP_RADIUS) {
+    let points;
+
+    if (targetX - STEP_OFFSET >= sourceX + STEP_OFFSET) {
+      // Target is to the right: one vertical step half way
+      const midX = (sourceX + targetX) / 2;
+      points = [[sourceX, sourceY], [midX, sourceY], [midX, targetY], [targetX, targetY]];
+    } else {
+      // Target is behind the source: go out, across between the two, and back in
+      const midY = (sourceY + targetY) / 2;
+      points = [
+        [sourceX, sourceY],
+        [sourceX + STEP_OFFSET, sourceY],
+        [sourceX + STEP_OFFSET, midY],
+        [targetX - STEP_OFFSET, midY],
+        [targetX - STEP_OFFSET, targetY],
+        [targetX, targetY],
+      ];
+    }
+
+    return {
+      path: this.roundedPath(points, radius),
+      labelX: (sourceX + targetX) / 2,
+      labelY: (sourceY + targetY) / 2,
+    };
+  }
+
+  /**
+   * Elbow loop above the node, matching SelfLoopEdge
+   * @returns {Object} {path, labelX, labelY}
+   */
+  static getSelfLoopPath(sourceX, sourceY, targetX, targetY) {
+    const topY = sourceY - LOOP_TOP_OFFSET;
+    const points = [
+      [sourceX, sourceY],
+      [sourceX + LOOP_OFFSET, sourceY],
+      [sourceX + LOOP_OFFSET, topY],
+      [targetX - LOOP_OFFSET, topY],
+      [targetX - LOOP_OFFSET, targetY],
+      [targetX, targetY],
+    ];
+
+    return {
+      path: this.roundedPath(points, 0),
+      labelX: (sourceX + targetX) / 2,
+      labelY: topY - 10,
+    };
+  }
+
+  /**
+   * Build a polyline path with rounded corners
+   * @param {Array} allPoints - [[x, y], ...]
+   * @param {number} radius - Corner radius
+   * @returns {string} SVG path data
+   */
+  static roundedPath(allPoints, radius) {
+    const r = (value) => this.round(value);
+
+    // Drop repeated points and points in the middle of a straight segment
+    const points = allPoints.filter(([x, y], i) => {
+      if (i === 0 || i === allPoints.length - 1) return true;
+      const [prevX, prevY] = allPoints[i - 1];
+      const [nextX, nextY] = allPoints[i + 1];
+      return !((x === prevX && y === prevY) || (prevX === x && x === nextX) || (prevY === y && y === nextY));
+    });
+    let path = `M ${r(points[0][0])} ${r(points[0][1])}`;
+
+    for (let i = 1; i < points.length - 1; i++) {
+      const [prevX, prevY] = points[i - 1];
+      const [x, y] = points[i];
+      const [nextX, nextY] = points[i + 1];
+
+      const bend = Math.min(
+        radius,
+        Math.hypot(x - prevX, y - prevY) / 2,
+        Math.hypot(nextX - x, nextY - y) / 2
+      );
+
+      if (bend === 0) {
+        path += ` L ${r(x)} ${r(y)}`;
+        continue;
+      }
+
+      const inX = x - Math.sign(x - prevX) * bend;
+      const inY = y - Math.sign(y - prevY) * bend;
+      const outX = x + Math.sign(nextX - x) * bend;
+      const outY = y + Math.sign(nextY - y) * bend;
+      path += ` L ${r(inX)} ${r(inY)} Q ${r(x)} ${r(y)} ${r(outX)} ${r(outY)}`;
+    }
+
+    const [lastX, lastY] = points[points.length - 1];
+    return `${path} L ${r(lastX)} ${r(lastY)}`;
+  }
+
+  /**
+   * Split a CSS border shorthand ("2px dashed #d32f2f") into SVG stroke attributes
+   * @param {string} border - CSS border
+   * @returns {Object} {strokeWidth, stroke, dasharray}
+   */
+  static parseBorder(border) {
+    const match = String(border || '').trim().match(/^(\S+)\s+(\S+)\s+(.+)$/);
+    if (!match) return { strokeWidth: 1, stroke: '#1a192b', dasharray: null };
+
+    const [, width, style, color] = match;
+    if (style === 'none') return { strokeWidth: 0, stroke: 'none', dasharray: null };
+
+    return {
+      strokeWidth: parseFloat(width) || 1,
+      stroke: color,
+      dasharray: { dashed: '6 4', dotted: '1 3' }[style] || null,
+    };
+  }
+
+  /**
+   * Round coordinates to keep the markup small
+   * @param {number} value - Number
+   * @returns {number} Value rounded to 2 decimals
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Escape text for XML content and attributes
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped string
+   */
+  static escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
@@ -1,12 +1,13 @@
 import ReactFlowHandler from './ReactFlowHandler.jsx';
 import { DiagramParser } from './DiagramParser.js';
+import { CollaborationClient } from './CollaborationClient.js';
 
 export default class TrustQueryDraw {
   static instances = new Map();
 
   /**
-   * Render a mermaid diagram and return a DOM element
-   * @param {string} mermaidCode - The mermaid diagram code
+   * Render a mermaid flowchart as an editable diagram and return a DOM element
+   * @param {string} mermaidCode - The mermaid flowchart/graph code
    * @param {Object} options - Configuration options
    * @param {number} options.width - Canvas width (default: 700)
    * @param {number} options.height - Canvas height (default: 500)
@@ -21,6 +22,11 @@ export default class TrustQueryDraw {
     // Create a container for this diagram
     const container = document.createElement('div');
     container.className = 'tq-diagram-mermaid-container';
+    container.style.cssText = `
+      position: relative;
+      width: ${options.width || 700}px;
+      height: ${options.height || 500}px;
+    `;
 
     // Create a handler instance
     const handler = new ReactFlowHandler(container, {
@@ -37,8 +43,8 @@ export default class TrustQueryDraw {
     // Render the diagram
     handler.createVisualization(mermaidCode, 'mermaid');
 
-    // Return the first child (the wrapper with the diagram)
-    return container.firstChild;
+    // Return the sized container (ReactFlow needs a parent with dimensions)
+    return container;
   }
 
   /**
@@ -80,13 +86,36 @@ export default class TrustQueryDraw {
         this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
         this.textarea.focus();
       },
-      onCommandError: (message) => this.showError(message),
+      onCommandError: (message, command) => this.reportCommandError(message, command),
+      onHistoryRestore: (history) => {
+        // Undo/redo restored an older canvas state - keep the text log in step
+        this.diagramHistory = history;
+        console.log('[TrustQueryDraw] History restored. Total lines:', this.diagramHistory.length);
+      },
+      onAppendHistory: (line) => {
+        // Canvas edits (e.g. double-click label edits) recorded as commands
+        this.appendHistory(line);
+        console.log('[TrustQueryDraw] Added to history from canvas:', line);
+      },
+      onShare: () => this.shareDiagram(),
     });
     this.diagramParser = new DiagramParser();
     this.diagramHistory = []; // Accumulate all diagram content
+    this.latestEntry = null; // {text, firstLine, reported} of the last text entered, for diagnostics
+    this.diagnosticsElement = null; // Created under the textarea on first use
 
     // API endpoint for LLM calls (relative path since we're on same server)
     this.apiEndpoint = options.apiEndpoint || '/api/generate-diagram';
+    this.streamEndpoint = options.streamEndpoint || `${this.apiEndpoint}/stream`;
+    this.apiKey = options.apiKey || null; // Sent as a bearer token when the server requires keys
+    this.diagramsEndpoint = options.diagramsEndpoint || '/api/diagrams';
+    this.diagramId = null; // Server ID once the diagram is saved or loaded
+    this.editToken = null; // Needed to update a diagram this page saved without an API key
+    this.savedDiagram = null; // Canvas state of a loaded diagram, restored on the next render
+    this.collaboration = null; // CollaborationClient while in a shared room
+    this.collabIdMapping = null; // Node numbers before our unconfirmed command lines
+    this.aiAbortController = null; // Set while an AI generation is streaming
+    this.aiSessionId = this.createSessionId(); // Server keeps recent prompts per session
 
     this.init();
   }
@@ -110,7 +139,9 @@ export default class TrustQueryDraw {
 
       // Events
       onDraw: options.onDraw || null,
-      onError: options.onError || null
+      onError: options.onError || null, // Called with diagnostics [{line, column, severity, message}] (skipped AI commands add outputLine)
+      onDiagramSaved: options.onDiagramSaved || null,
+      onCollaborationStatus: options.onCollaborationStatus || null
     };
   }
 
@@ -127,15 +158,25 @@ export default class TrustQueryDraw {
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault(); // Don't add newline
 
-        // Check if the command is "save"
+        // Check if the command is "save" (PNG), "save png" or "save svg"
         const text = this.textarea.value.trim().toLowerCase();
-        if (text === 'save') {
-          console.log('[TrustQueryDraw] Save command detected - exporting to PNG');
-          this.exportToPNG();
+        const saveMatch = text.match(/^save(?:\s+(png|svg))?$/);
+        if (saveMatch) {
+          const format = saveMatch[1] || 'png';
+          console.log(`[TrustQueryDraw] Save command detected - exporting to ${format.toUpperCase()}`);
+          this.export(format);
           this.textarea.value = ''; // Clear input after save
           return;
         }
 
+        // "share" saves the diagram to the server and copies its link
+        if (text === 'share') {
+          console.log('[TrustQueryDraw] Share command detected');
+          this.shareDiagram().catch(error => this.showError(error.message));
+          this.textarea.value = '';
+          return;
+        }
+
         this.scan();
         this.textarea.value = ''; // Clear input after rendering
       }
@@ -186,16 +227,28 @@ export default class TrustQueryDraw {
 
     // If text is provided, add it to history
     if (text) {
-      this.diagramHistory.push(text);
+      this.latestEntry = { text, firstLine: this.countHistoryLines() + 1, reported: false };
+      this.appendHistory(text);
       console.log('[TrustQueryDraw] Added to history. Total lines:', this.diagramHistory.length);
     }
 
+    this.render();
+  }
+
+  /**
+   * Render the accumulated diagram history based on current mode
+   */
+  render() {
+    const mode = this.options.mode();
+    if (mode === 'off') return;
+
     // Get full accumulated content
     const fullContent = this.diagramHistory.join('\n');
 
     // If no accumulated content, render empty canvas with grid
     if (!fullContent) {
       console.log('[TrustQueryDraw] No content yet - rendering empty canvas');
+      this.takeSavedDiagram(); // Nothing to restore positions onto
       if (mode === 'arrow' || mode === 'shapes' || mode === 'hybrid') {
         this.drawHandler.renderNodes([], [], mode);
       }
@@ -235,10 +288,11 @@ export default class TrustQueryDraw {
         console.log('[TrustQueryDraw] Processing as SHAPES mode');
 
         // Parse the input using DiagramParser
-        const { nodes, edges, commands } = this.diagramParser.getNodesAndEdges(fullContent);
+        const { nodes, edges, commands, diagnostics } = this.diagramParser.getNodesAndEdges(fullContent);
 
         // Render shapes using the direct node rendering method
-        this.drawHandler.renderNodes(nodes, edges, 'shapes', commands, this.diagramHistory);
+        this.drawHandler.renderNodes(nodes, edges, 'shapes', commands, this.diagramHistory, this.takeSavedDiagram());
+        this.reportDiagnostics(diagnostics);
 
         // Trigger callback
         if (this.options.onDraw) {
@@ -249,10 +303,11 @@ export default class TrustQueryDraw {
         console.log('[TrustQueryDraw] Processing as HYBRID mode');
 
         // Parse the input using DiagramParser
-        const { nodes, edges, commands } = this.diagramParser.getNodesAndEdges(fullContent);
+        const { nodes, edges, commands, diagnostics } = this.diagramParser.getNodesAndEdges(fullContent);
 
         // Render shapes using the direct node rendering method
-        this.drawHandler.renderNodes(nodes, edges, 'hybrid', commands, this.diagramHistory);
+        this.drawHandler.renderNodes(nodes, edges, 'hybrid', commands, this.diagramHistory, this.takeSavedDiagram());
+        this.reportDiagnostics(diagnostics);
 
         // Trigger callback
         if (this.options.onDraw) {
@@ -268,11 +323,133 @@ export default class TrustQueryDraw {
     } catch (error) {
       console.error('[TrustQueryDraw] Error during scan:', error);
 
-      // Trigger error callback
-      if (this.options.onError) {
-        this.options.onError(error);
-      }
+      // Shown and passed to onError like parse problems, without a position
+      this.showDiagnostics([{ line: null, column: null, severity: 'error', message: error.message }]);
+    }
+  }
+
+  /**
+   * Number of text lines in the history (entries may span several lines)
+   * @returns {number} Line count
+   */
+  countHistoryLines() {
+    return this.diagramHistory.length > 0 ? this.diagramHistory.join('\n').split('\n').length : 0;
+  }
+
+  /**
+   * Show the diagnostics that belong to the text just entered
+   * Lines are renumbered so line 1 is the first line of that text; renders
+   * without new text (undo, remote commands) leave the shown diagnostics alone
+   * @param {Array} diagnostics - Diagnostics of the whole history from SyntaxManager
+   */
+  reportDiagnostics(diagnostics) {
+    const entry = this.latestEntry;
+    if (!entry || entry.reported) return;
+    entry.reported = true;
+
+    this.showDiagnostics(diagnostics
+      .filter(diagnostic => diagnostic.line !== null && diagnostic.line >= entry.firstLine)
+      .map(diagnostic => ({ ...diagnostic, line: diagnostic.line - entry.firstLine + 1 })));
+  }
+
+  /**
+   * Show a command that failed when it ran (e.g. @node for a missing node)
+   * next to the parse diagnostics of the same text
+   * @param {string} message - Error message
+   * @param {Object} command - Command object from CommandHandler (optional)
+   */
+  reportCommandError(message, command) {
+    const lines = this.latestEntry ? this.latestEntry.text.split('\n') : [];
+    const index = command ? lines.findIndex(line => line.trim() === command.rawCommand) : -1;
+
+    this.showDiagnostics([{
+      line: index === -1 ? null : index + 1,
+      column: index === -1 ? null : lines[index].indexOf(command.rawCommand) + 1,
+      severity: 'error',
+      message,
+    }], { append: true });
+  }
+
+  /**
+   * Show diagnostics under the textarea and pass them to onError
+   * @param {Array} diagnostics - Array of {line, column, severity, message}
+   * @param {Object} options
+   * @param {boolean} options.append - Keep the diagnostics already shown (default: false)
+   */
+  showDiagnostics(diagnostics, { append = false } = {}) {
+    const element = this.getDiagnosticsElement();
+    if (!append) {
+      element.replaceChildren();
     }
+
+    diagnostics.forEach(diagnostic => {
+      const { line, column, severity, message } = diagnostic;
+      const row = document.createElement('div');
+      row.className = `tq-diagram-diagnostic tq-diagram-diagnostic-${severity}`;
+      row.style.cssText = `
+        padding: 2px 0;
+        color: ${severity === 'error' ? '#c62828' : '#8d6e00'};
+      `;
+
+      const position = document.createElement('strong');
+      position.textContent = line === null ? '' : `Line ${line}${column === null ? '' : `:${column}`} `;
+      row.append(position, `${severity === 'error' ? 'Error' : 'Warning'}: ${message}`);
+      element.appendChild(row);
+    });
+
+    element.style.display = element.childElementCount > 0 ? 'block' : 'none';
+
+    if (diagnostics.length > 0 && this.options.onError) {
+      this.options.onError(diagnostics);
+    }
+  }
+
+  /**
+   * Diagnostics list under the textarea (created on first use)
+   * @returns {HTMLElement} Diagnostics element
+   */
+  getDiagnosticsElement() {
+    if (!this.diagnosticsElement) {
+      const element = document.createElement('div');
+      element.className = 'tq-diagram-diagnostics';
+      element.setAttribute('aria-live', 'polite');
+      element.style.cssText = `
+        display: none;
+        margin-top: 4px;
+        padding: 6px 10px;
+        background: #fff8f8;
+        border-left: 3px solid #ef5350;
+        font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+        font-size: 12px;
+      `;
+      this.textarea.insertAdjacentElement('afterend', element);
+      this.diagnosticsElement = element;
+    }
+    return this.diagnosticsElement;
+  }
+
+  /**
+   * Add lines to the command history, and send them to the room when collaborating
+   * @param {...string} lines - History lines
+   */
+  appendHistory(...lines) {
+    if (this.collaboration && this.collaboration.getPendingCommandCount() === 0) {
+      // Node numbers everyone agrees on, in case a remote line gets ordered before these (see receiveCommand)
+      this.collabIdMapping = this.diagramParser.getSyntaxManager().getIDManager().toJSON();
+    }
+
+    this.diagramHistory.push(...lines);
+    lines.forEach(line => this.collaboration?.sendOp({ kind: 'command', line }));
+  }
+
+  /**
+   * Hand the canvas state of a loaded diagram to the renderer (once)
+   * @returns {Object|null} Saved canvas state
+   */
+  takeSavedDiagram() {
+    const savedDiagram = this.savedDiagram;
+    this.savedDiagram = null;
+    return savedDiagram;
   }
 
   /**
@@ -291,7 +468,10 @@ export default class TrustQueryDraw {
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
       font-size: 14px;
     `;
-    errorDiv.innerHTML = `<strong>Error:</strong> ${message}`;
+    // Messages can carry server or user text, so they are never parsed as HTML
+    const label = document.createElement('strong');
+    label.textContent = 'Error:';
+    errorDiv.append(label, ` ${message}`);
 
     this.outputContainer.appendChild(errorDiv);
 
@@ -301,13 +481,94 @@ export default class TrustQueryDraw {
     }, 5000);
   }
 
+  /**
+   * Export the current diagram as an image (nodes and edges only, cropped to the content)
+   * @param {string} format - 'png' or 'svg'
+   * @param {Object} options - Export options
+   * @param {number} options.padding - Space around the nodes in px (default: 20)
+   * @param {string} options.background - Background color (default: '#ffffff')
+   * @param {boolean} options.transparent - Transparent background (default: false)
+   * @param {number} options.scale - Output size multiplier (default: 2 for PNG, 1 for SVG)
+   * @param {string} options.filename - Download filename (default: diagram.png / diagram.svg)
+   * @param {boolean} options.download - Download the file (default: true)
+   * @returns {Promise<string|null>} Data URL of the image, or null on failure
+   */
+  export(format = 'png', options = {}) {
+    console.log(`[TrustQueryDraw] Exporting to ${String(format).toUpperCase()}...`);
+    return this.drawHandler.export(format, options);
+  }
+
   /**
    * Export current diagram to PNG
    * @param {string} filename - The filename for the downloaded PNG
+   * @param {Object} options - Export options (see export)
+   * @returns {Promise<string|null>} Data URL of the image
    */
-  exportToPNG(filename = 'diagram.png') {
-    console.log('[TrustQueryDraw] Exporting to PNG...');
-    this.drawHandler.exportToPNG(filename);
+  exportToPNG(filename = 'diagram.png', options = {}) {
+    return this.export('png', { ...options, filename });
+  }
+
+  /**
+   * Export current diagram to SVG
+   * @param {string} filename - The filename for the downloaded SVG
+   * @param {Object} options - Export options (see export)
+   * @returns {Promise<string|null>} Data URL of the image
+   */
+  exportToSVG(filename = 'diagram.svg', options = {}) {
+    return this.export('svg', { ...options, filename });
+  }
+
+  /**
+   * Export the current diagram as Mermaid flowchart text
+   * @param {Object} options - Export options
+   * @param {string} options.direction - TB, LR, BT or RL (default: inferred from positions)
+   * @returns {string|null} Mermaid text or null if nothing is rendered
+   */
+  exportMermaid(options = {}) {
+    console.log('[TrustQueryDraw] Exporting to Mermaid...');
+    return this.drawHandler.exportMermaid(options);
+  }
+
+  /**
+   * Undo the last diagram change (canvas state and command history)
+   * @returns {boolean} True if a step was undone
+   */
+  undo() {
+    console.log('[TrustQueryDraw] Undo');
+    if (this.collaboration) {
+      console.warn('[TrustQueryDraw] Undo is off while collaborating');
+      return false;
+    }
+    return this.drawHandler.undo();
+  }
+
+  /**
+   * Redo the last undone diagram change
+   * @returns {boolean} True if a step was redone
+   */
+  redo() {
+    console.log('[TrustQueryDraw] Redo');
+    if (this.collaboration) {
+      console.warn('[TrustQueryDraw] Redo is off while collaborating');
+      return false;
+    }
+    return this.drawHandler.redo();
+  }
+
+  /**
+   * Import a Mermaid flowchart into the current diagram
+   * The flowchart is converted to hybrid syntax and added to the command
+   * history, so it can be edited like typed input
+   * @param {string} mermaidCode - Mermaid flowchart/graph text
+   * @returns {Array<string>} Conversion warnings (unsupported statements)
+   */
+  importMermaid(mermaidCode) {
+    const { lines, warnings } = this.diagramParser.mermaidConverter.convert(mermaidCode);
+    this.appendHistory(...lines);
+    console.log(`[TrustQueryDraw] Imported Mermaid flowchart as ${lines.length} line(s)`);
+
+    this.scan();
+    return warnings;
   }
 
   /**
@@ -333,6 +594,11 @@ export default class TrustQueryDraw {
 
   /**
    * Generate diagram using AI from natural language prompt
+   * The current history and node numbers are sent along, so prompts can
+   * edit the existing diagram ("make the error path red")
+   * Commands stream in one at a time; each is added to the history and
+   * rendered right away. cancelAI() (or the Cancel button) stops generation
+   * and keeps the commands received so far
    * @param {string} prompt - Natural language description
    */
   async generateWithAI(prompt) {
@@ -346,17 +612,29 @@ export default class TrustQueryDraw {
     // Get selected model from UIControls if available
     const model = window.uiControls?.getSelectedModel() || 'claude-3-5-haiku-20241022';
 
+    // One generation at a time
+    this.cancelAI();
+    const controller = new AbortController();
+    this.aiAbortController = controller;
+    const progress = this.showAIProgress();
+
+    const warnings = [];
+    let received = 0;
+
     try {
       // Call API
-      const response = await fetch(this.apiEndpoint, {
+      const response = await fetch(this.streamEndpoint, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getApiHeaders(),
+        // The current diagram and node numbers, so the prompt can edit it
         body: JSON.stringify({
           prompt,
           model,
+          history: this.diagramHistory,
+          idMapping: this.diagramParser.getSyntaxManager().getIDManager().toJSON(),
+          sessionId: this.aiSessionId,
         }),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
@@ -364,47 +642,303 @@ export default class TrustQueryDraw {
         throw new Error(error.message || 'API request failed');
       }
 
-      const result = await response.json();
+      // Newline-delimited JSON events
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      const handleEvent = (event) => {
+        if (event.type === 'command') {
+          this.appendHistory(event.command);
+          received++;
+          progress.update(received);
+          this.render();
+        } else if (event.type === 'warning') {
+          warnings.push(event);
+        } else if (event.type === 'done') {
+          console.log('[TrustQueryDraw] Token usage:', event.usage);
+        } else if (event.type === 'error') {
+          throw new Error(event.message || 'AI generation failed');
+        }
+      };
 
-      if (!result.success || !result.commands) {
-        throw new Error('Invalid API response');
-      }
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
 
-      console.log('[TrustQueryDraw] AI generated commands:', result.commands);
-      console.log('[TrustQueryDraw] Token usage:', result.usage);
-
-      // Insert commands into textarea (one per line)
-      const commandsText = result.commands.join('\n');
-      this.textarea.value = commandsText;
-
-      // Trigger input event to let user see the commands
-      this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
-
-      // Auto-submit after a brief delay so user can see what was generated
-      setTimeout(() => {
-        // Simulate Enter key press to trigger normal submission flow
-        const enterEvent = new KeyboardEvent('keydown', {
-          key: 'Enter',
-          code: 'Enter',
-          keyCode: 13,
-          which: 13,
-          bubbles: true
-        });
-        this.textarea.dispatchEvent(enterEvent);
-      }, 500); // 500ms delay so user can see the commands
-
-      console.log('[TrustQueryDraw] AI generation complete - commands inserted into textarea');
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => handleEvent(JSON.parse(line)));
+      }
+      if (buffer.trim()) handleEvent(JSON.parse(buffer));
+
+      console.log(`[TrustQueryDraw] AI generation complete - ${received} commands added`);
+
+      // Commands the server skipped because they failed validation. Their line numbers
+      // count lines of the model's output; skipped lines never reach the textarea,
+      // so they are named as output lines rather than shown as textarea positions
+      if (warnings.length > 0) {
+        console.warn('[TrustQueryDraw] AI generation warnings:', warnings);
+        this.showDiagnostics(warnings.map(warning => ({
+          line: null,
+          column: null,
+          outputLine: warning.line ?? null,
+          severity: 'warning',
+          message: warning.line == null
+            ? `Skipped AI command: ${warning.message}`
+            : `Skipped AI command (line ${warning.line} of the AI output): ${warning.message}`,
+        })));
+      }
     } catch (error) {
-      console.error('[TrustQueryDraw] AI generation error:', error);
-      this.showError(`AI generation failed: ${error.message}`);
+      if (error.name === 'AbortError') {
+        console.log(`[TrustQueryDraw] AI generation cancelled after ${received} commands`);
+      } else {
+        console.error('[TrustQueryDraw] AI generation error:', error);
+        this.showError(`AI generation failed: ${error.message}`);
+      }
+    } finally {
+      progress.remove();
+      if (this.aiAbortController === controller) {
+        this.aiAbortController = null;
+      }
+    }
+  }
+
+  /**
+   * Create an identifier for the AI conversation of this diagram
+   * @returns {string} Random session ID
+   */
+  createSessionId() {
+    return window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  /**
+   * Cancel a running AI generation (commands already received stay)
+   * @returns {boolean} True if a generation was running
+   */
+  cancelAI() {
+    if (!this.aiAbortController) return false;
+
+    console.log('[TrustQueryDraw] Cancelling AI generation');
+    this.aiAbortController.abort();
+    this.aiAbortController = null;
+    return true;
+  }
+
+  /**
+   * Show a progress bar with a Cancel button while AI generation runs
+   * @returns {Object} {update(count), remove()}
+   */
+  showAIProgress() {
+    const progressDiv = document.createElement('div');
+    progressDiv.className = 'tq-diagram-ai-progress';
+    progressDiv.style.cssText = `
+      margin: 20px;
+      padding: 12px 16px;
+      background: #e3f2fd;
+      border: 2px solid #64b5f6;
+      border-radius: 8px;
+      color: #1565c0;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      font-size: 14px;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+    `;
+
+    const status = document.createElement('span');
+    status.textContent = 'Generating diagram...';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'tq-diagram-ai-cancel';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.style.cssText = `
+      padding: 4px 12px;
+      background: #fff;
+      border: 1px solid #64b5f6;
+      border-radius: 4px;
+      color: #1565c0;
+      cursor: pointer;
+      font-size: 13px;
+    `;
+    cancelButton.addEventListener('click', () => this.cancelAI());
+
+    progressDiv.append(status, cancelButton);
+    this.outputContainer.appendChild(progressDiv);
+
+    return {
+      update: (count) => {
+        status.textContent = `Generating diagram... ${count} command${count === 1 ? '' : 's'}`;
+      },
+      remove: () => progressDiv.remove(),
+    };
+  }
+
+  /**
+   * Headers for requests to the server API
+   * @returns {Object} Headers
+   */
+  getApiHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+    };
+  }
+
+  /**
+   * Everything needed to bring the diagram back exactly as it is
+   * @returns {Object} {history, idMapping, diagram}
+   */
+  toJSON() {
+    return {
+      history: [...this.diagramHistory],
+      idMapping: this.diagramParser.getSyntaxManager().getIDManager().toJSON(),
+      diagram: this.drawHandler.toJSON(),
+    };
+  }
+
+  /**
+   * Save the diagram to the server
+   * The first save creates it; later saves update it. A diagram this page
+   * can't change (someone else's, or opened from a link without its edit
+   * token) is saved as a new copy
+   * @param {Object} options - Save options
+   * @param {string} options.title - Diagram title (optional)
+   * @returns {Promise<Object>} Saved record, including its id
+   * @throws {Error} If the server refuses it
+   */
+  async saveDiagram(options = {}) {
+    const body = JSON.stringify({ ...this.toJSON(), title: options.title });
+    let response;
+
+    if (this.diagramId) {
+      response = await fetch(`${this.diagramsEndpoint}/${this.diagramId}`, {
+        method: 'PUT',
+        headers: {
+          ...this.getApiHeaders(),
+          ...(this.editToken ? { 'X-Edit-Token': this.editToken } : {}),
+        },
+        body,
+      });
     }
+
+    const created = !response || response.status === 403 || response.status === 404;
+    if (created) {
+      response = await fetch(this.diagramsEndpoint, {
+        method: 'POST',
+        headers: this.getApiHeaders(),
+        body,
+      });
+    }
+
+    const record = await response.json();
+    if (!response.ok) {
+      throw new Error(record.message || 'Could not save diagram');
+    }
+
+    this.diagramId = record.id;
+    if (created) {
+      this.editToken = record.editToken || null;
+    }
+    console.log('[TrustQueryDraw] Diagram saved:', record.id);
+
+    if (this.options.onDiagramSaved) {
+      this.options.onDiagramSaved(record);
+    }
+    return record;
+  }
+
+  /**
+   * Save the diagram and copy a link to it (this page with ?d=<id>)
+   * @returns {Promise<string>} Share URL
+   */
+  async shareDiagram() {
+    const { id } = await this.saveDiagram();
+    const url = new URL(window.location.href);
+    url.searchParams.set('d', id);
+
+    await navigator.clipboard.writeText(url.toString());
+    console.log('[TrustQueryDraw] Share link copied:', url.toString());
+    return url.toString();
   }
 
   /**
-   * Clear diagram history and canvas
+   * Load a saved diagram from the server
+   * @param {string} id - Diagram ID
+   * @returns {Promise<Object>} Saved record
+   * @throws {Error} If it can't be loaded
+   */
+  async openDiagram(id) {
+    const response = await fetch(`${this.diagramsEndpoint}/${encodeURIComponent(id)}`, {
+      headers: this.getApiHeaders(),
+    });
+
+    const record = await response.json();
+    if (!response.ok) {
+      throw new Error(record.message || `Could not load diagram "${id}"`);
+    }
+
+    this.loadDiagram(record);
+    this.diagramId = record.id;
+    return record;
+  }
+
+  /**
+   * Replace the current diagram with saved data (see toJSON)
+   * The history is parsed again and the saved positions and styles are put
+   * back on top; its @ and =layout commands are not run again.
+   * Leaves the shared room, if any
+   * @param {Object} data - {history, idMapping, diagram}
+   */
+  loadDiagram(data) {
+    this.leaveRoom();
+    this.diagramId = null;
+    this.editToken = null;
+    this.restoreDiagram(data);
+  }
+
+  restoreDiagram({ history = [], idMapping = null, diagram = null }) {
+    this.cancelAI();
+    this.diagramHistory = [...history];
+    this.aiSessionId = this.createSessionId();
+
+    // Same node numbers (:1, :2, ...) as when it was saved
+    const idManager = this.diagramParser.getSyntaxManager().getIDManager();
+    idManager.clear();
+    idManager.fromJSON(idMapping);
+
+    this.savedDiagram = diagram;
+    this.render();
+    console.log('[TrustQueryDraw] Diagram loaded. Total lines:', this.diagramHistory.length);
+  }
+
+  /**
+   * Clear diagram history and canvas (for everyone, when collaborating)
    */
   clearDiagram() {
-    this.diagramHistory = [];
+    this.collaboration?.sendOp({ kind: 'clear' });
+    this.diagramId = null;
+    this.editToken = null;
+    this.resetDiagram();
+  }
+
+  /**
+   * Empty the history and canvas
+   * @param {Array<string>} history - Lines to keep (default: none)
+   */
+  resetDiagram(history = []) {
+    this.cancelAI();
+    this.diagramHistory = [...history];
+    this.savedDiagram = null;
+    this.latestEntry = null;
+    if (this.diagnosticsElement) {
+      this.showDiagnostics([]);
+    }
+
+    // A new diagram starts a new AI conversation
+    this.aiSessionId = this.createSessionId();
 
     // Clear ID mappings
     this.diagramParser.getSyntaxManager().clearIDMappings();
@@ -413,9 +947,110 @@ export default class TrustQueryDraw {
     if (mode !== 'off') {
       this.drawHandler.renderNodes([], [], mode);
     }
+    if (this.diagramHistory.length > 0) {
+      this.render();
+    }
     console.log('[TrustQueryDraw] Diagram cleared');
   }
 
+  /**
+   * Edit the diagram together with others, live
+   * Everyone in the same room sees the same diagram: text commands, moves,
+   * style changes and drawn edges are shared, along with cursors and
+   * selections. A new room starts from this diagram; joining an existing one
+   * replaces this diagram with the room's. Undo/redo are off while in a room
+   * @param {string} roomId - Room ID (letters, digits, - and _; e.g. the saved diagram ID)
+   * @param {Object} options - Room options
+   * @param {string} options.name - Name shown next to your cursor (default: your API key's user, or "Guest")
+   * @param {string} options.url - WebSocket URL (default: /api/collaborate on this host)
+   * @returns {CollaborationClient} Connection to the room
+   */
+  joinRoom(roomId, options = {}) {
+    this.leaveRoom();
+
+    this.collaboration = new CollaborationClient({
+      room: roomId,
+      url: options.url,
+      name: options.name,
+      apiKey: this.apiKey,
+      getState: () => this.getCollaborationState(),
+      onSnapshot: (state) => this.restoreDiagram(state),
+      onCommand: (line) => this.receiveCommand(line),
+      onClear: () => this.receiveClear(),
+      onStatus: (status) => this.options.onCollaborationStatus?.(status, roomId),
+      onError: (message) => this.showError(`Collaboration: ${message}`),
+    });
+    this.drawHandler.collaboration = this.collaboration;
+    this.collaboration.connect();
+
+    // Hand the connection to the canvas
+    this.render();
+    return this.collaboration;
+  }
+
+  /**
+   * Stop collaborating; the diagram stays as it is
+   */
+  leaveRoom() {
+    if (!this.collaboration) return;
+
+    this.collaboration.disconnect();
+    this.collaboration = null;
+    this.collabIdMapping = null;
+    this.drawHandler.collaboration = null;
+    this.render();
+  }
+
+  /**
+   * The diagram as the room knows it: without our command lines it hasn't ordered yet
+   * @returns {Object} {history, idMapping, diagram}
+   */
+  getCollaborationState() {
+    const state = this.toJSON();
+    const pendingCount = this.collaboration?.getPendingCommandCount() || 0;
+    if (pendingCount === 0) return state;
+
+    return { ...state, history: state.history.slice(0, -pendingCount), idMapping: this.collabIdMapping };
+  }
+
+  /**
+   * A command line from someone else in the room
+   * Our unconfirmed lines come after it for everyone else, so they move behind
+   * it here too, and their nodes are numbered after its nodes
+   * @param {string} line - History line
+   */
+  receiveCommand(line) {
+    const pendingCount = this.collaboration.getPendingCommandCount();
+
+    if (pendingCount === 0) {
+      this.diagramHistory.push(line);
+    } else {
+      const confirmed = [...this.diagramHistory.slice(0, -pendingCount), line];
+      const unconfirmed = this.diagramHistory.slice(-pendingCount);
+
+      const idManager = this.diagramParser.getSyntaxManager().getIDManager();
+      idManager.clear();
+      idManager.fromJSON(this.collabIdMapping);
+      this.diagramParser.getNodesAndEdges(confirmed.join('\n'));
+      this.collabIdMapping = idManager.toJSON();
+
+      this.diagramHistory = [...confirmed, ...unconfirmed];
+    }
+
+    this.render();
+  }
+
+  /**
+   * Someone else in the room cleared the diagram; our unconfirmed lines come after the clear
+   */
+  receiveClear() {
+    const pendingCount = this.collaboration.getPendingCommandCount();
+    const unconfirmed = pendingCount > 0 ? this.diagramHistory.slice(-pendingCount) : [];
+
+    this.collabIdMapping = null; // Numbering starts over at the clear
+    this.resetDiagram(unconfirmed);
+  }
+
   /**
    * Add a node directly to the canvas without using textarea
    * @param {string} shapeType - The type of shape (rectangle, square, circle, diamond)
@@ -429,13 +1064,13 @@ export default class TrustQueryDraw {
 
     // Get current nodes to determine next node number
     const { nodes } = this.diagramParser.getNodesAndEdges(this.diagramHistory.join('\n'));
-    const nextNodeNumber = nodes.length + 1;
+    const nextNodeNumber = nodes.filter(node => node.type !== 'group').length + 1;
 
     // Create node ID with shape type and node number
     const nodeId = shapeType === 'rectangle' ? `${nextNodeNumber}` : `${shapeType}:${nextNodeNumber}`;
 
     // Add node to diagram history
-    this.diagramHistory.push(nodeId);
+    this.appendHistory(nodeId);
 
     // Re-render
     this.scan();
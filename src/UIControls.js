@@ -133,8 +133,8 @@ export default class UIControls {
    */
   insertDecisionPattern() {
     const decisionDiagram = `Input->diamond
-diamond-Yes->True
-diamond-No->False
+diamond -Yes-> True
+diamond -No-> False
 =rename(diamond, Decision?)
 =layout(decision)`;
 
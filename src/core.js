@@ -0,0 +1,39 @@
+/**
+ * TrustQuery Diagram core - the DOM-free parts of the library
+ * Parser, layouts, import/export and SVG rendering, without React or reactflow,
+ * so Node scripts, the server and CLI tools use the same grammar as the browser
+ *
+ * import { DiagramParser, applyLayout, SvgRenderer } from '@trustquery/trustquery-diagram/core';
+ */
+
+// Parsing
+export { DiagramParser } from './DiagramParser.js';
+export { SyntaxManager } from './parsers/SyntaxManager.js';
+export { CommandHandler } from './parsers/CommandHandler.js';
+export { StyleParser } from './parsers/StyleParser.js';
+export { EdgeStyleParser } from './parsers/EdgeStyleParser.js';
+export { MermaidConverter } from './parsers/MermaidConverter.js';
+
+// Layouts
+export {
+  applyLayout,
+  applyDecisionLayout,
+  applyTreeLayout,
+  applyListLayout,
+  applyGridLayout,
+  applyCircleLayout,
+  applyFlowLayout,
+} from './utils/layoutAlgorithms.js';
+export { default as GroupLayout } from './utils/layouts/GroupLayout.js';
+export { getNodeSize } from './utils/layouts/nodeSize.js';
+
+// Import, export and rendering
+export { DiagramImporter } from './DiagramImporter.js';
+export { DiagramExporter } from './DiagramExporter.js';
+export { MermaidExporter } from './MermaidExporter.js';
+export { SvgRenderer } from './SvgRenderer.js';
+
+// Shared definitions
+export { nodeDefaults } from './nodes/nodeDefaults.js';
+export { edgeDefaults } from './edges/edgeDefaults.js';
+export { MarkerType } from './utils/markerTypes.js';
@@ -1,21 +1,11 @@
 import React from 'react';
 
-const SelfLoopEdge = ({
-  id,
-  sourceX,
-  sourceY,
-  targetX,
-  targetY,
-  sourcePosition,
-  targetPosition,
-  style = {},
-  markerEnd,
-  label,
-  labelStyle,
-  labelBgStyle,
-}) => {
-  // Elbow-style self-loop path
-  // Goes: right -> up -> left (across top) -> down -> left to target
+/**
+ * Elbow-style self-loop path
+ * Goes: right -> up -> left (across top) -> down -> left to target
+ * @returns {Object} {path, labelX, labelY}
+ */
+export const getSelfLoopPath = ({ sourceX, sourceY, targetX, targetY }) => {
   const offset = 20; // How far to extend horizontally
   const topOffset = 40; // How far above the node
 
@@ -31,8 +21,24 @@ const SelfLoopEdge = ({
     L ${targetX} ${targetY}
   `;
 
-  const labelX = (sourceX + targetX) / 2;
-  const labelY = topY - 10;
+  return { path, labelX: (sourceX + targetX) / 2, labelY: topY - 10 };
+};
+
+const SelfLoopEdge = ({
+  id,
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  style = {},
+  markerEnd,
+  label,
+  labelStyle,
+  labelBgStyle,
+}) => {
+  const { path, labelX, labelY } = getSelfLoopPath({ sourceX, sourceY, targetX, targetY });
 
   return (
     <>
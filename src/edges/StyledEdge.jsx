@@ -0,0 +1,169 @@
+import React from 'react';
+import { BaseEdge, getBezierPath, getStraightPath, getSmoothStepPath } from 'reactflow';
+import { getSelfLoopPath } from './SelfLoopEdge.jsx';
+import { getEdgeStyle, getDashArray, markerShapes } from './edgeDefaults.js';
+
+// How far from the node a label at the start or end of an edge sits
+const LABEL_END_OFFSET = 24;
+
+const handleDirections = {
+  left: [-1, 0],
+  right: [1, 0],
+  top: [0, -1],
+  bottom: [0, 1],
+};
+
+/**
+ * Path for a curve type
+ * @returns {Array} [path, labelX, labelY] like reactflow's path helpers
+ */
+const getPath = (curve, props) => {
+  if (props.source === props.target) {
+    const { path, labelX, labelY } = getSelfLoopPath(props);
+    return [path, labelX, labelY];
+  }
+  if (curve === 'bezier') return getBezierPath(props);
+  if (curve === 'straight') return getStraightPath(props);
+  return getSmoothStepPath({ ...props, borderRadius: curve === 'step' ? 0 : undefined });
+};
+
+/**
+ * Label point near one end of the edge, where the edge leaves the handle
+ * Straight edges don't follow the handle direction, so the label moves along the line
+ */
+const getEndLabelPoint = (curve, x, y, position, otherX, otherY) => {
+  const distance = Math.hypot(otherX - x, otherY - y);
+  const offset = Math.min(LABEL_END_OFFSET, distance / 3);
+  if (curve === 'straight' && distance > 0) {
+    return [x + ((otherX - x) / distance) * offset, y + ((otherY - y) / distance) * offset];
+  }
+  const [dx, dy] = handleDirections[position] || [0, 0];
+  return [x + dx * offset, y + dy * offset];
+};
+
+/**
+ * Marker definition drawn in the edge's own color
+ */
+const Marker = ({ id, type, color, strokeWidth }) => {
+  const shape = markerShapes[type];
+  if (!shape) return null;
+
+  // Grows with thicker lines, but slower than the line itself
+  const size = 10 + strokeWidth * 2;
+  return (
+    <marker
+      id={id}
+      viewBox="0 0 10 10"
+      refX="9"
+      refY="5"
+      markerWidth={size}
+      markerHeight={size}
+      markerUnits="userSpaceOnUse"
+      orient="auto-start-reverse"
+    >
+      <path
+        d={shape.path}
+        fill={shape.filled ? color : 'none'}
+        stroke={color}
+        strokeWidth={1.5}
+        strokeLinejoin="round"
+        style={{ strokeDasharray: 'none', animation: 'none' }}
+      />
+    </marker>
+  );
+};
+
+/**
+ * ReactFlow edge drawn by StyledEdge, with its merged style in data.edgeStyle
+ * @param {Object} edge - ReactFlow edge with data.styleOverrides
+ * @returns {Object} Edge to pass to <ReactFlow>
+ */
+export const toStyledEdge = (edge) => {
+  const edgeStyle = getEdgeStyle(edge);
+  return {
+    ...edge,
+    type: 'styled',
+    animated: edgeStyle.animated,
+    data: { ...edge.data, edgeStyle },
+  };
+};
+
+/**
+ * StyledEdge - Edge with style overrides from @a->b commands or the edge inspector,
+ * or an edge kind other than a plain arrow (dotted, thick, <->, ...)
+ * Draws its own markers so they take the edge color (reactflow's markers
+ * only come as arrows)
+ */
+const StyledEdge = (props) => {
+  const {
+    id,
+    source,
+    target,
+    sourceX,
+    sourceY,
+    targetX,
+    targetY,
+    sourcePosition,
+    targetPosition,
+    data,
+    style = {},
+    label,
+    labelStyle,
+    labelShowBg,
+    labelBgStyle,
+    labelBgPadding,
+    labelBgBorderRadius,
+    interactionWidth,
+  } = props;
+
+  // FlowDiagram passes the merged style (see toStyledEdge)
+  const edgeStyle = data?.edgeStyle || getEdgeStyle({ markerEnd: true, data });
+  const { curve, stroke, strokeWidth, labelPosition } = edgeStyle;
+
+  const [path, centerX, centerY] = getPath(curve, {
+    source, target, sourceX, sourceY, targetX, targetY, sourcePosition, targetPosition,
+  });
+
+  let [labelX, labelY] = [centerX, centerY];
+  if (labelPosition === 'start') {
+    [labelX, labelY] = getEndLabelPoint(curve, sourceX, sourceY, sourcePosition, targetX, targetY);
+  } else if (labelPosition === 'end') {
+    [labelX, labelY] = getEndLabelPoint(curve, targetX, targetY, targetPosition, sourceX, sourceY);
+  }
+
+  // Edge IDs can hold characters url(#...) doesn't accept
+  const markerId = `tq-edge-marker-${String(id).replace(/[^\w-]/g, '_')}`;
+  const markerStartId = `${markerId}-start`;
+  const markerEndId = `${markerId}-end`;
+
+  return (
+    <>
+      <defs>
+        <Marker id={markerStartId} type={edgeStyle.markerStart} color={stroke} strokeWidth={strokeWidth} />
+        <Marker id={markerEndId} type={edgeStyle.markerEnd} color={stroke} strokeWidth={strokeWidth} />
+      </defs>
+      <BaseEdge
+        path={path}
+        labelX={labelX}
+        labelY={labelY}
+        label={label}
+        labelStyle={labelStyle}
+        labelShowBg={labelShowBg}
+        labelBgStyle={labelBgStyle}
+        labelBgPadding={labelBgPadding}
+        labelBgBorderRadius={labelBgBorderRadius}
+        interactionWidth={interactionWidth}
+        style={{
+          ...style,
+          stroke,
+          strokeWidth,
+          strokeDasharray: getDashArray(edgeStyle.strokeStyle, strokeWidth),
+        }}
+        markerStart={markerShapes[edgeStyle.markerStart] ? `url(#${markerStartId})` : undefined}
+        markerEnd={markerShapes[edgeStyle.markerEnd] ? `url(#${markerEndId})` : undefined}
+      />
+    </>
+  );
+};
+
+export default StyledEdge;
@@ -0,0 +1,86 @@
+/**
+ * Default edge style and the edge style vocabulary
+ * Shared between StyledEdge, EdgeInspector, EdgeStyleParser and SvgRenderer
+ *
+ * Edge style overrides live in edge.data.styleOverrides, keyed like edgeDefaults.
+ * The arrow that created an edge (see EdgeSyntaxParser) is edge.data.kind
+ */
+export const edgeDefaults = {
+  stroke: '#b1b1b7', // ReactFlow's default edge color
+  strokeWidth: 1,
+  strokeStyle: 'solid',
+  curve: 'smoothstep',
+  markerStart: 'none',
+  markerEnd: 'arrow',
+  animated: false,
+  labelPosition: 'center',
+};
+
+export const edgeStrokeStyles = ['solid', 'dashed', 'dotted'];
+export const edgeCurves = ['bezier', 'straight', 'step', 'smoothstep'];
+export const edgeMarkers = ['arrow', 'open-arrow', 'diamond', 'circle', 'cross', 'none'];
+export const edgeLabelPositions = ['start', 'center', 'end'];
+
+/**
+ * Style each edge kind starts from (before style overrides)
+ */
+export const edgeKindStyles = {
+  arrow: {},
+  bidirectional: { markerStart: 'arrow' },
+  undirected: { markerEnd: 'none' },
+  dotted: { strokeStyle: 'dotted' },
+  thick: { strokeWidth: 3 },
+  circle: { markerEnd: 'circle' },
+  cross: { markerEnd: 'cross' },
+};
+
+/**
+ * Marker shapes in a 10x10 box, pointing right with the tip at x=10
+ * filled: drawn in the stroke color; otherwise outlined
+ */
+export const markerShapes = {
+  arrow: { path: 'M 0 1 L 10 5 L 0 9 Z', filled: true },
+  'open-arrow': { path: 'M 1 1 L 10 5 L 1 9', filled: false },
+  diamond: { path: 'M 0 5 L 5 1 L 10 5 L 5 9 Z', filled: true },
+  circle: { path: 'M 1 5 A 4 4 0 1 0 9 5 A 4 4 0 1 0 1 5 Z', filled: true },
+  cross: { path: 'M 2 1 L 10 9 M 2 9 L 10 1', filled: false },
+};
+
+/**
+ * Merged style of an edge: defaults, what the edge itself says (type, markers, kind), then overrides
+ * @param {Object} edge - ReactFlow edge
+ * @returns {Object} Style keyed like edgeDefaults
+ */
+export const getEdgeStyle = (edge) => {
+  const curve = edge.type === 'default' ? 'bezier' : edge.type;
+  return {
+    ...edgeDefaults,
+    curve: edgeCurves.includes(curve) ? curve : edgeDefaults.curve,
+    markerEnd: edge.markerEnd ? 'arrow' : 'none',
+    animated: Boolean(edge.animated),
+    ...(edgeKindStyles[edge.data?.kind] || {}),
+    ...(edge.data?.styleOverrides || {}),
+  };
+};
+
+/**
+ * SVG stroke-dasharray for a stroke style, scaled with the stroke width
+ * @param {string} strokeStyle - solid, dashed or dotted
+ * @param {number} strokeWidth - Stroke width in px
+ * @returns {string|undefined} Dash array, undefined for solid lines
+ */
+export const getDashArray = (strokeStyle, strokeWidth = 1) => {
+  if (strokeStyle === 'dashed') return `${strokeWidth * 6} ${strokeWidth * 4}`;
+  if (strokeStyle === 'dotted') return `${strokeWidth} ${strokeWidth * 3}`;
+  return undefined;
+};
+
+/**
+ * Check if an edge needs StyledEdge: it has style overrides or isn't a plain arrow
+ * @param {Object} edge - ReactFlow edge
+ * @returns {boolean} True if styled
+ */
+export const hasEdgeStyle = (edge) => Object.keys(edge.data?.styleOverrides || {}).length > 0
+  || Object.keys(edgeKindStyles[edge.data?.kind] || {}).length > 0;
+
+export default edgeDefaults;
@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Custom hook for a floating panel the user can drag by its header
+ * The panel stays inside its parent element
+ * @param {Object} options
+ * @param {Object} options.defaultPosition - CSS position before the first drag (default: top right)
+ * @returns {Object} { panelRef, isDragging, positionStyle, handleMouseDown }
+ */
+export function useDraggablePanel({ defaultPosition = { right: 10, top: 60 } } = {}) {
+  const [position, setPosition] = useState({ x: null, y: null });
+  const [isDragging, setIsDragging] = useState(false);
+  const dragOffset = useRef({ x: 0, y: 0 });
+  const panelRef = useRef(null);
+
+  const handleMouseDown = useCallback((e) => {
+    setIsDragging(true);
+    const rect = panelRef.current.getBoundingClientRect();
+    dragOffset.current = {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top,
+    };
+    e.preventDefault();
+  }, []);
+
+  const handleMouseMove = useCallback((e) => {
+    if (!isDragging) return;
+    const parent = panelRef.current.parentElement;
+    const parentRect = parent.getBoundingClientRect();
+
+    let newX = e.clientX - parentRect.left - dragOffset.current.x;
+    let newY = e.clientY - parentRect.top - dragOffset.current.y;
+
+    // Keep within bounds
+    const panelRect = panelRef.current.getBoundingClientRect();
+    newX = Math.max(0, Math.min(newX, parentRect.width - panelRect.width));
+    newY = Math.max(0, Math.min(newY, parentRect.height - panelRect.height));
+
+    setPosition({ x: newX, y: newY });
+  }, [isDragging]);
+
+  const handleMouseUp = useCallback(() => {
+    setIsDragging(false);
+  }, []);
+
+  // Add global mouse listeners when dragging
+  useEffect(() => {
+    if (isDragging) {
+      window.addEventListener('mousemove', handleMouseMove);
+      window.addEventListener('mouseup', handleMouseUp);
+      return () => {
+        window.removeEventListener('mousemove', handleMouseMove);
+        window.removeEventListener('mouseup', handleMouseUp);
+      };
+    }
+  }, [isDragging, handleMouseMove, handleMouseUp]);
+
+  const positionStyle = position.x !== null
+    ? { left: position.x, top: position.y, right: 'auto' }
+    : defaultPosition;
+
+  return { panelRef, isDragging, positionStyle, handleMouseDown };
+}
@@ -0,0 +1,77 @@
+import { useRef, useCallback } from 'react';
+
+/**
+ * Custom hook for an undo/redo stack of snapshots
+ * The caller decides what a snapshot contains; the hook only stores them.
+ * @param {Object} options
+ * @param {Function} options.getSnapshot - Returns the current state to store
+ * @param {Function} options.applySnapshot - Restores a previously stored state
+ * @param {number} options.limit - Maximum number of undo steps (default: 100)
+ * @param {number} options.coalesceMs - Window in which records with the same group key merge (default: 1000)
+ * @returns {Object} { recordSnapshot, undo, redo, canUndo, canRedo }
+ */
+export function useHistory({
+  getSnapshot,
+  applySnapshot,
+  limit = 100,
+  coalesceMs = 1000,
+}) {
+  const undoStackRef = useRef([]);
+  const redoStackRef = useRef([]);
+  const lastRecordRef = useRef({ groupKey: null, time: 0 });
+
+  // Keep the latest callbacks so the returned functions stay stable
+  const getSnapshotRef = useRef(getSnapshot);
+  const applySnapshotRef = useRef(applySnapshot);
+  getSnapshotRef.current = getSnapshot;
+  applySnapshotRef.current = applySnapshot;
+
+  /**
+   * Store the current state as an undo step
+   * Consecutive records with the same group key (e.g. one slider drag)
+   * collapse into the first one
+   * @param {string|null} groupKey - Optional key for coalescing
+   */
+  const recordSnapshot = useCallback((groupKey = null) => {
+    const now = Date.now();
+    const last = lastRecordRef.current;
+    lastRecordRef.current = { groupKey, time: now };
+
+    if (groupKey && last.groupKey === groupKey && now - last.time < coalesceMs) {
+      return;
+    }
+
+    undoStackRef.current.push(getSnapshotRef.current());
+    if (undoStackRef.current.length > limit) {
+      undoStackRef.current.shift();
+    }
+    redoStackRef.current = [];
+  }, [limit, coalesceMs]);
+
+  const undo = useCallback(() => {
+    const snapshot = undoStackRef.current.pop();
+    if (!snapshot) return false;
+
+    redoStackRef.current.push(getSnapshotRef.current());
+    lastRecordRef.current = { groupKey: null, time: 0 };
+    applySnapshotRef.current(snapshot);
+    return true;
+  }, []);
+
+  const redo = useCallback(() => {
+    const snapshot = redoStackRef.current.pop();
+    if (!snapshot) return false;
+
+    undoStackRef.current.push(getSnapshotRef.current());
+    lastRecordRef.current = { groupKey: null, time: 0 };
+    applySnapshotRef.current(snapshot);
+    return true;
+  }, []);
+
+  const canUndo = useCallback(() => undoStackRef.current.length > 0, []);
+  const canRedo = useCallback(() => redoStackRef.current.length > 0, []);
+
+  return { recordSnapshot, undo, redo, canUndo, canRedo };
+}
+
+export default useHistory;
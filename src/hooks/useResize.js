@@ -11,6 +11,7 @@ import { useState, useCallback } from 'react';
  * @param {number} options.minFontSize - Minimum font size (default: 8)
  * @param {number} options.maxFontSize - Maximum font size (default: 24)
  * @param {Function} options.onStyleChange - Callback to update styles
+ * @param {Function} options.onResizeStart - Callback fired once when a resize begins (optional)
  * @param {boolean} options.uniformScale - Whether to scale uniformly (default: true)
  * @returns {Object} { isResizing, handleResizeStart }
  */
@@ -23,6 +24,7 @@ export function useResize({
   minFontSize = 8,
   maxFontSize = 24,
   onStyleChange,
+  onResizeStart,
   uniformScale = true,
 }) {
   const [isResizing, setIsResizing] = useState(false);
@@ -30,6 +32,9 @@ export function useResize({
   const handleResizeStart = useCallback((e) => {
     e.stopPropagation();
     setIsResizing(true);
+    if (onResizeStart) {
+      onResizeStart(nodeId);
+    }
 
     const startX = e.clientX;
     const startY = e.clientY;
@@ -77,7 +82,7 @@ export function useResize({
 
     document.addEventListener('mousemove', handleMouseMove);
     document.addEventListener('mouseup', handleMouseUp);
-  }, [nodeId, initialWidth, initialHeight, initialFontSize, minSize, minFontSize, maxFontSize, onStyleChange, uniformScale]);
+  }, [nodeId, initialWidth, initialHeight, initialFontSize, minSize, minFontSize, maxFontSize, onStyleChange, onResizeStart, uniformScale]);
 
   return { isResizing, handleResizeStart };
 }
@@ -20,11 +20,14 @@ const BaseNode = ({
   const styleOverrides = data.styleOverrides || {};
   const nodeStyle = { ...defaultStyle, ...styleOverrides };
 
+  // Display label is separate from the stable node ID (changed by =rename)
+  const label = data.label ?? id;
+
   const [isEditing, setIsEditing] = useState(false);
-  const [editedLabel, setEditedLabel] = useState(id);
+  const [editedLabel, setEditedLabel] = useState(label);
 
   // Calculate size (allow shapes to override)
-  const estimatedSize = calculateSize ? calculateSize(id, nodeStyle) : null;
+  const estimatedSize = calculateSize ? calculateSize(label, nodeStyle) : null;
 
   const { isResizing, handleResizeStart } = useResize({
     nodeId: id,
@@ -33,13 +36,14 @@ const BaseNode = ({
     initialFontSize: parseFloat(nodeStyle.fontSize) || 11,
     minSize: estimatedSize?.minSize || 40,
     onStyleChange: data.onStyleChange,
+    onResizeStart: data.onResizeStart,
     uniformScale,
   });
 
   const handleDoubleClick = (e) => {
     e.stopPropagation();
     setIsEditing(true);
-    setEditedLabel(data.label);
+    setEditedLabel(label);
   };
 
   const handleLabelChange = (e) => {
@@ -47,7 +51,7 @@ const BaseNode = ({
   };
 
   const handleLabelSubmit = () => {
-    if (editedLabel.trim() && data.onLabelChange) {
+    if (editedLabel.trim() && editedLabel.trim() !== label && data.onLabelChange) {
       data.onLabelChange(id, editedLabel.trim());
     }
     setIsEditing(false);
@@ -59,7 +63,7 @@ const BaseNode = ({
       handleLabelSubmit();
     } else if (e.key === 'Escape') {
       setIsEditing(false);
-      setEditedLabel(id);
+      setEditedLabel(label);
     }
   };
 
@@ -73,6 +77,8 @@ const BaseNode = ({
         zIndex: 1,
         whiteSpace: 'pre-wrap',
         fontSize: nodeStyle.fontSize,
+        fontWeight: nodeStyle.fontWeight,
+        color: nodeStyle.color,
         ...labelStyle,
       }}
     >
@@ -98,7 +104,7 @@ const BaseNode = ({
           className="nodrag"
         />
       ) : (
-        id
+        label
       )}
     </div>
   );
@@ -107,6 +113,7 @@ const BaseNode = ({
   const renderSelection = () => (
     selected && (
       <div
+        className="trustquery-diagram-node-ui"
         style={{
           position: 'absolute',
           top: -6,
@@ -150,6 +157,7 @@ const BaseNode = ({
   const renderStyleInspector = () => (
     selected && data.onOpenStyleInspector && (
       <div
+        className="trustquery-diagram-node-ui"
         onClick={(e) => {
           e.stopPropagation();
           data.onOpenStyleInspector();
@@ -185,6 +193,7 @@ const BaseNode = ({
   const renderNodeNumber = () => (
     data.nodeNumber != null && (
       <div
+        className="trustquery-diagram-node-ui"
         style={{
           position: 'absolute',
           top: 4,
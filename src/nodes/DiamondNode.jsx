@@ -25,6 +25,9 @@ const DiamondNode = ({ data, selected, style = {}, id }) => {
         const backgroundColor = nodeStyle.background;
         const borderColor = nodeStyle.border?.split(' ')[2] || '#1a192b';
         const borderWidth = nodeStyle.border?.split(' ')[0] || '1px';
+        const borderStyle = nodeStyle.border?.split(' ')[1] || 'solid';
+        const strokeDasharray = { dashed: '6 4', dotted: '1 3' }[borderStyle];
+        const hasShadow = nodeStyle.boxShadow && nodeStyle.boxShadow !== 'none';
 
         // Container needs explicit dimensions for SVG to render
         const containerStyle = {
@@ -34,6 +37,7 @@ const DiamondNode = ({ data, selected, style = {}, id }) => {
           display: 'flex',
           alignItems: 'center',
           justifyContent: 'center',
+          opacity: nodeStyle.opacity,
         };
 
         return (
@@ -53,13 +57,17 @@ const DiamondNode = ({ data, selected, style = {}, id }) => {
                 height: '100%',
                 pointerEvents: 'none',
                 zIndex: -1,
+                overflow: 'visible',
+                // box-shadow would draw a square, so shadows follow the diamond outline
+                filter: hasShadow ? `drop-shadow(${nodeStyle.boxShadow})` : undefined,
               }}
             >
               <polygon
                 points="50,0 100,50 50,100 0,50"
                 fill={backgroundColor}
-                stroke={borderColor}
+                stroke={borderStyle === 'none' ? 'none' : borderColor}
                 strokeWidth={borderWidth}
+                strokeDasharray={strokeDasharray}
                 vectorEffect="non-scaling-stroke"
               />
             </svg>
@@ -0,0 +1,46 @@
+import React from 'react';
+import BaseNode from './BaseNode.jsx';
+
+/**
+ * GroupNode - Container drawn behind grouped nodes
+ * ReactFlow sizes the wrapper from node.style, the container fills it
+ */
+const GroupNode = ({ data, selected, id }) => {
+  return (
+    <BaseNode
+      id={id}
+      data={data}
+      selected={selected}
+      nodeType="group"
+      renderShape={({ nodeStyle, renderLabel, renderStyleInspector, renderHandles }) => (
+        <>
+          {renderStyleInspector()}
+
+          <div
+            className="node-content trustquery-diagram-group"
+            style={{
+              ...nodeStyle,
+              width: '100%',
+              height: '100%',
+              boxSizing: 'border-box',
+              position: 'relative',
+              outline: selected ? '2px solid #2196F3' : 'none',
+              outlineOffset: '2px',
+            }}
+          >
+            {renderLabel({
+              position: 'absolute',
+              top: 6,
+              left: 10,
+              textAlign: 'left',
+            })}
+          </div>
+
+          {renderHandles()}
+        </>
+      )}
+    />
+  );
+};
+
+export default GroupNode;
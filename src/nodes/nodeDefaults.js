@@ -65,6 +65,16 @@ export const nodeDefaults = {
     minHeight: '100px',
     whiteSpace: 'nowrap',
   },
+
+  // Container for grouped nodes; its size comes from the children (see GroupLayout)
+  group: {
+    borderRadius: '6px',
+    border: '1px dashed #90a4ae',
+    background: 'rgba(236,239,241,0.5)',
+    fontSize: '11px',
+    fontWeight: '600',
+    color: '#455a64',
+  },
 };
 
 export default nodeDefaults;
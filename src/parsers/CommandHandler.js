@@ -1,14 +1,29 @@
+import { StyleParser } from './StyleParser.js';
+import { EdgeStyleParser } from './EdgeStyleParser.js';
+import { EdgeSyntaxParser } from './EdgeSyntaxParser.js';
+import { EdgeBuilder } from './EdgeBuilder.js';
+import { nodeDefaults } from '../nodes/nodeDefaults.js';
+
 /**
  * CommandHandler - Handles special commands
- * Commands are non-persistent and consumed after execution
+ * Commands are non-persistent and consumed after execution, except
+ * structural commands (=delete, =rename) which SyntaxManager replays in order
+ * on every parse so their effect survives re-parsing the history
  *
  * Supported commands:
  * - @node_id - Opens style inspector for the specified node (by ID)
  * - @:number - Opens style inspector for the specified node (by node number)
- * - @node_id fill:#color border:#color - Apply styles directly (future)
- * - =rename(oldId, newLabel) - Rename a node
+ * - @node_id fill:#color border:dashed text:white shape:circle - Apply styles directly (see StyleParser)
+ * - @a->b - Opens the edge inspector for the edge(s) from a to b
+ * - @a->b stroke:red dash:dashed end:diamond - Style edges directly (see EdgeStyleParser)
+ * - =rename(nodeId, newLabel) - Change a node's display label (structural, ID stays the same)
  * - =layout(decision) - Apply decision layout
  * - =layout(tree) - Apply tree layout
+ * - =layout(grid, columns) - Apply grid layout (columns optional)
+ * - =layout(circle, radial) - Apply circle layout (radial variant optional)
+ * - =layout(flow, LR) - Apply layered dagre layout (TB, LR, BT or RL; alias: dagre)
+ * - =delete(nodeId), =delete(:N), =delete(a->b) - Remove nodes/edges (structural)
+ * - =group(name, a, b) - Put existing nodes into a group (structural)
  */
 export class CommandHandler {
   constructor() {
@@ -17,6 +32,29 @@ export class CommandHandler {
 
     // Regex to match =commands with parentheses: =command(args)
     this.equalsCommandPattern = /^=(\w+)\s*\(([^)]*)\)$/;
+
+    // Start of the key:value parameters after an edge expression (@a -> b stroke:red)
+    // The key touches its colon, so an edge label (@a -> b : yes stroke:red) isn't a parameter
+    this.edgeParamsPattern = /\s[\w-]+:/;
+
+    this.styleParser = new StyleParser();
+    this.edgeStyleParser = new EdgeStyleParser();
+    this.edgeSyntaxParser = new EdgeSyntaxParser();
+
+    // =commands detectCommand understands
+    this.equalsCommands = ['rename', 'layout', 'delete', 'group'];
+
+    // Commands that change the parsed structure and stay in the line stream
+    this.structuralCommands = ['delete', 'rename', 'group'];
+  }
+
+  /**
+   * Check if a command is structural (applied by the parser, in order)
+   * @param {Object} command - Command object
+   * @returns {boolean} True if structural
+   */
+  isStructural(command) {
+    return this.structuralCommands.includes(command.type);
   }
 
   /**
@@ -37,16 +75,33 @@ export class CommandHandler {
       const args = argsString.split(',').map(arg => arg.trim());
 
       if (commandName === 'rename') {
+        // Labels may contain commas: everything after the first one is the label, spacing included
+        const comma = this.findArgumentSeparator(argsString);
         return {
           type: 'rename',
-          oldId: args[0],
-          newLabel: args[1] || '',
+          oldId: (comma === -1 ? argsString : argsString.substring(0, comma)).trim(),
+          newLabel: comma === -1 ? '' : argsString.substring(comma + 1).trim(),
           rawCommand: trimmed,
         };
       } else if (commandName === 'layout') {
+        const layoutType = args[0] || 'tree';
         return {
           type: 'layout',
-          layoutType: args[0] || 'tree',
+          layoutType,
+          layoutOptions: this.parseLayoutOptions(layoutType, args.slice(1)),
+          rawCommand: trimmed,
+        };
+      } else if (commandName === 'delete') {
+        return {
+          type: 'delete',
+          targets: args.filter(Boolean),
+          rawCommand: trimmed,
+        };
+      } else if (commandName === 'group') {
+        return {
+          type: 'group',
+          groupName: args[0],
+          members: args.slice(1).filter(Boolean),
           rawCommand: trimmed,
         };
       }
@@ -55,6 +110,19 @@ export class CommandHandler {
     // Check for @commands (e.g., @node_id)
     const atMatch = trimmed.match(this.atCommandPattern);
     if (atMatch) {
+      // An edge expression (@a->b, @a -label-> b) targets edges instead of a node
+      const body = trimmed.substring(1);
+      const paramsIndex = body.search(this.edgeParamsPattern);
+      const target = (paramsIndex === -1 ? body : body.substring(0, paramsIndex)).trim();
+      if (this.edgeSyntaxParser.findArrows(target).length > 0) {
+        return {
+          type: 'styleEdge',
+          target,
+          params: paramsIndex === -1 ? '' : body.substring(paramsIndex).trim(),
+          rawCommand: trimmed,
+        };
+      }
+
       const nodeId = atMatch[1];
       const params = atMatch[2].trim();
 
@@ -69,6 +137,26 @@ export class CommandHandler {
     return null;
   }
 
+  /**
+   * Find the first comma between =command arguments (not inside quotes)
+   * @param {string} argsString - Text between the parentheses
+   * @returns {number} Position of the comma, or -1
+   */
+  findArgumentSeparator(argsString) {
+    let inQuotes = false;
+    for (let index = 0; index < argsString.length; index++) {
+      const char = argsString[index];
+      if (char === '\\') {
+        index++;
+      } else if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === ',' && !inQuotes) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
   /**
    * Extract command from input and return cleaned input
    * @param {string} input - Input text
@@ -81,8 +169,13 @@ export class CommandHandler {
 
     lines.forEach(line => {
       const command = this.detectCommand(line);
-      if (command) {
+      if (command && this.isStructural(command)) {
+        // Keep structural commands in place so the parser applies them in order
+        cleanedLines.push(line);
+      } else if (command) {
+        // A blank line keeps the line numbers of the rest of the input
         commands.push(command);
+        cleanedLines.push('');
       } else {
         cleanedLines.push(line);
       }
@@ -95,24 +188,49 @@ export class CommandHandler {
   }
 
   /**
-   * Parse command parameters for future style application
-   * Example: "fill:#ff0000 border:#000000"
+   * Parse style parameters of an @node command
+   * Example: "fill:#ff0000 border:dashed text:white shape:circle"
    * @param {string} params - Parameter string
-   * @returns {Object} Parsed parameters
+   * @param {Object} currentStyle - The node's current merged style (optional)
+   * @returns {Object} {styles: Object, type: string|null, errors: Array<string>}
    */
-  parseStyleParams(params) {
-    const styles = {};
+  parseStyleParams(params, currentStyle = {}) {
+    return this.styleParser.parse(params, currentStyle);
+  }
 
-    // Match patterns like: fill:#color, border:#color, etc.
-    const fillMatch = params.match(/fill:\s*([#\w]+)/);
-    const borderMatch = params.match(/border:\s*([#\w]+)/);
-    const widthMatch = params.match(/width:\s*(\d+)/);
+  /**
+   * Parse style parameters of an @a->b command
+   * Example: "stroke:red width:2 dash:dashed end:diamond"
+   * @param {string} params - Parameter string
+   * @returns {Object} {styles: Object, errors: Array<string>}
+   */
+  parseEdgeStyleParams(params) {
+    return this.edgeStyleParser.parse(params);
+  }
 
-    if (fillMatch) styles.backgroundColor = fillMatch[1];
-    if (borderMatch) styles.borderColor = borderMatch[1];
-    if (widthMatch) styles.borderWidth = parseInt(widthMatch[1]);
+  /**
+   * Parse the extra positional arguments of a layout command
+   * Example: =layout(grid, 3) -> { columns: 3 }
+   * @param {string} layoutType - Layout type (first argument)
+   * @param {Array} args - Remaining arguments
+   * @returns {Object} Layout options
+   */
+  parseLayoutOptions(layoutType, args) {
+    const options = {};
+    const [first] = args.filter(Boolean);
+
+    if (!first) return options;
+
+    if (layoutType === 'grid') {
+      const columns = parseInt(first, 10);
+      if (!isNaN(columns) && columns > 0) options.columns = columns;
+    } else if (layoutType === 'circle') {
+      options.mode = first.toLowerCase() === 'radial' ? 'radial' : 'circle';
+    } else if (layoutType === 'flow' || layoutType === 'dagre') {
+      options.direction = first.toUpperCase();
+    }
 
-    return styles;
+    return options;
   }
 
   /**
@@ -130,35 +248,77 @@ export class CommandHandler {
       }
     }
 
-    // Case-insensitive matching by node ID
+    // Case-insensitive matching by node ID, then by display label
     const lowerNodeId = nodeId.toLowerCase();
     return nodes.find(node =>
       node.id.toLowerCase() === lowerNodeId
+    ) || nodes.find(node =>
+      typeof node.data?.label === 'string' && node.data.label.toLowerCase() === lowerNodeId
     );
   }
 
+  /**
+   * Find the edges an edge expression refers to
+   * Follows the arrow direction (<-> and -- match both ways); a labelled arrow
+   * (a -yes-> b) only matches edges with that label
+   * @param {string} expression - Edge expression, e.g. "a->b" or ":1 <- :2"
+   * @param {Array} nodes - Array of existing nodes
+   * @param {Array} edges - Array of existing edges
+   * @returns {Array} Matching edges (empty if a node or edge doesn't exist)
+   */
+  findEdges(expression, nodes, edges) {
+    const { nodeLabels, arrows } = this.edgeSyntaxParser.parseLine(expression);
+    const unquote = (ref) => (ref || '').trim().replace(/^"(.*)"$/s, '$1');
+    const found = [];
+
+    arrows.forEach((arrow, i) => {
+      const source = this.findNode(unquote(nodeLabels[i]), nodes);
+      const target = this.findNode(unquote(nodeLabels[i + 1]), nodes);
+      if (!source || !target) return;
+
+      const matches = (from, to) => edges.filter(edge =>
+        EdgeBuilder.connects({ ...edge, kind: edge.kind || edge.data?.kind }, from.id, to.id) &&
+        (!arrow.edgeLabel || unquote(arrow.edgeLabel).toLowerCase() === String(edge.label || '').toLowerCase())
+      );
+
+      if (arrow.direction !== 'backward') {
+        found.push(...matches(source, target));
+      }
+      if (arrow.direction === 'backward' || arrow.direction === 'bidirectional' || arrow.direction === 'undirected') {
+        found.push(...matches(target, source));
+      }
+    });
+
+    // A bidirectional or undirected edge matches both ways
+    return [...new Set(found)];
+  }
+
   /**
    * Execute a command
    * @param {Object} command - Command object
    * @param {Array} nodes - Array of existing nodes
    * @param {Object} callbacks - Callback functions
+   * @param {Array} edges - Array of existing edges (for @a->b commands)
    * @returns {boolean} True if command executed successfully
    */
-  executeCommand(command, nodes, callbacks = {}) {
-    const { onOpenStyleInspector, onSelectNode, onError, onApplyStyle, onRenameNode, onApplyLayout } = callbacks;
+  executeCommand(command, nodes, callbacks = {}, edges = []) {
+    const {
+      onOpenStyleInspector, onSelectNode, onError, onApplyStyle, onChangeNodeType, onApplyLayout,
+      onApplyEdgeStyle, onOpenEdgeInspector,
+    } = callbacks;
 
     console.log(`[CommandHandler] Executing command:`, command);
 
     // Handle different command types
     switch (command.type) {
-      case 'rename':
-        return this.executeRenameCommand(command, nodes, { onRenameNode, onError });
-
       case 'layout':
         return this.executeLayoutCommand(command, nodes, { onApplyLayout, onError });
 
       case 'openStyleInspector':
-        return this.executeStyleInspectorCommand(command, nodes, { onOpenStyleInspector, onSelectNode, onApplyStyle, onError });
+        return this.executeStyleInspectorCommand(command, nodes, { onOpenStyleInspector, onSelectNode, onApplyStyle, onChangeNodeType, onError });
+
+      case 'styleEdge':
+        return this.executeEdgeStyleCommand(command, nodes, edges, { onApplyEdgeStyle, onOpenEdgeInspector, onError });
 
       default:
         console.error(`[CommandHandler] Unknown command type: ${command.type}`);
@@ -166,39 +326,6 @@ export class CommandHandler {
     }
   }
 
-  /**
-   * Execute rename command
-   */
-  executeRenameCommand(command, nodes, callbacks = {}) {
-    const { onRenameNode, onError } = callbacks;
-
-    // Find the node
-    const node = this.findNode(command.oldId, nodes);
-
-    if (!node) {
-      if (onError) {
-        onError(`Node '${command.oldId}' not found`);
-      }
-      console.error(`[CommandHandler] Node '${command.oldId}' not found`);
-      return false;
-    }
-
-    if (!command.newLabel) {
-      if (onError) {
-        onError(`New label is required for rename command`);
-      }
-      return false;
-    }
-
-    console.log(`[CommandHandler] Renaming node '${node.id}' to '${command.newLabel}'`);
-
-    if (onRenameNode) {
-      onRenameNode(node.id, command.newLabel);
-    }
-
-    return true;
-  }
-
   /**
    * Execute layout command
    */
@@ -208,7 +335,7 @@ export class CommandHandler {
     console.log(`[CommandHandler] Applying layout: ${command.layoutType}`);
 
     if (onApplyLayout) {
-      onApplyLayout(command.layoutType, nodes);
+      onApplyLayout(command.layoutType, nodes, command.layoutOptions || {});
     }
 
     return true;
@@ -218,7 +345,7 @@ export class CommandHandler {
    * Execute style inspector command
    */
   executeStyleInspectorCommand(command, nodes, callbacks = {}) {
-    const { onOpenStyleInspector, onSelectNode, onApplyStyle, onError } = callbacks;
+    const { onOpenStyleInspector, onSelectNode, onApplyStyle, onChangeNodeType, onError } = callbacks;
 
     // Find the node
     const node = this.findNode(command.nodeId, nodes);
@@ -239,13 +366,29 @@ export class CommandHandler {
       onSelectNode(node);
     }
 
-    // Check if there are style parameters
-    if (command.params && onApplyStyle) {
-      const styles = this.parseStyleParams(command.params);
-      if (Object.keys(styles).length > 0) {
+    // With style parameters, apply them directly instead of opening the inspector
+    if (command.params) {
+      const currentStyle = {
+        ...(nodeDefaults[node.type] || nodeDefaults.rectangle),
+        ...(node.data?.styleOverrides || {}),
+      };
+      const { styles, type, errors } = this.parseStyleParams(command.params, currentStyle);
+
+      if (errors.length > 0 && onError) {
+        onError(`${command.rawCommand}: ${errors.join('; ')}`);
+      }
+
+      if (type && type !== node.type && onChangeNodeType) {
+        onChangeNodeType(node.id, type);
+        console.log(`[CommandHandler] Changed shape of ${node.id} to ${type}`);
+      }
+
+      if (Object.keys(styles).length > 0 && onApplyStyle) {
         onApplyStyle(node.id, styles);
         console.log(`[CommandHandler] Applied styles to ${node.id}:`, styles);
       }
+
+      return errors.length === 0;
     }
 
     // Open style inspector
@@ -255,4 +398,44 @@ export class CommandHandler {
 
     return true;
   }
+
+  /**
+   * Execute edge style command
+   */
+  executeEdgeStyleCommand(command, nodes, edges, callbacks = {}) {
+    const { onApplyEdgeStyle, onOpenEdgeInspector, onError } = callbacks;
+
+    const matchedEdges = this.findEdges(command.target, nodes, edges);
+
+    if (matchedEdges.length === 0) {
+      if (onError) {
+        onError(`Edge '${command.target}' not found`);
+      }
+      console.error(`[CommandHandler] Edge '${command.target}' not found`);
+      return false;
+    }
+
+    // Without parameters, open the edge inspector for the first match
+    if (!command.params) {
+      if (onOpenEdgeInspector) {
+        onOpenEdgeInspector(matchedEdges[0]);
+      }
+      return true;
+    }
+
+    const { styles, errors } = this.parseEdgeStyleParams(command.params);
+
+    if (errors.length > 0 && onError) {
+      onError(`${command.rawCommand}: ${errors.join('; ')}`);
+    }
+
+    if (Object.keys(styles).length > 0 && onApplyEdgeStyle) {
+      matchedEdges.forEach(edge => {
+        onApplyEdgeStyle(edge.id, styles);
+        console.log(`[CommandHandler] Applied styles to edge ${edge.id}:`, styles);
+      });
+    }
+
+    return errors.length === 0;
+  }
 }
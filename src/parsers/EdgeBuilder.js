@@ -1,10 +1,16 @@
+// Edge kinds without a direction: a->b and b->a both refer to them
+const SYMMETRIC_KINDS = ['bidirectional', 'undirected'];
+
 /**
  * EdgeBuilder - Creates and manages edges
- * Handles edge creation based on arrow directions
+ * Handles edge creation based on arrow directions; each edge records the
+ * kind of arrow that created it (arrow, bidirectional, undirected, dotted,
+ * thick, circle, cross) so the renderer can draw it (see edgeDefaults)
  */
 export class EdgeBuilder {
   constructor() {
     this.edges = [];
+    this.edgeCounter = 0; // Keeps edge IDs stable when edges are removed
   }
 
   /**
@@ -12,13 +18,15 @@ export class EdgeBuilder {
    * @param {string} source - Source node ID
    * @param {string} target - Target node ID
    * @param {string} label - Edge label (optional)
+   * @param {string} kind - Edge kind (default: arrow)
    */
-  createEdge(source, target, label = null) {
+  createEdge(source, target, label = null, kind = 'arrow') {
     this.edges.push({
-      id: `${source}-${target}-${this.edges.length}`,
+      id: `${source}-${target}-${this.edgeCounter++}`,
       source,
       target,
       label,
+      kind,
     });
   }
 
@@ -35,20 +43,63 @@ export class EdgeBuilder {
 
       if (!sourceName || !targetName) continue;
 
-      if (arrow.direction === 'forward') {
-        this.createEdge(sourceName, targetName, arrow.edgeLabel);
-        console.log(`[EdgeBuilder] Created edge: ${sourceName} -> ${targetName}${arrow.edgeLabel ? ` (${arrow.edgeLabel})` : ''}`);
-      } else if (arrow.direction === 'backward') {
-        this.createEdge(targetName, sourceName, arrow.edgeLabel);
-        console.log(`[EdgeBuilder] Created edge: ${targetName} <- ${sourceName}${arrow.edgeLabel ? ` (${arrow.edgeLabel})` : ''}`);
-      } else if (arrow.direction === 'bidirectional') {
-        this.createEdge(sourceName, targetName, arrow.edgeLabel);
-        this.createEdge(targetName, sourceName, arrow.edgeLabel);
-        console.log(`[EdgeBuilder] Created bidirectional edge: ${sourceName} <-> ${targetName}${arrow.edgeLabel ? ` (${arrow.edgeLabel})` : ''}`);
+      const { direction, edgeLabel, kind = 'arrow' } = arrow;
+      const labelText = edgeLabel ? ` (${edgeLabel})` : '';
+
+      if (direction === 'backward') {
+        this.createEdge(targetName, sourceName, edgeLabel, kind);
+        console.log(`[EdgeBuilder] Created edge: ${targetName} <- ${sourceName}${labelText}`);
+      } else {
+        // Forward, bidirectional (one edge with two markers) and undirected edges run left to right
+        this.createEdge(sourceName, targetName, edgeLabel, kind);
+        console.log(`[EdgeBuilder] Created ${kind} edge: ${sourceName} ${arrow.raw} ${targetName}${labelText}`);
       }
     }
   }
 
+  /**
+   * Check if an edge connects source to target
+   * Bidirectional and undirected edges connect their nodes both ways
+   * @param {Object} edge - Edge object
+   * @param {string} source - Source node ID
+   * @param {string} target - Target node ID
+   * @returns {boolean} True if the edge connects them
+   */
+  static connects(edge, source, target) {
+    return (edge.source === source && edge.target === target) ||
+      (SYMMETRIC_KINDS.includes(edge.kind) && edge.source === target && edge.target === source);
+  }
+
+  /**
+   * Remove edges from source to target
+   * @param {string} source - Source node ID
+   * @param {string} target - Target node ID
+   * @param {string} label - Only remove edges with this label (optional)
+   * @returns {number} Number of removed edges
+   */
+  removeEdgesBetween(source, target, label = null) {
+    const before = this.edges.length;
+    this.edges = this.edges.filter(edge =>
+      !(EdgeBuilder.connects(edge, source, target) && (label === null || edge.label === label))
+    );
+    const removed = before - this.edges.length;
+    console.log(`[EdgeBuilder] Removed ${removed} edge(s): ${source} -> ${target}${label ? ` (${label})` : ''}`);
+    return removed;
+  }
+
+  /**
+   * Remove all edges connected to a node
+   * @param {string} nodeId - Node ID
+   * @returns {number} Number of removed edges
+   */
+  removeEdgesForNode(nodeId) {
+    const before = this.edges.length;
+    this.edges = this.edges.filter(edge => edge.source !== nodeId && edge.target !== nodeId);
+    const removed = before - this.edges.length;
+    console.log(`[EdgeBuilder] Removed ${removed} edge(s) connected to ${nodeId}`);
+    return removed;
+  }
+
   /**
    * Get all edges
    * @returns {Array} Array of edge objects
@@ -62,5 +113,6 @@ export class EdgeBuilder {
    */
   clear() {
     this.edges = [];
+    this.edgeCounter = 0;
   }
 }
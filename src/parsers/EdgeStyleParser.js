@@ -0,0 +1,127 @@
+import { StyleParser } from './StyleParser.js';
+import { edgeStrokeStyles, edgeCurves, edgeMarkers, edgeLabelPositions } from '../edges/edgeDefaults.js';
+
+/**
+ * EdgeStyleParser - Parses the style mini-language of @a->b commands
+ * Produces style overrides keyed like edgeDefaults (stroke, strokeWidth,
+ * strokeStyle, curve, markerStart, markerEnd, animated, labelPosition)
+ *
+ * Syntax: @source->target key:value key:value ...
+ * - stroke:COLOR           Line color (alias: color)
+ * - width:N                Line width in px (alias: stroke-width)
+ * - dash:STYLE             solid, dashed or dotted (alias: stroke-style)
+ * - curve:TYPE             bezier, straight, step or smoothstep
+ * - start:MARKER           Marker at the source (alias: marker-start)
+ * - end:MARKER             Marker at the target (alias: marker-end)
+ * - animated:BOOL          true/false (also yes/no, on/off)
+ * - label:POSITION         start, center or end (alias: label-position)
+ *
+ * MARKER is arrow, open-arrow (alias: open), diamond, circle or none.
+ * COLOR accepts the same values as node styles (see StyleParser)
+ */
+export class EdgeStyleParser {
+  constructor() {
+    this.styleParser = new StyleParser();
+    this.paramPattern = this.styleParser.paramPattern;
+
+    this.aliases = {
+      stroke: 'stroke',
+      color: 'stroke',
+      width: 'strokeWidth',
+      'stroke-width': 'strokeWidth',
+      dash: 'strokeStyle',
+      'stroke-style': 'strokeStyle',
+      curve: 'curve',
+      start: 'markerStart',
+      'marker-start': 'markerStart',
+      end: 'markerEnd',
+      'marker-end': 'markerEnd',
+      animated: 'animated',
+      animate: 'animated',
+      label: 'labelPosition',
+      'label-position': 'labelPosition',
+    };
+
+    this.markerAliases = { open: 'open-arrow', 'open-arrow': 'open-arrow' };
+  }
+
+  /**
+   * Parse a style parameter string
+   * @param {string} params - e.g. "stroke:red width:2 dash:dashed end:diamond"
+   * @returns {Object} {styles: Object, errors: Array<string>}
+   */
+  parse(params) {
+    const styles = {};
+    const errors = [];
+
+    this.paramPattern.lastIndex = 0;
+    let match;
+
+    while ((match = this.paramPattern.exec(params)) !== null) {
+      const rawKey = match[1].toLowerCase();
+      const value = match[2].trim();
+      const lower = value.toLowerCase();
+      const key = this.aliases[rawKey];
+
+      if (!key) {
+        errors.push(`Unknown edge style property "${rawKey}"`);
+        continue;
+      }
+
+      switch (key) {
+        case 'stroke': {
+          const color = this.styleParser.parseColor(value);
+          if (color) styles.stroke = color;
+          else errors.push(`Invalid color "${value}" for ${rawKey}`);
+          break;
+        }
+
+        case 'strokeWidth': {
+          const width = this.styleParser.parseLength(value);
+          if (width !== null && width > 0) styles.strokeWidth = width;
+          else errors.push(`Invalid edge width "${value}"`);
+          break;
+        }
+
+        case 'strokeStyle':
+          if (edgeStrokeStyles.includes(lower)) styles.strokeStyle = lower;
+          else errors.push(`Invalid dash style "${value}" (use ${edgeStrokeStyles.join(', ')})`);
+          break;
+
+        case 'curve':
+          if (edgeCurves.includes(lower)) styles.curve = lower;
+          else errors.push(`Invalid curve "${value}" (use ${edgeCurves.join(', ')})`);
+          break;
+
+        case 'markerStart':
+        case 'markerEnd': {
+          const marker = this.markerAliases[lower] || lower;
+          if (edgeMarkers.includes(marker)) styles[key] = marker;
+          else errors.push(`Invalid marker "${value}" (use ${edgeMarkers.join(', ')})`);
+          break;
+        }
+
+        case 'animated':
+          if (['true', 'yes', 'on'].includes(lower)) styles.animated = true;
+          else if (['false', 'no', 'off'].includes(lower)) styles.animated = false;
+          else errors.push(`Invalid animated value "${value}" (use true or false)`);
+          break;
+
+        case 'labelPosition':
+          if (edgeLabelPositions.includes(lower)) styles.labelPosition = lower;
+          else errors.push(`Invalid label position "${value}" (use ${edgeLabelPositions.join(', ')})`);
+          break;
+      }
+    }
+
+    // Anything left over that isn't a key:value pair
+    const leftover = this.styleParser.stripMatches(params).trim();
+    if (leftover) {
+      errors.push(`Unrecognised style text "${leftover}" (expected key:value)`);
+    }
+
+    return { styles, errors };
+  }
+}
+
+export default EdgeStyleParser;
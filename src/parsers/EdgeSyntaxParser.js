@@ -1,100 +1,323 @@
 /**
- * EdgeSyntaxParser - Parses arrow syntax for edges
- * Handles: ->, <-, <->, and labeled arrows like -label->
+ * EdgeSyntaxParser - Tokenises edge statements into node labels and arrows
+ *
+ * Arrow tokens and the edge kind they create (see edgeDefaults.edgeKindStyles):
+ * - a->b, a-->b                   arrow
+ * - a<-b                          arrow from b to a
+ * - a<->b                         bidirectional: one edge with a marker at each end
+ * - a--b                          undirected: no markers
+ * - a-.->b                        dotted
+ * - a==>b                         thick
+ * - a--o b                        circle end
+ * - a--x b                        cross end
+ *
+ * Edge labels:
+ * - a -"re-try"-> b               quoted inline label (also <-"x"->, -."x".->, =="x"==>);
+ *                                 the quotes may touch the nodes: a-"re-try"->b
+ * - a -retry-> b                  unquoted inline label, needs a space before the arrow
+ *                                 so hyphenated names stay names: login-retry->home
+ *                                 is an edge from "login-retry" to "home"
+ * - a -> b : label                label after " : ", taken verbatim up to the end of
+ *                                 the line (single edges only)
+ *
+ * Escaping: a backslash makes the next character literal outside quotes
+ * (a\->b is one node named "a->b", a -> b \: c is a node named "b : c");
+ * inside quotes use \" for a quote. -- has no labelled form: a--b--c is a chain.
+ *
+ * Errors: an arrow touching more arrow characters on either side (a---b,
+ * a->>b, a <==> b, a =-> b) is an unknown arrow, and --o or --x touching a
+ * word (a--ob) is ambiguous; both are reported instead of becoming part of a
+ * node's name
  */
 export class EdgeSyntaxParser {
   constructor() {
-    // Arrow pattern matches: <-label->, <->, -label->, ->, <-
-    this.arrowPattern = /<-([^<>]+)->|<->|-([^-<>]+)->|->|<-/g;
+    // Arrows without a label, tried in order at each position after the
+    // labelled arrows (longer tokens first)
+    // Terminators (o, x) must not start a word: a --only is an edge to "only" (reported as ambiguous)
+    this.arrowTypes = [
+      { token: '<->', direction: 'bidirectional', kind: 'bidirectional' },
+      { token: '-.->', direction: 'forward', kind: 'dotted' },
+      { token: '==>', direction: 'forward', kind: 'thick' },
+      { token: '--o', direction: 'forward', kind: 'circle', terminator: true },
+      { token: '--x', direction: 'forward', kind: 'cross', terminator: true },
+      { token: '-->', direction: 'forward', kind: 'arrow' },
+      { token: '--', direction: 'undirected', kind: 'undirected' },
+      { token: '->', direction: 'forward', kind: 'arrow' },
+      { token: '<-', direction: 'backward', kind: 'arrow' },
+    ];
+
+    // Arrows with an inline label between an opening and a closing token
+    this.labelledArrowTypes = [
+      { open: '<-', close: '->', direction: 'bidirectional', kind: 'bidirectional' },
+      { open: '-.', close: '.->', direction: 'forward', kind: 'dotted' },
+      { open: '==', close: '==>', direction: 'forward', kind: 'thick' },
+      { open: '-', close: '->', direction: 'forward', kind: 'arrow' },
+    ];
+
+    // Quoted text as it reaches the parser: a QuotedStringParser placeholder or "..."
+    this.quotedPattern = /^(__QUOTED_\d+|"(?:[^"\\]|\\.)*")$/;
   }
 
   /**
    * Find all arrows in a line
    * @param {string} line - Line to parse
-   * @returns {Array} Array of arrow objects with {index, length, direction, edgeLabel, raw}
+   * @returns {Array} Array of arrow objects with {index, length, direction, kind, edgeLabel, raw}
    */
   findArrows(line) {
+    return this.tokenize(line).arrows;
+  }
+
+  /**
+   * Split a line into the text between arrows and the arrows themselves
+   * Escapes are resolved in the text; quoted text is kept as is
+   * @param {string} line - Line to parse
+   * @returns {Object} {segments: Array<string>, arrows: Array, trailingLabel: Object|null, errors: Array}
+   */
+  tokenize(line) {
+    const segments = [];
     const arrows = [];
-    let match;
-
-    // Reset regex lastIndex
-    this.arrowPattern.lastIndex = 0;
-
-    while ((match = this.arrowPattern.exec(line)) !== null) {
-      const arrowType = match[0];
-      let edgeLabel = null;
-      let direction = 'forward';
-
-      if (match[1]) {
-        // Bidirectional with label: <-label->
-        edgeLabel = match[1].trim();
-        direction = 'bidirectional';
-      } else if (match[2]) {
-        // Forward with label: -label->
-        edgeLabel = match[2].trim();
-        direction = 'forward';
-      } else if (arrowType === '<->') {
-        direction = 'bidirectional';
-      } else if (arrowType === '<-') {
-        direction = 'backward';
+    const errors = [];
+    let trailingLabel = null;
+    let text = '';
+    let literalLength = 0; // Length of text that came from escapes or quotes
+    let index = 0;
+
+    while (index < line.length) {
+      const char = line[index];
+
+      if (char === '\\') {
+        if (index + 1 < line.length) {
+          text += line[index + 1];
+        } else {
+          errors.push({ index, message: 'Nothing to escape after \\ at the end of the line' });
+        }
+        literalLength = text.length;
+        index += 2;
+        continue;
+      }
+
+      if (char === '"') {
+        const end = this.findClosingQuote(line, index);
+        if (end === -1) {
+          errors.push({ index, message: 'Missing closing quote' });
+          text += line.substring(index);
+          break;
+        }
+        text += line.substring(index, end + 1);
+        literalLength = text.length;
+        index = end + 1;
+        continue;
+      }
+
+      // " : " after the last node starts a label for the edge
+      if (char === ':' && arrows.length > 0 && /\S\s+$/.test(text)) {
+        trailingLabel = { index, text: line.substring(index + 1).trim() };
+        break;
       }
 
-      arrows.push({
-        index: match.index,
-        length: arrowType.length,
+      const arrow = this.matchArrowAt(line, index, text);
+      if (arrow) {
+        const taken = this.checkArrowEnds(line, arrow, text.substring(literalLength), errors);
+        segments.push(text.substring(0, text.length - taken));
+        arrows.push(arrow);
+        text = '';
+        literalLength = 0;
+        index = arrow.index + arrow.length;
+        continue;
+      }
+
+      text += char;
+      index++;
+    }
+    segments.push(text);
+
+    return { segments, arrows, trailingLabel, errors };
+  }
+
+  /**
+   * Match an arrow token starting exactly at a position
+   * @param {string} line - Line to parse
+   * @param {number} index - Position to try
+   * @param {string} precedingText - Text of the current node so far
+   * @returns {Object|null} Arrow object or null
+   */
+  matchArrowAt(line, index, precedingText = '') {
+    // Labelled arrows first, so a <-yes-> b isn't read as a <- "yes-> b"
+    for (const { open, close, direction, kind } of this.labelledArrowTypes) {
+      if (!line.startsWith(open, index)) continue;
+
+      const labelStart = index + open.length;
+      const labelEnd = this.findLabelEnd(line, labelStart, close);
+      if (labelEnd === -1) continue;
+
+      const rawLabel = line.substring(labelStart, labelEnd);
+      if (!this.quotedPattern.test(rawLabel.trim())) {
+        // Unquoted labels need a space before the arrow, and can't start with
+        // a space or another arrow character (a -- b -> c is a chain)
+        if (/\S$/.test(precedingText) || /^[\s.=-]/.test(rawLabel)) continue;
+      }
+
+      const length = labelEnd + close.length - index;
+      return {
+        index,
+        length,
         direction,
-        edgeLabel,
-        raw: arrowType
-      });
+        kind,
+        edgeLabel: this.unescape(rawLabel).trim() || null,
+        raw: line.substring(index, index + length),
+      };
     }
 
-    return arrows;
+    for (const { token, direction, kind, terminator } of this.arrowTypes) {
+      if (!line.startsWith(token, index)) continue;
+      if (terminator && /\w/.test(line[index + token.length] || '')) continue;
+
+      return { index, length: token.length, direction, kind, edgeLabel: null, raw: token };
+    }
+
+    return null;
   }
 
   /**
-   * Extract node labels between arrows
+   * Report what directly surrounds an arrow when it can't be part of a node name
+   * Arrow characters touching it are taken into the arrow, so a---b and a <==> b
+   * still link a and b
    * @param {string} line - Line to parse
-   * @param {Array} arrows - Array of arrow objects
-   * @returns {Array} Array of node labels
+   * @param {Object} arrow - Matched arrow (its index and length may change)
+   * @param {string} before - Text directly before the arrow, without escaped or quoted characters
+   * @param {Array} errors - Collects {index, message}
+   * @returns {number} Characters taken into the arrow from the end of before
    */
-  extractNodeLabels(line, arrows) {
-    if (arrows.length === 0) {
-      return [];
+  checkArrowEnds(line, arrow, before, errors) {
+    const end = arrow.index + arrow.length;
+    const leading = before.match(/[-<>=.]*$/)[0];
+    const trailing = line.substring(end).match(/^[-<>=.]*/)[0];
+    if (leading || trailing) {
+      const raw = leading + arrow.raw + trailing;
+      arrow.index -= leading.length;
+      arrow.length = raw.length;
+      arrow.raw = raw;
+      errors.push({ index: arrow.index, message: `Unknown arrow "${raw}"` });
+      return leading.length;
     }
 
-    const nodes = [];
-    let lastIndex = 0;
+    // a--ob: a circle end to "b", or an undirected edge to "ob"?
+    const word = arrow.kind === 'undirected' && line.substring(end).match(/^([ox])\w+/);
+    if (word) {
+      const kind = word[1] === 'o' ? 'circle' : 'cross';
+      errors.push({
+        index: arrow.index,
+        message: `Ambiguous "--${word[0]}": write --${word[1]} ${word[0].slice(1)} for a ${kind} end, or -- ${word[0]} for an edge to "${word[0]}"`,
+      });
+    }
+    return 0;
+  }
 
-    arrows.forEach((arrow, i) => {
-      // Get text before this arrow
-      const nodeLabel = line.substring(lastIndex, arrow.index).trim();
-      if (nodeLabel) {
-        nodes.push(nodeLabel);
-      }
+  /**
+   * Find where an inline label ends
+   * Quoted text and escaped characters are skipped; an unescaped < or >
+   * means this isn't a labelled arrow
+   * @param {string} line - Line to parse
+   * @param {number} start - Position after the opening token
+   * @param {string} close - Closing token
+   * @returns {number} Position of the closing token, or -1
+   */
+  findLabelEnd(line, start, close) {
+    let index = start;
+    while (index < line.length) {
+      if (line.startsWith(close, index) && index > start) return index;
 
-      // If this is the last arrow, get text after it
-      if (i === arrows.length - 1) {
-        const finalLabel = line.substring(arrow.index + arrow.length).trim();
-        if (finalLabel) {
-          nodes.push(finalLabel);
-        }
+      const char = line[index];
+      if (char === '\\') {
+        index += 2;
+      } else if (char === '"') {
+        const end = this.findClosingQuote(line, index);
+        if (end === -1) return -1;
+        index = end + 1;
+      } else if (char === '<' || char === '>') {
+        return -1;
+      } else {
+        index++;
       }
+    }
+    return -1;
+  }
 
-      lastIndex = arrow.index + arrow.length;
-    });
+  /**
+   * Find the quote closing the one at a position (\" doesn't close)
+   * @param {string} line - Line to parse
+   * @param {number} start - Position of the opening quote
+   * @returns {number} Position of the closing quote, or -1
+   */
+  findClosingQuote(line, start) {
+    for (let index = start + 1; index < line.length; index++) {
+      if (line[index] === '\\') {
+        index++;
+      } else if (line[index] === '"') {
+        return index;
+      }
+    }
+    return -1;
+  }
 
-    return nodes;
+  /**
+   * Resolve backslash escapes outside quotes
+   * @param {string} text - Text with escapes
+   * @returns {string} Text with each \c replaced by c
+   */
+  unescape(text) {
+    let result = '';
+    for (let index = 0; index < text.length; index++) {
+      if (text[index] === '"') {
+        const end = this.findClosingQuote(text, index);
+        const stop = end === -1 ? text.length - 1 : end;
+        result += text.substring(index, stop + 1);
+        index = stop;
+      } else if (text[index] === '\\') {
+        result += text[++index] || '';
+      } else {
+        result += text[index];
+      }
+    }
+    return result;
   }
 
   /**
    * Parse a line with arrow syntax
+   * nodeLabels has one entry per node position, so arrows[i] runs from
+   * nodeLabels[i] to nodeLabels[i + 1]; a missing node is an empty string
+   * and is reported in errors
    * @param {string} line - Line to parse
-   * @returns {Object} {nodeLabels: Array, arrows: Array}
+   * @returns {Object} {nodeLabels: Array, arrows: Array, errors: Array<{index, message}>}
    */
   parseLine(line) {
-    const arrows = this.findArrows(line);
-    const nodeLabels = this.extractNodeLabels(line, arrows);
+    const { segments, arrows, trailingLabel, errors } = this.tokenize(line);
+    const nodeLabels = segments.map(segment => segment.trim());
+
+    if (arrows.length > 0) {
+      nodeLabels.forEach((label, i) => {
+        if (label) return;
+        errors.push(i === 0
+          ? { index: arrows[0].index, message: `Edge is missing its source node before ${arrows[0].raw}` }
+          : { index: arrows[i - 1].index, message: `Edge is missing a node after ${arrows[i - 1].raw}` });
+      });
+    }
+
+    if (trailingLabel) {
+      const lastArrow = arrows[arrows.length - 1];
+      if (!trailingLabel.text) {
+        errors.push({ index: trailingLabel.index, message: 'Edge label after : is empty' });
+      } else if (arrows.length > 1) {
+        errors.push({ index: trailingLabel.index, message: 'A : label only works for a single edge; label chained edges inline (a -"x"-> b -"y"-> c)' });
+      } else if (lastArrow.edgeLabel) {
+        // Quoted labels (a -"x"-> b) bring their own quotes
+        const label = this.quotedPattern.test(lastArrow.edgeLabel) ? lastArrow.edgeLabel : `"${lastArrow.edgeLabel}"`;
+        errors.push({ index: trailingLabel.index, message: `Edge already has the label ${label}` });
+      } else {
+        lastArrow.edgeLabel = trailingLabel.text;
+      }
+    }
 
-    return { nodeLabels, arrows };
+    return { nodeLabels, arrows, errors };
   }
 }
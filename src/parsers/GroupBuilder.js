@@ -0,0 +1,124 @@
+/**
+ * GroupBuilder - Creates and manages node groups (subgraphs)
+ * A group is a named container; each node belongs to at most one group
+ */
+export class GroupBuilder {
+  constructor() {
+    this.groups = new Map();
+    this.groupOrder = [];
+  }
+
+  /**
+   * Create or get a group
+   * @param {string} name - Group name (also used as its ID and label)
+   * @returns {string} Group ID
+   */
+  ensureGroup(name) {
+    const groupId = name.trim();
+
+    if (!this.groups.has(groupId)) {
+      this.groups.set(groupId, {
+        id: groupId,
+        label: groupId,
+        children: [],
+      });
+      this.groupOrder.push(groupId);
+      console.log(`[GroupBuilder] Created group: ${groupId}`);
+    }
+
+    return groupId;
+  }
+
+  /**
+   * Add a node to a group, moving it out of any other group
+   * @param {string} groupId - Group ID
+   * @param {string} nodeId - Node ID
+   */
+  addMember(groupId, nodeId) {
+    const group = this.groups.get(groupId);
+    if (!group) return;
+
+    this.removeMember(nodeId);
+    group.children.push(nodeId);
+    console.log(`[GroupBuilder] Added ${nodeId} to group ${groupId}`);
+  }
+
+  /**
+   * Remove a node from whichever group contains it
+   * @param {string} nodeId - Node ID
+   */
+  removeMember(nodeId) {
+    this.groups.forEach(group => {
+      group.children = group.children.filter(id => id !== nodeId);
+    });
+  }
+
+  /**
+   * Find an existing group ID by exact or case-insensitive match
+   * @param {string} groupId - Group ID to look up
+   * @returns {string|null} Existing group ID or null
+   */
+  findGroupId(groupId) {
+    if (this.groups.has(groupId)) return groupId;
+
+    const lowerGroupId = groupId.toLowerCase();
+    return this.groupOrder.find(id => id.toLowerCase() === lowerGroupId) || null;
+  }
+
+  /**
+   * Set the display label of a group without changing its ID
+   * @param {string} groupId - Group ID
+   * @param {string} label - New display label
+   * @returns {boolean} True if the group exists
+   */
+  setLabel(groupId, label) {
+    const group = this.groups.get(groupId);
+    if (!group) return false;
+
+    group.label = label;
+    console.log(`[GroupBuilder] Set label of group ${groupId}: "${label}"`);
+    return true;
+  }
+
+  /**
+   * Remove a group; its members stay as ungrouped nodes
+   * @param {string} groupId - Group ID
+   * @returns {boolean} True if the group existed
+   */
+  removeGroup(groupId) {
+    if (!this.groups.has(groupId)) return false;
+
+    this.groups.delete(groupId);
+    this.groupOrder = this.groupOrder.filter(id => id !== groupId);
+    console.log(`[GroupBuilder] Removed group: ${groupId}`);
+    return true;
+  }
+
+  /**
+   * Get all groups that have members
+   * @returns {Array} Array of group objects {id, label, children}
+   */
+  getGroups() {
+    return this.groupOrder
+      .map(id => this.groups.get(id))
+      .filter(group => group.children.length > 0);
+  }
+
+  /**
+   * Get the group a node belongs to
+   * @param {string} nodeId - Node ID
+   * @returns {string|null} Group ID or null
+   */
+  getGroupOf(nodeId) {
+    const group = this.getGroups().find(g => g.children.includes(nodeId));
+    return group ? group.id : null;
+  }
+
+  /**
+   * Clear all groups
+   */
+  clear() {
+    this.groups.clear();
+    this.groupOrder = [];
+  }
+}
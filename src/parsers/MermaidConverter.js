@@ -0,0 +1,514 @@
+/**
+ * MermaidConverter - Converts Mermaid flowchart text to the hybrid syntax
+ * The output goes through SyntaxManager like typed input, so converted
+ * diagrams have the same nodes, edges and node numbers and stay editable
+ *
+ * Supported Mermaid:
+ * - Header: flowchart|graph TB/TD/BT/LR/RL -> =layout(flow, direction)
+ * - Nodes: A, A[text], A(text), A([text]), A[[text]], A[(text)], A((text)),
+ *   A(((text))), A{text}, A{{text}}, A>text], A[/text/], A[\text\]
+ * - Links: -->, ---, -.->, ==>, <-->, --o, --x with labels as -->|text|
+ *   or -- text -->; chains (A --> B --> C) and A & B --> C
+ * - subgraph id [Title] ... end -> group Title { ... }
+ * - style, classDef, class and A:::class -> @node style commands
+ * - Statements separated by newlines or ;, %% comments
+ * Lines starting with = or @ are passed through as hybrid commands
+ */
+export class MermaidConverter {
+  constructor() {
+    this.headerPattern = /^(?:flowchart|graph)\b\s*(\w+)?\s*;?$/i;
+    this.subgraphPattern = /^subgraph\s+(.+)$/i;
+
+    // Node ID: anything up to a shape bracket, link, separator or space
+    this.nodeIdPattern = /^[^\s[\](){}<>|&;:"=-]+/;
+
+    // Link with optional start/end markers and an optional |label|
+    this.linkPattern = /^(<|[ox](?=[-=.]))?(-{2,}|={2,}|-?\.+-?)(>|[ox](?![\w]))?\s*(?:\|([^|]*)\|)?/;
+
+    // "A -- text --> B" style labels, rewritten to "A -->|text| B"
+    this.textLinkPattern = /(^|\s)(--|==|-\.)\s+([^|>]+?)\s+(-{2,}>|={2,}>|\.-+>|-{2,}[ox]|-{3,}|={3,}|\.-+)(?=\s|$)/g;
+
+    // Shape delimiters, longest opener first
+    this.shapes = [
+      { open: '(((', close: ')))', type: 'circle' },
+      { open: '((', close: '))', type: 'circle' },
+      { open: '([', close: '])', type: 'rectangle' },
+      { open: '[[', close: ']]', type: 'rectangle' },
+      { open: '[(', close: ')]', type: 'square' },     // Cylinder (database)
+      { open: '{{', close: '}}', type: 'rectangle' },  // Hexagon
+      { open: '[/', close: '/]', type: 'rectangle' },
+      { open: '[/', close: '\\]', type: 'rectangle' },
+      { open: '[\\', close: '\\]', type: 'rectangle' },
+      { open: '[\\', close: '/]', type: 'rectangle' },
+      { open: '{', close: '}', type: 'diamond' },
+      { open: '(', close: ')', type: 'rectangle' },
+      { open: '[', close: ']', type: 'rectangle' },
+      { open: '>', close: ']', type: 'rectangle' },    // Asymmetric
+    ];
+
+    // Mermaid style properties -> StyleParser keys
+    this.styleProperties = {
+      fill: 'fill',
+      stroke: 'border',
+      'stroke-width': 'border-width',
+      color: 'text',
+      'font-size': 'font-size',
+      'font-weight': 'font-weight',
+      rx: 'radius',
+      opacity: 'opacity',
+    };
+
+    this.ignoredStatements = /^(click|linkStyle|accTitle|accDescr|direction)\b/i;
+  }
+
+  /**
+   * Convert Mermaid flowchart text
+   * @param {string} code - Mermaid source
+   * @returns {Object} {lines: Array<string>, direction: string|null, warnings: Array<string>}
+   */
+  convert(code) {
+    this.lines = [];
+    this.warnings = [];
+    this.direction = null;
+    this.labels = new Map();       // nodeId -> label (last definition wins)
+    this.nodeOrder = [];           // Node IDs in order of appearance
+    this.classDefs = new Map();    // className -> [style params]
+    this.nodeClasses = new Map();  // nodeId -> [classNames]
+    this.nodeStyles = new Map();   // nodeId -> [style params]
+    this.groupStack = [];          // Titles of open subgraphs
+
+    const statements = this.splitStatements(code);
+
+    statements.forEach(({ text, lineNumber }) => {
+      try {
+        this.convertStatement(text);
+      } catch (error) {
+        this.warnings.push(`Line ${lineNumber}: ${error.message}`);
+      }
+    });
+
+    if (this.groupStack.length > 0) {
+      this.warnings.push(`subgraph "${this.groupStack[this.groupStack.length - 1]}" is missing its end`);
+      this.lines.push('}');
+    }
+
+    this.emitLabels();
+    this.emitStyles();
+
+    if (this.direction) {
+      this.lines.push(`=layout(flow, ${this.direction})`);
+    }
+
+    console.log('[MermaidConverter] Converted to hybrid syntax:', this.lines);
+    if (this.warnings.length > 0) {
+      console.warn('[MermaidConverter] Warnings:', this.warnings);
+    }
+
+    return {
+      lines: this.lines,
+      direction: this.direction,
+      warnings: this.warnings,
+    };
+  }
+
+  /**
+   * Convert Mermaid text to a hybrid syntax string
+   * @param {string} code - Mermaid source
+   * @returns {string} Hybrid syntax, one command per line
+   */
+  toHybridSyntax(code) {
+    return this.convert(code).lines.join('\n');
+  }
+
+  /**
+   * Split source into statements (newlines and ; outside quotes/brackets)
+   * @param {string} code - Mermaid source
+   * @returns {Array} Array of {text, lineNumber}
+   */
+  splitStatements(code) {
+    const statements = [];
+
+    code.split('\n').forEach((rawLine, index) => {
+      const line = rawLine.replace(/%%.*$/, '').trim();
+      if (!line) return;
+
+      // Hybrid commands pass through whole (they may contain ;)
+      if (line.startsWith('=') || line.startsWith('@')) {
+        statements.push({ text: line, lineNumber: index + 1 });
+        return;
+      }
+
+      let current = '';
+      let inQuotes = false;
+      let depth = 0;
+
+      for (const char of line) {
+        if (char === '"') inQuotes = !inQuotes;
+        if (!inQuotes && '[({'.includes(char)) depth++;
+        if (!inQuotes && '])}'.includes(char)) depth = Math.max(0, depth - 1);
+
+        if (char === ';' && !inQuotes && depth === 0) {
+          if (current.trim()) statements.push({ text: current.trim(), lineNumber: index + 1 });
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+
+      if (current.trim()) statements.push({ text: current.trim(), lineNumber: index + 1 });
+    });
+
+    return statements;
+  }
+
+  /**
+   * Convert a single statement
+   * @param {string} text - Statement text
+   */
+  convertStatement(text) {
+    if (text.startsWith('=') || text.startsWith('@')) {
+      this.lines.push(text);
+      return;
+    }
+
+    const header = text.match(this.headerPattern);
+    if (header) {
+      // Mermaid draws top to bottom unless told otherwise
+      this.direction = header[1] ? this.normalizeDirection(header[1]) : 'TB';
+      return;
+    }
+
+    const subgraph = text.match(this.subgraphPattern);
+    if (subgraph) {
+      this.openSubgraph(subgraph[1].trim());
+      return;
+    }
+
+    if (/^end$/i.test(text)) {
+      this.closeSubgraph();
+      return;
+    }
+
+    if (/^style\s/i.test(text)) {
+      const [, nodeId, props] = text.match(/^style\s+(\S+)\s+(.*)$/i) || [];
+      if (!nodeId) throw new Error(`Invalid style statement "${text}"`);
+      this.appendToMap(this.nodeStyles, nodeId, this.convertStyle(props || ''));
+      return;
+    }
+
+    if (/^classDef\s/i.test(text)) {
+      const [, names, props] = text.match(/^classDef\s+(\S+)\s+(.*)$/i) || [];
+      if (!names) throw new Error(`Invalid classDef statement "${text}"`);
+      const params = this.convertStyle(props || '');
+      names.split(',').forEach(name => this.classDefs.set(name.trim(), params));
+      return;
+    }
+
+    if (/^class\s/i.test(text)) {
+      const [, nodeIds, className] = text.match(/^class\s+(\S+)\s+(\S+)$/i) || [];
+      if (!nodeIds) throw new Error(`Invalid class statement "${text}"`);
+      nodeIds.split(',').forEach(nodeId => this.appendToMap(this.nodeClasses, nodeId.trim(), [className]));
+      return;
+    }
+
+    if (this.ignoredStatements.test(text)) {
+      this.warnings.push(`Ignored unsupported statement "${text}"`);
+      return;
+    }
+
+    this.convertChain(text);
+  }
+
+  /**
+   * Convert a chain of node groups and links (A & B --> C -->|x| D)
+   * @param {string} text - Statement text
+   */
+  convertChain(text) {
+    let rest = text.replace(this.textLinkPattern, (match, lead, start, label, end) => `${lead}${start.replace(/\.$/, '')}${end}|${label}|`);
+
+    const groups = [];
+    const links = [];
+
+    groups.push(this.readNodeGroup(rest));
+    rest = groups[0].rest;
+
+    while (rest.trim()) {
+      rest = rest.trimStart();
+      const link = rest.match(this.linkPattern);
+      if (!link || link[0].length === 0) {
+        throw new Error(`Unexpected "${rest}"`);
+      }
+
+      links.push(this.toArrow(link[1], link[2], link[3], link[4] !== undefined ? this.cleanLabel(link[4]) : null));
+      rest = rest.slice(link[0].length);
+
+      const group = this.readNodeGroup(rest);
+      groups.push(group);
+      rest = group.rest;
+    }
+
+    if (links.length === 0) {
+      // Node declarations only
+      groups[0].nodes.forEach(node => this.lines.push(this.nodeToken(node)));
+      return;
+    }
+
+    links.forEach(({ arrow, suffix }, i) => {
+      groups[i].nodes.forEach(source => {
+        groups[i + 1].nodes.forEach(target => {
+          this.lines.push(`${this.nodeToken(source)} ${arrow} ${this.nodeToken(target)}${suffix}`);
+          // Only the first mention carries the shape prefix
+          source.type = null;
+          target.type = null;
+        });
+      });
+    });
+  }
+
+  /**
+   * Hybrid arrow token for a Mermaid link (see EdgeSyntaxParser)
+   * Undirected and o/x links have no inline label, so their label goes after the target (a -- b : "label")
+   * @param {string} start - Start marker (<, o, x or undefined)
+   * @param {string} line - Line characters (--, ==, -.-, ...)
+   * @param {string} end - End marker (>, o, x or undefined)
+   * @param {string|null} label - Link label
+   * @returns {Object} {arrow: string, suffix: string} where suffix follows the target node
+   */
+  toArrow(start, line, end, label) {
+    const text = label ? `"${label}"` : '';
+    const inline = (arrow) => ({ arrow, suffix: '' });
+
+    if (start === '<' && end === '>') return inline(label ? `<-${text}->` : '<->');
+    if (end === '>' && line.includes('.')) return inline(`-.${text}${label ? '.' : ''}->`);
+    if (end === '>' && line.startsWith('=')) return inline(label ? `==${text}==>` : '==>');
+    if (end === '>') return inline(label ? `-${text}->` : '->');
+
+    const suffix = label ? ` : ${text}` : '';
+    if (end === 'o' || end === 'x') return { arrow: `--${end}`, suffix };
+    return { arrow: '--', suffix };
+  }
+
+  /**
+   * Read "A[text]:::cls & B" from the start of a string
+   * @param {string} text - Remaining statement text
+   * @returns {Object} {nodes: Array<{id, type}>, rest: string}
+   */
+  readNodeGroup(text) {
+    const nodes = [];
+    let rest = text;
+
+    for (;;) {
+      rest = rest.trimStart();
+      const { node, rest: after } = this.readNode(rest);
+      nodes.push(node);
+      rest = after;
+
+      const ampersand = rest.match(/^\s*&\s*/);
+      if (!ampersand) break;
+      rest = rest.slice(ampersand[0].length);
+    }
+
+    return { nodes, rest };
+  }
+
+  /**
+   * Read a node reference with optional shape, label and :::class
+   * @param {string} text - Text starting with a node ID
+   * @returns {Object} {node: {id, type}, rest: string}
+   */
+  readNode(text) {
+    const idMatch = text.match(this.nodeIdPattern);
+    if (!idMatch) {
+      throw new Error(`Expected a node ID at "${text}"`);
+    }
+
+    const id = idMatch[0];
+    let rest = text.slice(id.length);
+    let type = null;
+
+    if (!this.nodeOrder.includes(id)) {
+      this.nodeOrder.push(id);
+    }
+
+    const shape = this.shapes.find(s => rest.startsWith(s.open));
+    if (shape) {
+      const { content, length } = this.readShapeContent(rest.slice(shape.open.length), shape.close);
+      if (length === -1) {
+        throw new Error(`Missing ${shape.close} after node "${id}"`);
+      }
+      type = shape.type;
+      this.labels.set(id, this.cleanLabel(content));
+      rest = rest.slice(shape.open.length + length);
+    }
+
+    const classMatch = rest.match(/^:::([\w-]+)/);
+    if (classMatch) {
+      this.appendToMap(this.nodeClasses, id, [classMatch[1]]);
+      rest = rest.slice(classMatch[0].length);
+    }
+
+    return { node: { id, type }, rest };
+  }
+
+  /**
+   * Read shape content up to its closing delimiter, skipping quoted text
+   * @param {string} text - Text after the opening delimiter
+   * @param {string} close - Closing delimiter
+   * @returns {Object} {content, length} where length includes the delimiter (-1 if missing)
+   */
+  readShapeContent(text, close) {
+    const quoted = text.match(/^\s*"([^"]*)"\s*/);
+    if (quoted && text.slice(quoted[0].length).startsWith(close)) {
+      return { content: quoted[1], length: quoted[0].length + close.length };
+    }
+
+    const end = text.indexOf(close);
+    if (end === -1) return { content: '', length: -1 };
+    return { content: text.slice(0, end), length: end + close.length };
+  }
+
+  /**
+   * Token for a node in hybrid syntax, with a shape prefix when Mermaid gave one
+   * @param {Object} node - {id, type}
+   * @returns {string} Node token
+   */
+  nodeToken(node) {
+    return node.type && node.type !== 'rectangle' ? `${node.type}:${node.id}` : node.id;
+  }
+
+  /**
+   * Open a subgraph as a group block
+   * @param {string} definition - "id", "id [Title]" or "Title"
+   */
+  openSubgraph(definition) {
+    const titled = definition.match(/^(\S+)\s*\[\s*"?([^"\]]*)"?\s*\]$/);
+    const title = this.cleanLabel(titled ? titled[2] : definition);
+
+    // Groups don't nest: close the outer block, it is reopened at the inner end
+    if (this.groupStack.length > 0) {
+      this.lines.push('}');
+    }
+
+    this.groupStack.push(title);
+    this.lines.push(`group "${title}" {`);
+  }
+
+  /**
+   * Close the innermost subgraph and reopen the outer one if any
+   */
+  closeSubgraph() {
+    if (this.groupStack.length === 0) {
+      throw new Error('end without a subgraph');
+    }
+
+    this.groupStack.pop();
+    this.lines.push('}');
+
+    if (this.groupStack.length > 0) {
+      this.lines.push(`group "${this.groupStack[this.groupStack.length - 1]}" {`);
+    }
+  }
+
+  /**
+   * Emit =rename lines for nodes whose text differs from their ID
+   */
+  emitLabels() {
+    this.labels.forEach((label, nodeId) => {
+      if (label && label !== nodeId) {
+        this.lines.push(`=rename(${nodeId}, "${label}")`);
+      }
+    });
+  }
+
+  /**
+   * Emit @node style commands from classDef/class/style statements
+   * classDef default applies to every node
+   */
+  emitStyles() {
+    const defaults = this.classDefs.get('default') || [];
+
+    this.nodeOrder.forEach(nodeId => {
+      const params = [...defaults];
+      (this.nodeClasses.get(nodeId) || []).forEach(className => {
+        if (this.classDefs.has(className)) {
+          params.push(...this.classDefs.get(className));
+        } else {
+          this.warnings.push(`Unknown class "${className}" on node "${nodeId}"`);
+        }
+      });
+      params.push(...(this.nodeStyles.get(nodeId) || []));
+
+      if (params.length > 0) {
+        this.lines.push(`@${nodeId} ${params.join(' ')}`);
+      }
+    });
+  }
+
+  /**
+   * Convert Mermaid CSS-like properties to StyleParser params
+   * @param {string} props - e.g. "fill:#f9f,stroke:#333,stroke-width:4px"
+   * @returns {Array<string>} e.g. ["fill:#f9f", "border:#333", "border-width:4px"]
+   */
+  convertStyle(props) {
+    const params = [];
+
+    // Split on commas outside of color functions like rgb(1, 2, 3)
+    props.replace(/;$/, '').split(/,(?![^(]*\))/).forEach(prop => {
+      const [rawKey, ...valueParts] = prop.split(':');
+      const key = rawKey.trim().toLowerCase();
+      const value = valueParts.join(':').trim().replace(/\s+/g, '');
+      if (!key || !value) return;
+
+      if (key === 'stroke-dasharray') {
+        params.push('border:dashed');
+      } else if (this.styleProperties[key]) {
+        params.push(`${this.styleProperties[key]}:${value}`);
+      } else {
+        this.warnings.push(`Ignored unsupported style "${key}"`);
+      }
+    });
+
+    return params;
+  }
+
+  /**
+   * Clean label text: strip quotes, decode entities and turn <br> into newlines
+   * Double quotes become single quotes so the label can be quoted in hybrid syntax
+   * @param {string} text - Raw label text
+   * @returns {string} Clean label
+   */
+  cleanLabel(text) {
+    return text
+      .trim()
+      .replace(/^"([\s\S]*)"$/, '$1')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/#quot;/g, "'")
+      .replace(/#amp;/g, '&')
+      .replace(/#lt;/g, '<')
+      .replace(/#gt;/g, '>')
+      .replace(/"/g, "'")
+      .trim();
+  }
+
+  /**
+   * Normalise a Mermaid direction
+   * @param {string} direction - TB, TD, BT, LR or RL
+   * @returns {string|null} Direction for =layout(flow, ...) or null
+   */
+  normalizeDirection(direction) {
+    const upper = direction.toUpperCase();
+    if (upper === 'TD') return 'TB';
+    return ['TB', 'BT', 'LR', 'RL'].includes(upper) ? upper : null;
+  }
+
+  /**
+   * Append values to an array stored in a map
+   * @param {Map} map - Target map
+   * @param {string} key - Map key
+   * @param {Array} values - Values to append
+   */
+  appendToMap(map, key, values) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(...values);
+  }
+}
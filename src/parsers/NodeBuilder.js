@@ -1,6 +1,11 @@
 /**
  * NodeBuilder - Creates and manages nodes
  * Handles node creation and shape type detection
+ *
+ * Node tokens:
+ * - label - Rectangle node (or the shape named by the label, e.g. "circle")
+ * - shape:nodeId - Node of the given shape with ID nodeId (e.g. circle:start)
+ * - :N - Reference to an existing node by its node number
  */
 export class NodeBuilder {
   constructor(idManager = null) {
@@ -15,45 +20,76 @@ export class NodeBuilder {
       'rectangle': 'rectangle',
       'diamond': 'diamond',
     };
+
+    // Regex to match shape-prefixed tokens: shape:nodeId
+    this.shapePrefixPattern = /^(\w+):([\s\S]+)$/;
+  }
+
+  /**
+   * Split a node token into its shape type and node reference
+   * Only recognised shape keywords count as a prefix, so labels like
+   * "Step: 1" keep their colon
+   * @param {string} token - Trimmed node token (e.g. "circle:start")
+   * @returns {Object} {type: string|null, ref: string}
+   */
+  parseShapePrefix(token) {
+    const match = token.match(this.shapePrefixPattern);
+    if (match) {
+      const type = this.shapeKeywords[match[1].toLowerCase()];
+      const ref = match[2].trim();
+      if (type && ref) {
+        return { type, ref };
+      }
+    }
+
+    return { type: null, ref: token };
   }
 
   /**
    * Create or get a node
-   * @param {string} label - Node label (or :N reference)
+   * @param {string} label - Node label, shape:nodeId token or :N reference
    * @returns {string} Node ID (resolved label)
    */
   ensureNode(label) {
     const trimmed = label.trim();
 
+    // Split off an explicit shape prefix (circle:start -> circle, start)
+    const { type: prefixType, ref } = this.parseShapePrefix(trimmed);
+
     // Resolve :N references if IDManager is available
-    let resolvedLabel = trimmed;
-    if (this.idManager && trimmed.startsWith(':')) {
+    let resolvedLabel = ref;
+    if (this.idManager && ref.startsWith(':')) {
       try {
-        resolvedLabel = this.idManager.resolveReference(trimmed);
-        console.log(`[NodeBuilder] Resolved reference ${trimmed} -> "${resolvedLabel}"`);
+        resolvedLabel = this.idManager.resolveReference(ref);
+        console.log(`[NodeBuilder] Resolved reference ${ref} -> "${resolvedLabel}"`);
       } catch (error) {
         console.error(`[NodeBuilder] Error resolving reference: ${error.message}`);
         throw error;
       }
     }
 
-    // Detect shape type based on the resolved label text
+    // Explicit prefix wins, otherwise detect shape type from the label text
     const lowerLabel = resolvedLabel.toLowerCase();
-    const type = this.shapeKeywords[lowerLabel] || 'rectangle';
+    const type = prefixType || this.shapeKeywords[lowerLabel] || 'rectangle';
 
     if (!this.nodes.has(resolvedLabel)) {
       // Assign node number if IDManager is available
       const nodeNumber = this.idManager ? this.idManager.assignId(resolvedLabel) : null;
 
       const node = {
-        id: resolvedLabel,        // ReactFlow ID (the label)
+        id: resolvedLabel,        // ReactFlow ID (stable, used for references)
         type: type,
         nodeNumber: nodeNumber,   // Sequential reference number
+        label: resolvedLabel,     // Display label (changed by =rename)
       };
 
       this.nodes.set(resolvedLabel, node);
       this.nodeOrder.push(resolvedLabel);
       console.log(`[NodeBuilder] Created node: ${resolvedLabel} (type: ${type}, nodeNumber: ${nodeNumber}, order: ${this.nodeOrder.length - 1})`);
+    } else if (prefixType) {
+      // A later shape:nodeId token changes the shape of an existing node
+      this.nodes.get(resolvedLabel).type = prefixType;
+      console.log(`[NodeBuilder] Node already exists: ${resolvedLabel} (type set to: ${prefixType})`);
     } else {
       console.log(`[NodeBuilder] Node already exists: ${resolvedLabel}`);
     }
@@ -61,6 +97,49 @@ export class NodeBuilder {
     return resolvedLabel;
   }
 
+  /**
+   * Find an existing node ID by exact or case-insensitive match
+   * @param {string} nodeId - Node ID to look up
+   * @returns {string|null} Existing node ID or null
+   */
+  findNodeId(nodeId) {
+    if (this.nodes.has(nodeId)) return nodeId;
+
+    const lowerNodeId = nodeId.toLowerCase();
+    return this.nodeOrder.find(id => id.toLowerCase() === lowerNodeId) || null;
+  }
+
+  /**
+   * Set the display label of a node without changing its ID
+   * @param {string} nodeId - Node ID
+   * @param {string} label - New display label
+   * @returns {boolean} True if the node exists
+   */
+  setLabel(nodeId, label) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return false;
+
+    node.label = label;
+    console.log(`[NodeBuilder] Set label of ${nodeId}: "${label}"`);
+    return true;
+  }
+
+  /**
+   * Remove a node
+   * The node keeps its node number in IDManager, so re-creating it later
+   * brings back the same :N reference
+   * @param {string} nodeId - Node ID
+   * @returns {boolean} True if the node existed
+   */
+  removeNode(nodeId) {
+    if (!this.nodes.has(nodeId)) return false;
+
+    this.nodes.delete(nodeId);
+    this.nodeOrder = this.nodeOrder.filter(id => id !== nodeId);
+    console.log(`[NodeBuilder] Removed node: ${nodeId}`);
+    return true;
+  }
+
   /**
    * Get all nodes
    * @returns {Array} Array of node objects
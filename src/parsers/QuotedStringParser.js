@@ -5,8 +5,10 @@
 export class QuotedStringParser {
   constructor() {
     this.quotedStrings = new Map();
+    this.sourceStrings = new Map(); // Placeholder -> quoted text as typed (for source positions)
     this.placeholderPrefix = '__QUOTED_';
     this.placeholderCounter = 0;
+    this.placeholderPattern = new RegExp(`${this.placeholderPrefix}\\d+`, 'g');
   }
 
   /**
@@ -17,15 +19,18 @@ export class QuotedStringParser {
    */
   extractQuotedStrings(input) {
     this.quotedStrings.clear();
+    this.sourceStrings.clear();
     this.placeholderCounter = 0;
 
     // Match quoted strings (handles multi-line)
-    // Matches: "text" or "multi\nline\ntext"
-    const quotedPattern = /"([^"]*)"/g;
+    // Matches: "text" or "multi\nline\ntext"; \" is a quote inside the string,
+    // and an escaped quote outside one (\") doesn't open a string
+    const quotedPattern = /(?<!\\)"((?:[^"\\]|\\.)*)"/g;
 
     return input.replace(quotedPattern, (match, content) => {
       const placeholder = `${this.placeholderPrefix}${this.placeholderCounter++}`;
-      this.quotedStrings.set(placeholder, content);
+      this.quotedStrings.set(placeholder, content.replace(/\\(["\\])/g, '$1'));
+      this.sourceStrings.set(placeholder, match);
       return placeholder;
     });
   }
@@ -43,6 +48,43 @@ export class QuotedStringParser {
     return result;
   }
 
+  /**
+   * Restore quoted strings from placeholders, keeping the quotes so the
+   * text can be parsed again (e.g. an edge label in a->"x"->b)
+   * @param {string} text - Text with placeholders
+   * @returns {string} Text with the original quoted strings, quotes included
+   */
+  restoreQuotedStringsWithQuotes(text) {
+    let result = text;
+    this.quotedStrings.forEach((original, placeholder) => {
+      result = result.replace(placeholder, () => `"${original.replace(/["\\]/g, '\\$&')}"`);
+    });
+    return result;
+  }
+
+  /**
+   * Put back the quoted strings exactly as typed (quotes, escapes and line breaks included)
+   * @param {string} text - Text with placeholders
+   * @returns {string} Original text
+   */
+  restoreSourceText(text) {
+    return text.replace(this.placeholderPattern, placeholder => this.sourceStrings.get(placeholder) ?? placeholder);
+  }
+
+  /**
+   * Count the line breaks inside the quoted strings of a text
+   * (a multi-line quoted string turns several input lines into one)
+   * @param {string} text - Text with placeholders
+   * @returns {number} Number of line breaks
+   */
+  countLineBreaks(text) {
+    let count = 0;
+    for (const match of text.matchAll(this.placeholderPattern)) {
+      count += (this.sourceStrings.get(match[0]) || '').split('\n').length - 1;
+    }
+    return count;
+  }
+
   /**
    * Check if a string is a placeholder
    * @param {string} text - Text to check
@@ -0,0 +1,317 @@
+import ColorParser from '../canvas-rendering-helpers/ColorParser.js';
+
+/**
+ * StyleParser - Parses the style mini-language of @node commands
+ * Produces style overrides keyed like nodeDefaults (background, border,
+ * borderRadius, fontSize, color, ...) so BaseNode can apply them directly
+ *
+ * Syntax: @node key:value key:value ...
+ * - fill:COLOR             Background color (aliases: background, bg)
+ * - border:VALUE           Border color, style (solid/dashed/dotted/double/none) or width
+ * - border-width:N         Border width in px (alias: stroke-width)
+ * - border-style:STYLE     solid, dashed, dotted, double or none
+ * - text:COLOR             Text color (aliases: color, text-color, font-color)
+ * - font-size:N            Font size in px
+ * - font-weight:W          normal, bold, lighter, bolder or 100-900 (alias: weight)
+ * - radius:N               Corner radius in px (alias: border-radius)
+ * - opacity:N              0-1 or a percentage (e.g. 50%)
+ * - shadow:PRESET          none, sm, md, lg (true = md)
+ * - padding:N              Inner padding in px
+ * - width:N / height:N     Node size in px
+ * - shape:TYPE             rectangle, square, circle or diamond
+ *
+ * COLOR accepts hex (#f00, #ff0000, #ff000080), rgb()/rgba(), hsl()/hsla()
+ * and named colors (red, steelblue, ...)
+ */
+export class StyleParser {
+  constructor() {
+    // key:value pairs; values may be a function call with spaces, e.g. rgb(1, 2, 3)
+    this.paramPattern = /([\w-]+)\s*:\s*([^\s(]*\([^)]*\)|\S+)/g;
+
+    this.aliases = {
+      fill: 'fill',
+      background: 'fill',
+      bg: 'fill',
+      border: 'border',
+      stroke: 'border',
+      'border-width': 'borderWidth',
+      'stroke-width': 'borderWidth',
+      'border-style': 'borderStyle',
+      'stroke-style': 'borderStyle',
+      text: 'text',
+      color: 'text',
+      'text-color': 'text',
+      'font-color': 'text',
+      'font-size': 'fontSize',
+      'text-size': 'fontSize',
+      'font-weight': 'fontWeight',
+      weight: 'fontWeight',
+      radius: 'radius',
+      'border-radius': 'radius',
+      opacity: 'opacity',
+      shadow: 'shadow',
+      padding: 'padding',
+      width: 'width',
+      height: 'height',
+      shape: 'shape',
+      type: 'shape',
+    };
+
+    this.borderStyles = ['solid', 'dashed', 'dotted', 'double', 'none'];
+    this.fontWeights = ['normal', 'bold', 'lighter', 'bolder'];
+    this.shapes = ['rectangle', 'square', 'circle', 'diamond'];
+
+    this.shadowPresets = {
+      none: 'none',
+      sm: '0 1px 3px rgba(0,0,0,0.2)',
+      md: '0 4px 8px rgba(0,0,0,0.2)',
+      lg: '0 8px 24px rgba(0,0,0,0.25)',
+    };
+  }
+
+  /**
+   * Parse a style parameter string
+   * @param {string} params - e.g. "fill:#ff0000 border:dashed text:white"
+   * @param {Object} currentStyle - The node's current merged style (for border shorthand)
+   * @returns {Object} {styles: Object, type: string|null, errors: Array<string>}
+   */
+  parse(params, currentStyle = {}) {
+    const styles = {};
+    const errors = [];
+    let type = null;
+
+    const border = this.parseBorder(currentStyle.border);
+    let borderChanged = false;
+
+    this.paramPattern.lastIndex = 0;
+    let match;
+
+    while ((match = this.paramPattern.exec(params)) !== null) {
+      const rawKey = match[1].toLowerCase();
+      const value = match[2].trim();
+      const key = this.aliases[rawKey];
+
+      if (!key) {
+        errors.push(`Unknown style property "${rawKey}"`);
+        continue;
+      }
+
+      switch (key) {
+        case 'fill': {
+          const color = this.parseColor(value);
+          if (color) styles.background = color;
+          else errors.push(`Invalid color "${value}" for ${rawKey}`);
+          break;
+        }
+
+        case 'text': {
+          const color = this.parseColor(value);
+          if (color) styles.color = color;
+          else errors.push(`Invalid color "${value}" for ${rawKey}`);
+          break;
+        }
+
+        case 'border': {
+          const lower = value.toLowerCase();
+          const width = this.parseLength(value);
+          const color = this.parseColor(value);
+          if (this.borderStyles.includes(lower)) {
+            border.style = lower;
+          } else if (width !== null) {
+            border.width = `${width}px`;
+          } else if (color) {
+            border.color = color;
+          } else {
+            errors.push(`Invalid border value "${value}"`);
+            break;
+          }
+          borderChanged = true;
+          break;
+        }
+
+        case 'borderWidth': {
+          const width = this.parseLength(value);
+          if (width !== null) {
+            border.width = `${width}px`;
+            borderChanged = true;
+          } else {
+            errors.push(`Invalid border width "${value}"`);
+          }
+          break;
+        }
+
+        case 'borderStyle': {
+          const lower = value.toLowerCase();
+          if (this.borderStyles.includes(lower)) {
+            border.style = lower;
+            borderChanged = true;
+          } else {
+            errors.push(`Invalid border style "${value}" (use ${this.borderStyles.join(', ')})`);
+          }
+          break;
+        }
+
+        case 'fontSize': {
+          const size = this.parseLength(value);
+          if (size !== null && size > 0) styles.fontSize = size;
+          else errors.push(`Invalid font size "${value}"`);
+          break;
+        }
+
+        case 'fontWeight': {
+          const lower = value.toLowerCase();
+          if (this.fontWeights.includes(lower) || /^[1-9]00$/.test(lower)) {
+            styles.fontWeight = lower;
+          } else {
+            errors.push(`Invalid font weight "${value}"`);
+          }
+          break;
+        }
+
+        case 'radius': {
+          const radius = this.parseLength(value);
+          if (radius !== null) styles.borderRadius = radius;
+          else errors.push(`Invalid radius "${value}"`);
+          break;
+        }
+
+        case 'opacity': {
+          const opacity = this.parseOpacity(value);
+          if (opacity !== null) styles.opacity = opacity;
+          else errors.push(`Invalid opacity "${value}" (use 0-1 or 0%-100%)`);
+          break;
+        }
+
+        case 'shadow': {
+          const lower = value.toLowerCase();
+          const preset = ['true', 'yes', 'on'].includes(lower) ? 'md'
+            : ['false', 'no', 'off'].includes(lower) ? 'none'
+            : lower;
+          if (this.shadowPresets[preset]) {
+            styles.boxShadow = this.shadowPresets[preset];
+          } else {
+            errors.push(`Invalid shadow "${value}" (use ${Object.keys(this.shadowPresets).join(', ')})`);
+          }
+          break;
+        }
+
+        case 'padding': {
+          const padding = this.parseLength(value);
+          if (padding !== null) styles.padding = padding;
+          else errors.push(`Invalid padding "${value}"`);
+          break;
+        }
+
+        case 'width':
+        case 'height': {
+          const size = this.parseLength(value);
+          if (size !== null && size > 0) {
+            // Same keys useResize writes, so resizing and commands agree
+            const capitalized = key === 'width' ? 'Width' : 'Height';
+            styles[key] = size;
+            styles[`min${capitalized}`] = size;
+          } else {
+            errors.push(`Invalid ${key} "${value}"`);
+          }
+          break;
+        }
+
+        case 'shape': {
+          const lower = value.toLowerCase();
+          if (this.shapes.includes(lower)) type = lower;
+          else errors.push(`Invalid shape "${value}" (use ${this.shapes.join(', ')})`);
+          break;
+        }
+      }
+    }
+
+    // Anything left over that isn't a key:value pair
+    const leftover = this.stripMatches(params).trim();
+    if (leftover) {
+      errors.push(`Unrecognised style text "${leftover}" (expected key:value)`);
+    }
+
+    if (borderChanged) {
+      styles.border = `${border.width} ${border.style} ${border.color}`;
+    }
+
+    // Lengths are stored as CSS px strings like nodeDefaults
+    ['fontSize', 'borderRadius', 'padding', 'width', 'height', 'minWidth', 'minHeight'].forEach(key => {
+      if (typeof styles[key] === 'number') styles[key] = `${styles[key]}px`;
+    });
+
+    return { styles, type, errors };
+  }
+
+  /**
+   * Split a border shorthand ("1px solid #1a192b") into its parts
+   * @param {string} border - CSS border shorthand
+   * @returns {Object} {width, style, color}
+   */
+  parseBorder(border) {
+    const [width = '1px', style = 'solid', color = '#1a192b'] = (border || '').split(' ').filter(Boolean);
+    return { width, style, color };
+  }
+
+  /**
+   * Normalise a color value
+   * Color functions lose their inner spaces so border shorthands can be
+   * split on spaces (see DiamondNode)
+   * @param {string} value - Color text
+   * @returns {string|null} CSS color or null if invalid
+   */
+  parseColor(value) {
+    const trimmed = value.trim();
+
+    if (/^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(trimmed)) {
+      return trimmed.toLowerCase();
+    }
+
+    const fn = trimmed.match(/^(rgba?|hsla?)\(([^)]*)\)$/i);
+    if (fn) {
+      const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+      if (parts.length < 3 || parts.length > 4) return null;
+      if (!parts.every(part => /^-?(\d+\.?\d*|\.\d+)(%|deg|rad|turn)?$/i.test(part))) return null;
+      return `${fn[1].toLowerCase()}(${parts.join(',')})`;
+    }
+
+    const lower = trimmed.toLowerCase();
+    // Common names become hex (color inputs need hex), other CSS color names pass through
+    const hex = ColorParser.namedColors[lower];
+    if (hex) return hex.toLowerCase();
+    if (ColorParser.cssColorNames.has(lower)) return lower;
+
+    return null;
+  }
+
+  /**
+   * Parse a length in px ("12" or "12px")
+   * @param {string} value - Length text
+   * @returns {number|null} Number of px or null
+   */
+  parseLength(value) {
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)(px)?$/i);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Parse an opacity as a fraction or percentage
+   * @param {string} value - Opacity text
+   * @returns {number|null} Opacity between 0 and 1 or null
+   */
+  parseOpacity(value) {
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)(%)?$/);
+    if (!match) return null;
+    const number = parseFloat(match[1]) / (match[2] ? 100 : 1);
+    return number >= 0 && number <= 1 ? number : null;
+  }
+
+  /**
+   * Remove all key:value pairs from a parameter string
+   * @param {string} params - Parameter string
+   * @returns {string} Whatever is left
+   */
+  stripMatches(params) {
+    return params.replace(this.paramPattern, '');
+  }
+}
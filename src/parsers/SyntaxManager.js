@@ -2,6 +2,7 @@ import { QuotedStringParser } from './QuotedStringParser.js';
 import { EdgeSyntaxParser } from './EdgeSyntaxParser.js';
 import { NodeBuilder } from './NodeBuilder.js';
 import { EdgeBuilder } from './EdgeBuilder.js';
+import { GroupBuilder } from './GroupBuilder.js';
 import { CommandHandler } from './CommandHandler.js';
 import { IDManager } from './IDManager.js';
 
@@ -12,10 +13,23 @@ import { IDManager } from './IDManager.js';
  * Syntax Rules:
  * - Each line is a separate command
  * - Use quotes for multi-line labels: "Multi\nLine"->node
- * - Arrows: ->, <-, <->
- * - Labeled arrows: -label->
+ * - Arrows: ->, <-, <->, --, -.->, ==>, --o, --x (see EdgeSyntaxParser)
+ * - Labeled arrows: a -label-> b, a-"re-try"->b or a -> b : label;
+ *   hyphenated names stay names (login-retry->home)
+ * - Escapes: \ makes the next character literal (a\->b is one node)
  * - Standalone nodes: just type the label
+ * - Shaped nodes: shape:nodeId (e.g. circle:start, diamond:decision)
  * - Commands: @node_id to open style inspector
+ * - Deletion: =delete(nodeId), =delete(:N), =delete(a->b) removes what the
+ *   lines above created; later lines can create it again
+ * - Labels: =rename(nodeId, "Label") sets the display label, the ID stays
+ * - Groups: group Name { a, b, c } on one line, or a block whose lines
+ *   (nodes, edges, comma-separated nodes) are all members, closed by }
+ *   =group(Name, a, b) puts existing nodes into a group
+ *
+ * Problems are reported as diagnostics {line, column, severity, message} with
+ * 1-based positions in the input; severity is 'error' when (part of) a line
+ * was ignored and 'warning' when it refers to something that doesn't exist
  */
 export class SyntaxManager {
   constructor() {
@@ -24,14 +38,23 @@ export class SyntaxManager {
     this.idManager = new IDManager();
     this.nodeBuilder = new NodeBuilder(this.idManager);
     this.edgeBuilder = new EdgeBuilder();
+    this.groupBuilder = new GroupBuilder();
     this.commandHandler = new CommandHandler();
     this.detectedCommands = [];
+    this.diagnostics = [];
+    this.currentLine = null; // {number, text} of the input line being parsed
+
+    // Regex to match the start of a group block: group Name { ...
+    this.groupStartPattern = /^group\s+([^{]+?)\s*\{(.*)$/i;
+    this.inGroupBlock = false; // A group block is open while parsing
+    this.currentGroup = null; // Its group (null if the group was refused)
+    this.currentGroupLine = null; // Line that opened it
   }
 
   /**
    * Parse input text into nodes and edges
    * @param {string} input - Raw input text
-   * @returns {Object} {nodes: Array, edges: Array, commands: Array}
+   * @returns {Object} {nodes: Array, edges: Array, groups: Array, commands: Array, diagnostics: Array}
    */
   parse(input) {
     console.log('[SyntaxManager] Starting parse with input:', input);
@@ -39,7 +62,11 @@ export class SyntaxManager {
     // Clear previous state
     this.nodeBuilder.clear();
     this.edgeBuilder.clear();
+    this.groupBuilder.clear();
+    this.inGroupBlock = false;
+    this.currentGroup = null;
     this.detectedCommands = [];
+    this.diagnostics = [];
 
     // Step 1: Extract commands (like @node_id)
     const { commands, cleanedInput } = this.commandHandler.extractCommand(input);
@@ -51,24 +78,44 @@ export class SyntaxManager {
     const processedInput = this.quotedStringParser.extractQuotedStrings(cleanedInput);
     console.log('[SyntaxManager] After extracting quotes:', processedInput);
 
-    // Step 3: Split into lines (each line is a command)
-    const lines = processedInput
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
-
-    console.log('[SyntaxManager] Lines to process:', lines);
+    // Step 3: Split into lines (each line is a command), counting input lines
+    // so diagnostics point at the text as typed
+    const lines = processedInput.split('\n');
+    let lineNumber = 1;
 
     // Step 4: Process each line
-    lines.forEach((line, index) => {
-      console.log(`[SyntaxManager] Processing line ${index}: "${line}"`);
-      this.parseLine(line);
+    lines.forEach(text => {
+      this.currentLine = { number: lineNumber, text };
+      lineNumber += 1 + this.quotedStringParser.countLineBreaks(text);
+
+      const line = text.trim();
+      if (!line) return;
+
+      console.log(`[SyntaxManager] Processing line ${this.currentLine.number}: "${line}"`);
+      try {
+        this.parseLine(line);
+      } catch (error) {
+        // e.g. a :N reference to a node that doesn't exist
+        this.report('error', error.message);
+      }
     });
 
+    if (this.inGroupBlock) {
+      this.currentLine = this.currentGroupLine;
+      this.report('warning', this.currentGroup
+        ? `Group '${this.currentGroup}' is missing its closing }`
+        : 'Group block is missing its closing }');
+      this.inGroupBlock = false;
+      this.currentGroup = null;
+    }
+    this.currentLine = null;
+
     const result = {
       nodes: this.nodeBuilder.getNodes(),
       edges: this.edgeBuilder.getEdges(),
+      groups: this.groupBuilder.getGroups(),
       commands: this.detectedCommands,
+      diagnostics: this.diagnostics,
     };
 
     console.log('[SyntaxManager] Parse complete:', result);
@@ -80,29 +127,309 @@ export class SyntaxManager {
    * @param {string} line - Line to parse
    */
   parseLine(line) {
+    // Structural commands (=delete, =rename, =group) are applied in line order
+    const command = this.commandHandler.detectCommand(line);
+    if (command && this.commandHandler.isStructural(command)) {
+      this.applyStructuralCommand(command);
+      return;
+    }
+
+    // An =command detectCommand doesn't understand is a mistake, not a node named "=foo(bar)"
+    if (!command && line.startsWith('=')) {
+      const name = (line.match(/^=(\w+)/) || [])[1];
+      const { equalsCommands } = this.commandHandler;
+      this.report('error', equalsCommands.includes(name)
+        ? `Malformed command, expected =${name}(...)`
+        : `Unknown command "=${name || ''}". Available: ${equalsCommands.map(c => `=${c}()`).join(', ')}`);
+      return;
+    }
+
+    // group Name { ... } opens a group block (closed on the same line or by a later })
+    const groupStart = line.match(this.groupStartPattern);
+    if (groupStart) {
+      // Groups and nodes share one ID space on the canvas; a refused group's
+      // statements are still parsed, just not grouped
+      const groupName = this.quotedStringParser.restoreQuotedStrings(groupStart[1]);
+      this.currentGroup = this.checkGroupName(groupName) ? this.groupBuilder.ensureGroup(groupName) : null;
+      this.inGroupBlock = true;
+      this.currentGroupLine = this.currentLine;
+
+      let body = groupStart[2];
+      const closed = body.trim().endsWith('}');
+      if (closed) {
+        body = body.trimEnd().slice(0, -1);
+      }
+      this.parseGroupMembers(body, line.length - groupStart[2].length);
+      if (closed) {
+        this.inGroupBlock = false;
+        this.currentGroup = null;
+      }
+      return;
+    }
+
+    if (this.inGroupBlock) {
+      const closed = line.endsWith('}');
+      this.parseGroupMembers(closed ? line.slice(0, -1) : line);
+      if (closed) {
+        this.inGroupBlock = false;
+        this.currentGroup = null;
+      }
+      return;
+    }
+
+    if (line === '}') {
+      this.report('warning', 'Ignoring } without an open group');
+      return;
+    }
+
+    this.parseStatement(line);
+  }
+
+  /**
+   * Check that a new group's name isn't a node's
+   * Groups become canvas nodes with their name as ID, so a group named like
+   * a node would replace it
+   * @param {string} groupName - Group name
+   * @returns {boolean} True if the group may be created (an existing group is fine)
+   */
+  checkGroupName(groupName) {
+    if (this.groupBuilder.findGroupId(groupName) || !this.nodeBuilder.findNodeId(groupName)) return true;
+
+    this.report('error', `Group '${groupName}' has the same name as a node; give the group another name`);
+    return false;
+  }
+
+  /**
+   * Create a node for a statement, unless its name is taken by a group
+   * @param {string} label - Node text (quoted strings as placeholders)
+   * @param {number} offset - Position of the statement in the line (for diagnostics)
+   * @returns {string|null} Node ID, or null if refused
+   */
+  ensureStatementNode(label, offset) {
+    const restored = this.quotedStringParser.restoreQuotedStrings(label);
+    const { ref } = this.nodeBuilder.parseShapePrefix(restored.trim());
+    if (!ref.startsWith(':') && !this.nodeBuilder.findNodeId(ref) && this.groupBuilder.findGroupId(ref)) {
+      this.report('error', `Node '${ref}' has the same name as a group; give the node another name`, offset);
+      return null;
+    }
+
+    return this.nodeBuilder.ensureNode(restored);
+  }
+
+  /**
+   * Parse comma-separated statements inside a group block and add every
+   * node they mention to the open group
+   * @param {string} text - Group body text
+   * @param {number} offset - Position of the text in the line (for diagnostics)
+   */
+  parseGroupMembers(text, offset = 0) {
+    let itemOffset = offset;
+    text.split(',').forEach(rawItem => {
+      const item = rawItem.trim();
+      if (item.length > 0) {
+        const nodeIds = this.parseStatement(item, itemOffset + rawItem.indexOf(item));
+        if (this.currentGroup) {
+          nodeIds.forEach(nodeId => this.groupBuilder.addMember(this.currentGroup, nodeId));
+        }
+      }
+      itemOffset += rawItem.length + 1;
+    });
+  }
+
+  /**
+   * Parse a node or edge statement
+   * @param {string} line - Statement text
+   * @param {number} offset - Position of the statement in the line (for diagnostics)
+   * @returns {Array} IDs of the nodes the statement mentions
+   */
+  parseStatement(line, offset = 0) {
     // Check if line contains arrows
-    const { nodeLabels, arrows } = this.edgeSyntaxParser.parseLine(line);
+    const { nodeLabels, arrows, errors } = this.edgeSyntaxParser.parseLine(line);
+    errors.forEach(error => this.report('error', error.message, offset + error.index));
 
     if (arrows.length > 0) {
       // Line has arrows - create nodes and edges
-      // Restore quoted strings in node labels
-      const restoredLabels = nodeLabels.map(label =>
-        this.quotedStringParser.restoreQuotedStrings(label)
-      );
+      // Restore quoted strings in node labels; missing nodes stay null and get no edges
+      const nodeIds = nodeLabels.map(label => (label ? this.ensureStatementNode(label, offset) : null));
 
-      // Create nodes
-      const nodeIds = restoredLabels.map(label => this.nodeBuilder.ensureNode(label));
+      // Quoted edge labels (-"a-b"->) may contain dashes and arrows
+      arrows.forEach(arrow => {
+        if (arrow.edgeLabel) {
+          arrow.edgeLabel = this.quotedStringParser.restoreQuotedStrings(arrow.edgeLabel);
+        }
+      });
 
       // Create edges
       this.edgeBuilder.createEdgesFromArrows(arrows, nodeIds);
-    } else {
-      // No arrows - standalone node
-      const restoredLabel = this.quotedStringParser.restoreQuotedStrings(line);
-      this.nodeBuilder.ensureNode(restoredLabel);
-      console.log(`[SyntaxManager] Added standalone node: ${restoredLabel}`);
+      return nodeIds.filter(Boolean);
+    }
+
+    // No arrows - standalone node (escapes resolved)
+    if (!nodeLabels[0]) {
+      return [];
+    }
+    const nodeId = this.ensureStatementNode(nodeLabels[0], offset);
+    if (!nodeId) return [];
+    console.log(`[SyntaxManager] Added standalone node: ${nodeId}`);
+    return [nodeId];
+  }
+
+  /**
+   * Apply a structural command to the nodes and edges parsed so far
+   * @param {Object} command - Command object from CommandHandler
+   */
+  applyStructuralCommand(command) {
+    if (command.type === 'delete') {
+      if (command.targets.length === 0) {
+        this.report('error', `=delete needs at least one target: ${command.rawCommand}`);
+        return;
+      }
+      command.targets.forEach(target => this.deleteTarget(target));
+    } else if (command.type === 'rename') {
+      const ref = this.quotedStringParser.restoreQuotedStrings(command.oldId || '');
+      const newLabel = this.quotedStringParser.restoreQuotedStrings(command.newLabel);
+      const groupId = this.findGroupTarget(ref);
+      if (!newLabel) {
+        this.report('error', `=rename needs a new label: ${command.rawCommand}`);
+      } else if (groupId) {
+        this.groupBuilder.setLabel(groupId, newLabel);
+      } else {
+        const nodeId = this.resolveExistingNode(ref);
+        if (nodeId) {
+          this.nodeBuilder.setLabel(nodeId, newLabel);
+        }
+      }
+    } else if (command.type === 'group') {
+      const groupName = this.quotedStringParser.restoreQuotedStrings(command.groupName || '');
+      if (!groupName) {
+        this.report('error', `=group needs a group name: ${command.rawCommand}`);
+        return;
+      }
+
+      if (!this.checkGroupName(groupName)) return;
+
+      const groupId = this.groupBuilder.ensureGroup(groupName);
+      command.members.forEach(member => {
+        const nodeId = this.resolveExistingNode(this.quotedStringParser.restoreQuotedStrings(member));
+        if (nodeId) {
+          this.groupBuilder.addMember(groupId, nodeId);
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete a node (with its edges) or an edge expression like a->b
+   * @param {string} target - Node ID, :N reference or arrow expression (quoted strings as placeholders)
+   */
+  deleteTarget(target) {
+    const restore = (text) => this.quotedStringParser.restoreQuotedStrings(text);
+    const { nodeLabels, arrows } = this.edgeSyntaxParser.parseLine(target);
+
+    if (arrows.length > 0) {
+      // Edge expression - remove matching edges between each pair of nodes
+      for (let i = 0; i < arrows.length; i++) {
+        const source = this.resolveExistingNode(restore(nodeLabels[i]));
+        const targetId = this.resolveExistingNode(restore(nodeLabels[i + 1]));
+        if (!source || !targetId) continue;
+
+        const { direction } = arrows[i];
+        const edgeLabel = arrows[i].edgeLabel && restore(arrows[i].edgeLabel);
+        if (direction !== 'backward') {
+          this.edgeBuilder.removeEdgesBetween(source, targetId, edgeLabel);
+        }
+        if (direction === 'backward' || direction === 'bidirectional' || direction === 'undirected') {
+          this.edgeBuilder.removeEdgesBetween(targetId, source, edgeLabel);
+        }
+      }
+      return;
+    }
+
+    // A group name removes the group and leaves its members in place
+    const ref = restore(nodeLabels[0]);
+    const groupId = this.findGroupTarget(ref);
+    if (groupId) {
+      this.groupBuilder.removeGroup(groupId);
+      return;
+    }
+
+    const nodeId = this.resolveExistingNode(ref);
+    if (nodeId) {
+      this.edgeBuilder.removeEdgesForNode(nodeId);
+      this.nodeBuilder.removeNode(nodeId);
+      this.groupBuilder.removeMember(nodeId);
     }
   }
 
+  /**
+   * Resolve a reference to a group; node IDs take precedence
+   * @param {string} ref - Group or node reference
+   * @returns {string|null} Existing group ID or null
+   */
+  findGroupTarget(ref) {
+    const trimmed = (ref || '').trim();
+    if (!trimmed || trimmed.startsWith(':') || this.nodeBuilder.findNodeId(trimmed)) {
+      return null;
+    }
+    return this.groupBuilder.findGroupId(trimmed);
+  }
+
+  /**
+   * Resolve a node reference without creating the node
+   * @param {string} ref - Node ID or :N reference
+   * @returns {string|null} Existing node ID or null
+   */
+  resolveExistingNode(ref) {
+    if (!ref) return null;
+
+    let nodeId = ref.trim();
+    if (nodeId.startsWith(':')) {
+      try {
+        nodeId = this.idManager.resolveReference(nodeId);
+      } catch (error) {
+        this.report('warning', `Cannot resolve ${ref}: ${error.message}`);
+        return null;
+      }
+    }
+
+    const existing = this.nodeBuilder.findNodeId(nodeId);
+    if (!existing) {
+      this.report('warning', `Node '${ref}' not found`);
+    }
+    return existing;
+  }
+
+  /**
+   * Record a diagnostic for the line being parsed (and log it)
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} message - What is wrong
+   * @param {number} index - Position in the trimmed line (default: its start)
+   */
+  report(severity, message, index = 0) {
+    let line = null;
+    let column = null;
+    if (this.currentLine) {
+      // Text before the position as typed; multi-line quoted strings move it to a later line
+      const { number, text } = this.currentLine;
+      const indent = text.length - text.trimStart().length;
+      const before = this.quotedStringParser.restoreSourceText(text.substring(0, indent + index)).split('\n');
+      line = number + before.length - 1;
+      column = before[before.length - 1].length + 1;
+    }
+
+    // Messages quote parts of the line, which may hold quoted string placeholders
+    const text = this.quotedStringParser.restoreSourceText(message);
+    this.diagnostics.push({ line, column, severity, message: text });
+  }
+
+  /**
+   * Get diagnostics from the last parse
+   * @returns {Array} Array of {line, column, severity, message}
+   */
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
   /**
    * Get node order (for layout)
    * @returns {Array} Array of node IDs in creation order
@@ -111,6 +438,14 @@ export class SyntaxManager {
     return this.nodeBuilder.getNodeOrder();
   }
 
+  /**
+   * Get groups from the last parse
+   * @returns {Array} Array of group objects {id, label, children}
+   */
+  getGroups() {
+    return this.groupBuilder.getGroups();
+  }
+
   /**
    * Get detected commands
    * @returns {Array} Array of command objects
@@ -1,5 +1,6 @@
 /**
  * Layout Manager - Dispatches to individual layout handlers
+ * Groups are laid out as a unit through GroupLayout
  */
 
 import DecisionLayout from './layouts/DecisionLayout.js';
@@ -7,13 +8,15 @@ import TreeLayout from './layouts/TreeLayout.js';
 import ListLayout from './layouts/ListLayout.js';
 import GridLayout from './layouts/GridLayout.js';
 import CircleLayout from './layouts/CircleLayout.js';
+import FlowLayout from './layouts/FlowLayout.js';
+import GroupLayout from './layouts/GroupLayout.js';
 
 /**
  * Decision Layout
  * Delegates to DecisionLayout handler
  */
 export const applyDecisionLayout = (nodes, edges) => {
-  return DecisionLayout.apply(nodes, edges);
+  return GroupLayout.apply(DecisionLayout, nodes, edges);
 };
 
 /**
@@ -21,7 +24,7 @@ export const applyDecisionLayout = (nodes, edges) => {
  * Delegates to TreeLayout handler
  */
 export const applyTreeLayout = (nodes, edges) => {
-  return TreeLayout.apply(nodes, edges);
+  return GroupLayout.apply(TreeLayout, nodes, edges);
 };
 
 /**
@@ -29,21 +32,61 @@ export const applyTreeLayout = (nodes, edges) => {
  * Delegates to ListLayout handler
  */
 export const applyListLayout = (nodes, edges) => {
-  return ListLayout.apply(nodes, edges);
+  return GroupLayout.apply(ListLayout, nodes, edges);
 };
 
 /**
- * Grid Layout
+ * Grid Layout (rows and columns, size-aware cells)
  * Delegates to GridLayout handler
+ * @param {Object} options - { columns }
  */
-export const applyGridLayout = (nodes, edges) => {
-  return GridLayout.apply(nodes, edges);
+export const applyGridLayout = (nodes, edges, options = {}) => {
+  return GroupLayout.apply(GridLayout, nodes, edges, options);
 };
 
 /**
- * Circle Layout
+ * Circle Layout (single ring or radial rings by depth)
  * Delegates to CircleLayout handler
+ * @param {Object} options - { mode: 'circle' | 'radial' }
  */
-export const applyCircleLayout = (nodes, edges) => {
-  return CircleLayout.apply(nodes, edges);
+export const applyCircleLayout = (nodes, edges, options = {}) => {
+  return GroupLayout.apply(CircleLayout, nodes, edges, options);
+};
+
+/**
+ * Flow Layout (layered dagre layout with crossing minimisation)
+ * Delegates to FlowLayout handler
+ * @param {Object} options - { direction: 'TB' | 'LR' | 'BT' | 'RL' }
+ */
+export const applyFlowLayout = (nodes, edges, options = {}) => {
+  return GroupLayout.apply(FlowLayout, nodes, edges, options);
+};
+
+/**
+ * Apply a layout by the name used in =layout(type, option)
+ * @param {string} layoutType - decision, tree, list, grid, circle or flow (alias: dagre)
+ * @param {Array} nodes - Nodes to lay out
+ * @param {Array} edges - Edges between them
+ * @param {Object} options - Layout options from CommandHandler.parseLayoutOptions
+ * @returns {Array|null} Laid out nodes, or null for an unknown layout type
+ */
+export const applyLayout = (layoutType, nodes, edges, options = {}) => {
+  switch (layoutType) {
+    case 'decision':
+      return applyDecisionLayout(nodes, edges);
+    case 'tree':
+      return applyTreeLayout(nodes, edges);
+    case 'list':
+      return applyListLayout(nodes, edges);
+    case 'grid':
+      return applyGridLayout(nodes, edges, options);
+    case 'circle':
+      return applyCircleLayout(nodes, edges, options);
+    case 'flow':
+    case 'dagre':
+      return applyFlowLayout(nodes, edges, options);
+    default:
+      console.error('[layoutAlgorithms] Unknown layout type:', layoutType);
+      return null;
+  }
 };
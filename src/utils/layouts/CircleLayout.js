@@ -1,17 +1,173 @@
 /**
  * Circle Layout Handler
- * TODO: Implement circle layout
+ * Two variants:
+ * - circle: all nodes evenly spaced on a single ring, in creation order
+ * - radial: roots in the center, each level of descendants on its own ring
+ *
+ * Ring radii grow with the node sizes so neighbours never overlap.
  */
 
+import { getNodeSize } from './nodeSize.js';
+
+const SPACING = {
+  node: 40,   // Minimum gap between neighbours on a ring
+  ring: 120,  // Minimum gap between concentric rings
+};
+
+const CENTER = { x: 400, y: 300 };
+
 export default class CircleLayout {
   /**
    * Apply circle layout to nodes
    * @param {Array} nodes - Current nodes
    * @param {Array} edges - Current edges
+   * @param {Object} options - Layout options
+   * @param {string} options.mode - 'circle' (default) or 'radial'
    * @returns {Array} Nodes with updated positions
    */
-  static apply(nodes, edges) {
-    console.log('[CircleLayout] Not yet implemented');
-    return nodes;
+  static apply(nodes, edges, options = {}) {
+    console.log('[CircleLayout] Starting layout with nodes:', nodes.length, 'edges:', edges.length, 'mode:', options.mode || 'circle');
+
+    if (nodes.length === 0) return nodes;
+
+    const centers = options.mode === 'radial'
+      ? this.radialCenters(nodes, edges)
+      : this.circleCenters(nodes);
+
+    // Convert center points to ReactFlow top-left positions
+    return nodes.map(node => {
+      const center = centers.get(node.id);
+      if (!center) return node;
+
+      const { width, height } = getNodeSize(node);
+      const position = {
+        x: center.x - width / 2,
+        y: center.y - height / 2,
+      };
+      console.log('[CircleLayout] Positioned', node.id, ':', position);
+
+      return { ...node, position };
+    });
+  }
+
+  /**
+   * Smallest radius that fits the given nodes around a ring without overlap
+   * @param {Array} ringNodes - Nodes on the ring
+   * @param {number} minRadius - Radius to use at least
+   * @returns {number} Radius
+   */
+  static ringRadius(ringNodes, minRadius = 0) {
+    if (ringNodes.length <= 1) return minRadius;
+
+    // Use each node's diagonal so rotated neighbours can't touch
+    const circumference = ringNodes.reduce((sum, node) => {
+      const { width, height } = getNodeSize(node);
+      return sum + Math.hypot(width, height) + SPACING.node;
+    }, 0);
+
+    return Math.max(minRadius, circumference / (2 * Math.PI));
+  }
+
+  /**
+   * Place all nodes on a single ring starting at the top
+   * @param {Array} nodes - Nodes to place
+   * @returns {Map} nodeId -> center point
+   */
+  static circleCenters(nodes) {
+    const centers = new Map();
+
+    if (nodes.length === 1) {
+      centers.set(nodes[0].id, { ...CENTER });
+      return centers;
+    }
+
+    const radius = this.ringRadius(nodes);
+    nodes.forEach((node, index) => {
+      const angle = (2 * Math.PI * index) / nodes.length - Math.PI / 2;
+      centers.set(node.id, {
+        x: CENTER.x + radius * Math.cos(angle),
+        y: CENTER.y + radius * Math.sin(angle),
+      });
+    });
+
+    return centers;
+  }
+
+  /**
+   * Place roots in the middle and each BFS level on the next ring out
+   * @param {Array} nodes - Nodes to place
+   * @param {Array} edges - Edges used to derive levels
+   * @returns {Map} nodeId -> center point
+   */
+  static radialCenters(nodes, edges) {
+    const nodeMap = new Map(nodes.map(n => [n.id, n]));
+
+    // Build parent -> children mapping
+    const children = new Map();
+    const incomingCount = new Map(nodes.map(n => [n.id, 0]));
+    edges.forEach(edge => {
+      if (edge.source === edge.target) return;
+      if (!children.has(edge.source)) {
+        children.set(edge.source, []);
+      }
+      children.get(edge.source).push(edge.target);
+      incomingCount.set(edge.target, (incomingCount.get(edge.target) || 0) + 1);
+    });
+
+    const roots = nodes.filter(n => incomingCount.get(n.id) === 0);
+    if (roots.length === 0) {
+      console.warn('[CircleLayout] No root nodes found, using first node');
+      roots.push(nodes[0]);
+    }
+
+    // Breadth-first levels; unreachable nodes go on the outermost ring
+    const levels = [roots.map(r => r.id)];
+    const visited = new Set(levels[0]);
+    while (levels[levels.length - 1].length > 0) {
+      const next = [];
+      levels[levels.length - 1].forEach(nodeId => {
+        (children.get(nodeId) || []).forEach(childId => {
+          if (!visited.has(childId) && nodeMap.has(childId)) {
+            visited.add(childId);
+            next.push(childId);
+          }
+        });
+      });
+      levels.push(next);
+    }
+    levels.pop();
+
+    const unvisited = nodes.filter(n => !visited.has(n.id)).map(n => n.id);
+    if (unvisited.length > 0) {
+      levels.push(unvisited);
+    }
+
+    const centers = new Map();
+    let previousRadius = 0;
+
+    levels.forEach((levelIds, level) => {
+      const ringNodes = levelIds.map(id => nodeMap.get(id));
+
+      // A single root sits exactly in the middle
+      if (level === 0 && ringNodes.length === 1) {
+        centers.set(levelIds[0], { ...CENTER });
+        const { width, height } = getNodeSize(ringNodes[0]);
+        previousRadius = Math.hypot(width, height) / 2;
+        return;
+      }
+
+      const radius = this.ringRadius(ringNodes, previousRadius + SPACING.ring);
+      levelIds.forEach((nodeId, index) => {
+        const angle = (2 * Math.PI * index) / levelIds.length - Math.PI / 2;
+        centers.set(nodeId, {
+          x: CENTER.x + radius * Math.cos(angle),
+          y: CENTER.y + radius * Math.sin(angle),
+        });
+      });
+      console.log('[CircleLayout] Ring', level, 'radius:', radius, 'nodes:', levelIds);
+      previousRadius = radius;
+    });
+
+    return centers;
   }
 }
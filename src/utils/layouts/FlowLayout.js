@@ -0,0 +1,97 @@
+/**
+ * Flow Layout Handler
+ * Layered (Sugiyama-style) layout computed by dagre:
+ * - Nodes are assigned to ranks along the flow direction
+ * - Node order within each rank is chosen to minimise edge crossings
+ * - Rank and node separation account for each node's real size
+ *
+ * Directions: TB (top-bottom), LR (left-right), BT (bottom-top), RL (right-left)
+ */
+
+import dagre from 'dagre';
+import { getNodeSize } from './nodeSize.js';
+
+const SPACING = {
+  rank: 80,  // Gap between ranks (along the flow direction)
+  node: 50,  // Gap between nodes in the same rank
+  edge: 20,  // Gap between parallel edges
+};
+
+const DIRECTIONS = ['TB', 'LR', 'BT', 'RL'];
+
+const ORIGIN = { x: 100, y: 50 };
+
+export default class FlowLayout {
+  /**
+   * Apply flow layout to nodes
+   * @param {Array} nodes - Current nodes
+   * @param {Array} edges - Current edges
+   * @param {Object} options - Layout options
+   * @param {string} options.direction - TB, LR, BT or RL (default: TB)
+   * @returns {Array} Nodes with updated positions
+   */
+  static apply(nodes, edges, options = {}) {
+    const direction = FlowLayout.normalizeDirection(options.direction);
+    console.log('[FlowLayout] Starting layout with nodes:', nodes.length, 'edges:', edges.length, 'direction:', direction);
+
+    if (nodes.length === 0) return nodes;
+
+    const graph = new dagre.graphlib.Graph({ multigraph: true });
+    graph.setGraph({
+      rankdir: direction,
+      ranksep: SPACING.rank,
+      nodesep: SPACING.node,
+      edgesep: SPACING.edge,
+      marginx: ORIGIN.x,
+      marginy: ORIGIN.y,
+    });
+    graph.setDefaultEdgeLabel(() => ({}));
+
+    const sizes = new Map();
+    nodes.forEach(node => {
+      const size = getNodeSize(node);
+      sizes.set(node.id, size);
+      graph.setNode(node.id, { width: size.width, height: size.height });
+    });
+
+    edges.forEach((edge, index) => {
+      // Self-loops don't affect ranking
+      if (edge.source === edge.target) return;
+      if (!sizes.has(edge.source) || !sizes.has(edge.target)) return;
+
+      graph.setEdge(edge.source, edge.target, {
+        // Reserve room for edge labels between ranks
+        width: edge.label ? String(edge.label).length * 7 : 0,
+        height: edge.label ? 16 : 0,
+      }, edge.id || String(index));
+    });
+
+    dagre.layout(graph);
+
+    // dagre returns node centers, ReactFlow positions are top-left corners
+    return nodes.map(node => {
+      const layoutNode = graph.node(node.id);
+      if (!layoutNode) return node;
+
+      const { width, height } = sizes.get(node.id);
+      const position = {
+        x: layoutNode.x - width / 2,
+        y: layoutNode.y - height / 2,
+      };
+      console.log('[FlowLayout] Positioned', node.id, ':', position);
+
+      return { ...node, position };
+    });
+  }
+
+  /**
+   * Normalise a direction argument, falling back to TB
+   * @param {string} direction - Direction argument (case-insensitive)
+   * @returns {string} One of TB, LR, BT, RL
+   */
+  static normalizeDirection(direction) {
+    const upper = (direction || '').toUpperCase();
+    if (upper === 'TD') return 'TB';
+    return DIRECTIONS.includes(upper) ? upper : 'TB';
+  }
+}
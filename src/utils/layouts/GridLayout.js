@@ -1,17 +1,78 @@
 /**
  * Grid Layout Handler
- * TODO: Implement grid layout
+ * Arranges nodes in rows and columns in the order they were created
+ * - Column count is configurable, defaults to a near-square grid
+ * - Each column is as wide as its widest node, each row as tall as its tallest
+ * - Nodes are centered inside their cell
  */
 
+import { getNodeSize } from './nodeSize.js';
+
+const SPACING = {
+  horizontal: 60,
+  vertical: 60,
+};
+
 export default class GridLayout {
   /**
    * Apply grid layout to nodes
    * @param {Array} nodes - Current nodes
    * @param {Array} edges - Current edges
+   * @param {Object} options - Layout options
+   * @param {number} options.columns - Number of columns (default: ceil(sqrt(n)))
    * @returns {Array} Nodes with updated positions
    */
-  static apply(nodes, edges) {
-    console.log('[GridLayout] Not yet implemented');
-    return nodes;
+  static apply(nodes, edges, options = {}) {
+    console.log('[GridLayout] Starting layout with nodes:', nodes.length, 'edges:', edges.length);
+
+    if (nodes.length === 0) return nodes;
+
+    const requestedColumns = parseInt(options.columns, 10);
+    const columns = requestedColumns > 0
+      ? Math.min(requestedColumns, nodes.length)
+      : Math.ceil(Math.sqrt(nodes.length));
+    const rows = Math.ceil(nodes.length / columns);
+
+    console.log('[GridLayout] Grid size:', columns, 'x', rows);
+
+    const sizes = nodes.map(getNodeSize);
+
+    // Size each column to its widest node and each row to its tallest node
+    const columnWidths = new Array(columns).fill(0);
+    const rowHeights = new Array(rows).fill(0);
+    sizes.forEach((size, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      columnWidths[column] = Math.max(columnWidths[column], size.width);
+      rowHeights[row] = Math.max(rowHeights[row], size.height);
+    });
+
+    // Cumulative offsets of each column and row
+    const startX = 100;
+    const startY = 50;
+    const columnX = [];
+    const rowY = [];
+    columnWidths.reduce((x, width, i) => {
+      columnX[i] = x;
+      return x + width + SPACING.horizontal;
+    }, startX);
+    rowHeights.reduce((y, height, i) => {
+      rowY[i] = y;
+      return y + height + SPACING.vertical;
+    }, startY);
+
+    return nodes.map((node, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      const { width, height } = sizes[index];
+
+      const position = {
+        x: columnX[column] + (columnWidths[column] - width) / 2,
+        y: rowY[row] + (rowHeights[row] - height) / 2,
+      };
+      console.log('[GridLayout] Positioned', node.id, 'at cell', column, row, ':', position);
+
+      return { ...node, position };
+    });
   }
 }
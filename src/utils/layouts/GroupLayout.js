@@ -0,0 +1,169 @@
+/**
+ * Group Layout Helper
+ * Lets any layout handler arrange diagrams that contain groups:
+ * - Each group's children are laid out by the handler on their own
+ * - The group is then sized to fit them and treated as one node
+ * - Top-level nodes and groups are laid out together, with edges into a
+ *   group connected to the group itself
+ *
+ * Child positions are relative to their group (ReactFlow parentNode).
+ * The group size lives in node.style so ReactFlow's expandParent can grow it.
+ */
+
+import { getNodeSize } from './nodeSize.js';
+
+export const GROUP_PADDING = 20;
+// Room for the group label above the children
+export const GROUP_HEADER = 28;
+const MIN_GROUP_WIDTH = 120;
+
+export default class GroupLayout {
+  /**
+   * Apply a layout handler to nodes that may contain groups
+   * @param {Object} handler - Layout handler class with static apply(nodes, edges, options)
+   * @param {Array} nodes - Current nodes (groups before their children)
+   * @param {Array} edges - Current edges
+   * @param {Object} options - Options passed through to the handler
+   * @returns {Array} Nodes with updated positions, in the original order
+   */
+  static apply(handler, nodes, edges, options = {}) {
+    const groups = nodes.filter(node => node.type === 'group');
+    if (groups.length === 0) {
+      return handler.apply(nodes, edges, options);
+    }
+
+    console.log('[GroupLayout] Laying out', groups.length, 'group(s)');
+
+    const laidOut = new Map();
+    const groupSizes = new Map();
+
+    // 1. Lay out the inside of each group
+    groups.forEach(group => {
+      const children = nodes.filter(node => node.parentNode === group.id);
+      if (children.length === 0) return;
+
+      const childIds = new Set(children.map(child => child.id));
+      const innerEdges = edges.filter(edge => childIds.has(edge.source) && childIds.has(edge.target));
+      const positioned = handler.apply(children.map(GroupLayout.copyNode), innerEdges, options);
+
+      const { children: fitted, width, height } = GroupLayout.fitChildren(positioned, group);
+      fitted.forEach(child => laidOut.set(child.id, child));
+      groupSizes.set(group.id, { width, height });
+    });
+
+    // 2. Lay out top-level nodes, with each group standing in for its children
+    const topLevel = nodes
+      .filter(node => !node.parentNode)
+      .map(node => {
+        const size = groupSizes.get(node.id);
+        return size ? { ...GroupLayout.copyNode(node), ...size } : GroupLayout.copyNode(node);
+      });
+
+    const ownerOf = new Map(nodes.map(node => [node.id, node.parentNode || node.id]));
+    const seen = new Set();
+    const liftedEdges = [];
+    edges.forEach(edge => {
+      const source = ownerOf.get(edge.source);
+      const target = ownerOf.get(edge.target);
+      if (!source || !target || source === target) return;
+
+      const key = `${source}->${target}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      liftedEdges.push({ ...edge, source, target });
+    });
+
+    handler.apply(topLevel, liftedEdges, options).forEach(node => {
+      const size = groupSizes.get(node.id);
+      if (size) {
+        // Drop the temporary layout size, ReactFlow measures the rendered group
+        const { width, height, ...group } = node;
+        laidOut.set(node.id, {
+          ...group,
+          style: { ...(group.style || {}), width: size.width, height: size.height },
+        });
+      } else {
+        laidOut.set(node.id, node);
+      }
+    });
+
+    return nodes.map(node => laidOut.get(node.id) || node);
+  }
+
+  /**
+   * Resize every group to fit its children, keeping the children where
+   * they are on the canvas
+   * @param {Array} nodes - Nodes (groups before their children)
+   * @returns {Array} Nodes with updated group sizes and child offsets
+   */
+  static fitGroups(nodes) {
+    const updated = new Map();
+
+    nodes.filter(node => node.type === 'group').forEach(group => {
+      const children = nodes.filter(node => node.parentNode === group.id);
+      if (children.length === 0) return;
+
+      const { children: fitted, width, height, offset } = GroupLayout.fitChildren(children, group);
+      fitted.forEach(child => updated.set(child.id, child));
+
+      // Move the group by the opposite of the child shift
+      updated.set(group.id, {
+        ...group,
+        position: {
+          x: group.position.x - offset.x,
+          y: group.position.y - offset.y,
+        },
+        style: { ...(group.style || {}), width, height },
+      });
+    });
+
+    if (updated.size === 0) return nodes;
+    return nodes.map(node => updated.get(node.id) || node);
+  }
+
+  /**
+   * Shift children so their bounding box starts inside the group padding
+   * and compute the group size around them
+   * @param {Array} children - Child nodes
+   * @param {Object} group - Group node (for its label width)
+   * @returns {Object} {children, width, height, offset}
+   */
+  static fitChildren(children, group) {
+    const boxes = children.map(child => ({ child, ...getNodeSize(child) }));
+
+    const minX = Math.min(...boxes.map(b => b.child.position.x));
+    const minY = Math.min(...boxes.map(b => b.child.position.y));
+    const maxX = Math.max(...boxes.map(b => b.child.position.x + b.width));
+    const maxY = Math.max(...boxes.map(b => b.child.position.y + b.height));
+
+    const offset = {
+      x: GROUP_PADDING - minX,
+      y: GROUP_HEADER + GROUP_PADDING - minY,
+    };
+
+    const label = String(group.data?.label ?? group.id);
+    const labelWidth = label.length * 8 + GROUP_PADDING * 2;
+
+    return {
+      children: children.map(child => ({
+        ...child,
+        position: {
+          x: child.position.x + offset.x,
+          y: child.position.y + offset.y,
+        },
+      })),
+      width: Math.max(maxX - minX + GROUP_PADDING * 2, labelWidth, MIN_GROUP_WIDTH),
+      height: maxY - minY + GROUP_HEADER + GROUP_PADDING * 2,
+      offset,
+    };
+  }
+
+  /**
+   * Copy a node so handlers that move nodes in place don't touch the input
+   * @param {Object} node - Node
+   * @returns {Object} Copy with its own position object
+   */
+  static copyNode(node) {
+    return { ...node, position: { ...(node.position || { x: 0, y: 0 }) } };
+  }
+}
@@ -4,8 +4,11 @@
  * - Root at top-left
  * - Children indented right and stacked vertically
  * - Grandchildren indented further right
+ * - Tall nodes (e.g. groups) push the following nodes down
  */
 
+import { getNodeSize } from './nodeSize.js';
+
 export default class ListLayout {
   /**
    * Apply list layout to nodes
@@ -50,30 +53,33 @@ export default class ListLayout {
 
     let currentY = startY;
 
-    // DFS traversal to position nodes
+    // DFS traversal to position nodes (iterative so long chains can't overflow the stack)
     const visited = new Set();
 
-    const positionNode = (nodeId, depth) => {
-      if (visited.has(nodeId)) return;
-      visited.add(nodeId);
-
-      const node = nodeMap.get(nodeId);
-      if (node) {
-        node.position = {
-          x: startX + depth * indentX,
-          y: currentY,
-        };
-        console.log('[ListLayout] Positioned', nodeId, 'at depth', depth, ':', node.position);
-        currentY += spacingY;
-      }
+    roots.forEach(root => {
+      const stack = [{ nodeId: root.id, depth: 0 }];
+      while (stack.length > 0) {
+        const { nodeId, depth } = stack.pop();
+        if (visited.has(nodeId)) continue;
+        visited.add(nodeId);
 
-      // Position children
-      const nodeChildren = children.get(nodeId) || [];
-      nodeChildren.forEach(childId => positionNode(childId, depth + 1));
-    };
+        const node = nodeMap.get(nodeId);
+        if (node) {
+          node.position = {
+            x: startX + depth * indentX,
+            y: currentY,
+          };
+          console.log('[ListLayout] Positioned', nodeId, 'at depth', depth, ':', node.position);
+          currentY += Math.max(spacingY, getNodeSize(node).height + spacingY / 2);
+        }
 
-    // Position all trees starting from roots
-    roots.forEach(root => positionNode(root.id, 0));
+        // Children next, pushed in reverse so they are positioned in edge order
+        const nodeChildren = children.get(nodeId) || [];
+        for (let i = nodeChildren.length - 1; i >= 0; i--) {
+          stack.push({ nodeId: nodeChildren[i], depth: depth + 1 });
+        }
+      }
+    });
 
     return updatedNodes;
   }
@@ -4,8 +4,11 @@
  * - Uses width-aware spacing to prevent visual confusion
  * - Centers parents above their children
  * - Maintains proper gaps between subtrees
+ * - Levels holding tall nodes (e.g. groups) get extra vertical room
  */
 
+import { getNodeSize } from './nodeSize.js';
+
 const SPACING = {
   horizontal: 150,
   vertical: 120,
@@ -51,21 +54,44 @@ export default class TreeLayout {
       children.get(edge.source).push(edge.target);
     });
 
-    // Calculate tree levels (depth-first traversal)
+    // Calculate tree levels (depth-first traversal, iterative so long chains can't overflow the stack).
+    // Each node belongs to the parent it is first reached through, so later passes walk a tree
+    // even when the edges have cycles or shared children
     const levels = new Map(); // nodeId -> level
-    const visited = new Set();
-
-    const assignLevels = (nodeId, level) => {
-      if (visited.has(nodeId)) return;
-      visited.add(nodeId);
-      levels.set(nodeId, level);
+    const treeChildren = new Map(); // nodeId -> children first reached through it
+    const order = []; // Node IDs in depth-first order, parents before their children
+
+    roots.forEach(root => {
+      const stack = [{ nodeId: root.id, level: 0, parentId: null }];
+      while (stack.length > 0) {
+        const { nodeId, level, parentId } = stack.pop();
+        if (levels.has(nodeId)) continue;
+
+        levels.set(nodeId, level);
+        order.push(nodeId);
+        treeChildren.set(nodeId, []);
+        if (parentId !== null) treeChildren.get(parentId).push(nodeId);
+
+        // Pushed in reverse so children are visited in edge order
+        const nodeChildren = children.get(nodeId) || [];
+        for (let i = nodeChildren.length - 1; i >= 0; i--) {
+          stack.push({ nodeId: nodeChildren[i], level: level + 1, parentId: nodeId });
+        }
+      }
+    });
 
-      const nodeChildren = children.get(nodeId) || [];
-      nodeChildren.forEach(childId => assignLevels(childId, level + 1));
+    // A node and everything below it in the tree
+    const getSubtree = (nodeId) => {
+      const subtree = [];
+      const stack = [nodeId];
+      while (stack.length > 0) {
+        const id = stack.pop();
+        subtree.push(id);
+        stack.push(...(treeChildren.get(id) || []));
+      }
+      return subtree;
     };
 
-    roots.forEach(root => assignLevels(root.id, 0));
-
     // Group nodes by level
     const nodesByLevel = new Map();
     levels.forEach((level, nodeId) => {
@@ -80,6 +106,15 @@ export default class TreeLayout {
     const nodeSpacing = SPACING.horizontal;
     const startY = 50;
 
+    // Each level starts below the tallest node of the level above
+    const levelY = new Map();
+    let nextY = startY;
+    [...nodesByLevel.keys()].sort((a, b) => a - b).forEach(level => {
+      levelY.set(level, nextY);
+      const tallest = Math.max(...nodesByLevel.get(level).map(id => getNodeSize(nodeMap.get(id)).height));
+      nextY += Math.max(levelHeight, tallest + levelHeight / 2);
+    });
+
     // Calculate positions level by level
     nodesByLevel.forEach((nodeIds, level) => {
       const totalWidth = (nodeIds.length - 1) * nodeSpacing;
@@ -90,61 +125,41 @@ export default class TreeLayout {
         if (node) {
           node.position = {
             x: startX + index * nodeSpacing - totalWidth / 2,
-            y: startY + level * levelHeight,
+            y: levelY.get(level),
           };
           console.log('[TreeLayout] Positioned', nodeId, 'at level', level, ':', node.position);
         }
       });
     });
 
-    // Center parents above their children
-    const centerParents = (nodeId) => {
-      const nodeChildren = children.get(nodeId);
-      if (!nodeChildren || nodeChildren.length === 0) return;
-
-      // First, center all children
-      nodeChildren.forEach(childId => centerParents(childId));
-
-      // Calculate average X of children
-      const childNodes = nodeChildren.map(id => nodeMap.get(id)).filter(Boolean);
-      if (childNodes.length > 0) {
-        const avgX = childNodes.reduce((sum, child) => sum + child.position.x, 0) / childNodes.length;
+    // Center parents above their children (reverse depth-first order handles children first)
+    const centerParents = () => {
+      [...order].reverse().forEach(nodeId => {
+        const childNodes = treeChildren.get(nodeId).map(id => nodeMap.get(id)).filter(Boolean);
         const parent = nodeMap.get(nodeId);
-        if (parent) {
-          parent.position.x = avgX;
+        if (childNodes.length > 0 && parent) {
+          // Average X of children
+          parent.position.x = childNodes.reduce((sum, child) => sum + child.position.x, 0) / childNodes.length;
         }
-      }
+      });
     };
 
     // First pass: center parents based on initial child positions
-    roots.forEach(root => centerParents(root.id));
+    centerParents();
 
-    // Helper: Estimate node width based on text length
+    // Helper: Node width (measured, resized, group size or a label estimate)
     const estimateNodeWidth = (nodeId) => {
-      // Approximate character width at 11px font size in system fonts: ~13px per char
-      // (Generous estimate to account for font metrics, kerning, whitespace, and browser rendering)
-      // Plus padding (12px left + 12px right = 24px) + border (1px * 2 = 2px)
-      const charWidth = 13;
-      const padding = 26; // 24px padding + 2px border
-      const estimatedWidth = nodeId.length * charWidth + padding;
-
-      // Return max of estimated width and minWidth (60px for rectangles)
-      return Math.max(estimatedWidth, 60);
+      const node = nodeMap.get(nodeId);
+      return node ? getNodeSize(node).width : 60;
     };
 
-    // Calculate subtree bounds (rightmost edge including node width)
+    // Calculate subtree bounds (rightmost edge of its leaves, including node width)
     const getSubtreeRight = (nodeId) => {
-      const node = nodeMap.get(nodeId);
-      if (!node) return 0;
-
-      const nodeChildren = children.get(nodeId);
-      if (!nodeChildren || nodeChildren.length === 0) {
-        // Return right edge: position + width
-        return node.position.x + estimateNodeWidth(nodeId);
-      }
-
-      // Return the rightmost edge of all children
-      return Math.max(...nodeChildren.map(childId => getSubtreeRight(childId)));
+      const leaves = getSubtree(nodeId).filter(id => treeChildren.get(id).length === 0);
+      return Math.max(...leaves.map(id => {
+        const node = nodeMap.get(id);
+        return node ? node.position.x + estimateNodeWidth(id) : 0;
+      }));
     };
 
     // Fix overlaps: ensure siblings maintain spacing based on subtree width
@@ -171,18 +186,10 @@ export default class TreeLayout {
             // Push current node and its entire subtree to the right
             const shift = requiredMinX - curr.position.x;
 
-            const shiftSubtree = (nodeId, shiftAmount) => {
-              const node = nodeMap.get(nodeId);
-              if (node) {
-                node.position.x += shiftAmount;
-                const nodeChildren = children.get(nodeId);
-                if (nodeChildren) {
-                  nodeChildren.forEach(childId => shiftSubtree(childId, shiftAmount));
-                }
-              }
-            };
-
-            shiftSubtree(curr.id, shift);
+            getSubtree(curr.id).forEach(id => {
+              const node = nodeMap.get(id);
+              if (node) node.position.x += shift;
+            });
           }
         }
       });
@@ -192,7 +199,7 @@ export default class TreeLayout {
     applySpacing();
 
     // Second pass: re-center parents after children have been repositioned by spacing
-    roots.forEach(root => centerParents(root.id));
+    centerParents();
 
     // Third pass: fix any overlaps created by re-centering parents
     applySpacing();
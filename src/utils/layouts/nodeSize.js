@@ -0,0 +1,49 @@
+/**
+ * Node size helper shared by the layout handlers
+ * Prefers the size ReactFlow measured after render, then explicit style
+ * sizes (set by resizing), then the node type defaults and a label estimate
+ */
+
+import { nodeDefaults } from '../../nodes/nodeDefaults.js';
+
+// Approximate character width at 11px font size (see TreeLayout)
+const CHAR_WIDTH = 13;
+// 24px horizontal padding + 2px border
+const LABEL_PADDING = 26;
+
+/**
+ * Get the width and height a node occupies on the canvas
+ * @param {Object} node - ReactFlow node
+ * @returns {Object} {width, height}
+ */
+export const getNodeSize = (node) => {
+  if (node.width && node.height) {
+    return { width: node.width, height: node.height };
+  }
+
+  // Groups keep their size in node.style (see GroupLayout)
+  if (node.style?.width && node.style?.height) {
+    return { width: parseFloat(node.style.width), height: parseFloat(node.style.height) };
+  }
+
+  const defaults = nodeDefaults[node.type] || nodeDefaults.rectangle;
+  const style = { ...defaults, ...(node.data?.styleOverrides || {}) };
+
+  const label = String(node.data?.label ?? node.id);
+  const longestLine = Math.max(...label.split('\n').map(line => line.length));
+  const lineCount = label.split('\n').length;
+
+  const estimatedWidth = longestLine * CHAR_WIDTH + LABEL_PADDING;
+  const width = parseFloat(style.width) || Math.max(parseFloat(style.minWidth) || 60, estimatedWidth);
+  const height = parseFloat(style.height) || Math.max(parseFloat(style.minHeight) || 60, lineCount * 16 + 16);
+
+  // Diamonds and circles keep their aspect ratio
+  if (node.type === 'diamond' || node.type === 'circle' || node.type === 'square') {
+    const size = Math.max(width, height);
+    return { width: size, height: size };
+  }
+
+  return { width, height };
+};
+
+export default getNodeSize;
@@ -0,0 +1,10 @@
+/**
+ * Edge marker types, same values as reactflow's MarkerType enum
+ * Defined here so the parser pipeline does not import reactflow (and React)
+ */
+export const MarkerType = {
+  Arrow: 'arrow',
+  ArrowClosed: 'arrowclosed',
+};
+
+export default MarkerType;